@@ -1,14 +1,19 @@
 import React, { Suspense } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
+import { ConfigProvider } from './contexts/ConfigContext';
+import { ToastProvider } from './contexts/ToastContext';
 import { AuthProvider } from './contexts/AuthContext';
 import ProtectedRoute from './components/ProtectedRoute';
 import SuspenseFallback from './components/SuspenseFallback';
+import { permissionKey } from './utils/authorization';
+import { RESOURCES, ACTIONS } from './constants';
 
 // Pages
 import Login from './pages/Login';
 import Dashboard from './pages/Dashboard';
 import Profile from './pages/Profile';
 import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
 import MySessions from './pages/MySessions';
 
 // Lazy load admin pages for better performance
@@ -18,16 +23,35 @@ const Permissions = React.lazy(() => import('./pages/admin/Permissions'));
 const Sessions = React.lazy(() => import('./pages/admin/Sessions'));
 const Companies = React.lazy(() => import('./pages/admin/Companies'));
 const Integrations = React.lazy(() => import('./pages/admin/Integrations'));
+const Resources = React.lazy(() => import('./pages/admin/Resources'));
+const AccessInspector = React.lazy(() => import('./pages/admin/AccessInspector'));
+const AuditLog = React.lazy(() => import('./pages/admin/AuditLog'));
+const AuditTrail = React.lazy(() => import('./pages/admin/AuditTrail'));
+
+/**
+ * App-wide providers, outermost first
+ * Configuration loads before anything else, so every provider below sees a configured API client
+ */
+const AppProviders = ({ children }) => (
+  <ConfigProvider>
+    <ToastProvider>
+      <AuthProvider>
+        {children}
+      </AuthProvider>
+    </ToastProvider>
+  </ConfigProvider>
+);
 
 function App() {
   return (
-    <AuthProvider>
+    <AppProviders>
       <Router>
         <div className="App">
           <Routes>
             {/* Public routes */}
             <Route path="/login" element={<Login />} />
             <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password" element={<ResetPassword />} />
             
             {/* Protected routes */}
             <Route 
@@ -59,7 +83,7 @@ function App() {
             <Route 
               path="/admin/users" 
               element={
-                <ProtectedRoute requireAdmin={true}>
+                <ProtectedRoute permissions={[permissionKey(RESOURCES.USERS, ACTIONS.READ)]}>
                   <Suspense fallback={<SuspenseFallback />}>
                     <Users />
                   </Suspense>
@@ -69,7 +93,7 @@ function App() {
             <Route 
               path="/admin/roles" 
               element={
-                <ProtectedRoute requireAdmin={true}>
+                <ProtectedRoute permissions={[permissionKey(RESOURCES.ROLES, ACTIONS.READ)]}>
                   <Suspense fallback={<SuspenseFallback />}>
                     <Roles />
                   </Suspense>
@@ -79,17 +103,27 @@ function App() {
             <Route 
               path="/admin/permissions" 
               element={
-                <ProtectedRoute requireAdmin={true}>
+                <ProtectedRoute permissions={[permissionKey(RESOURCES.PERMISSIONS, ACTIONS.READ)]}>
                   <Suspense fallback={<SuspenseFallback />}>
                     <Permissions />
                   </Suspense>
                 </ProtectedRoute>
               } 
             />
+            <Route 
+              path="/admin/resources" 
+              element={
+                <ProtectedRoute permissions={[permissionKey(RESOURCES.RESOURCES, ACTIONS.READ)]}>
+                  <Suspense fallback={<SuspenseFallback />}>
+                    <Resources />
+                  </Suspense>
+                </ProtectedRoute>
+              } 
+            />
             <Route 
               path="/admin/sessions" 
               element={
-                <ProtectedRoute requireAdmin={true}>
+                <ProtectedRoute permissions={[permissionKey(RESOURCES.SESSIONS, ACTIONS.READ)]}>
                   <Suspense fallback={<SuspenseFallback />}>
                     <Sessions />
                   </Suspense>
@@ -99,7 +133,7 @@ function App() {
             <Route 
               path="/admin/integrations" 
               element={
-                <ProtectedRoute requireAdmin={true}>
+                <ProtectedRoute permissions={[permissionKey(RESOURCES.INTEGRATIONS, ACTIONS.READ)]}>
                   <Suspense fallback={<SuspenseFallback />}>
                     <Integrations />
                   </Suspense>
@@ -109,7 +143,7 @@ function App() {
             <Route 
               path="/admin/companies" 
               element={
-                <ProtectedRoute requireAdmin={true} requireRoot={true}>
+                <ProtectedRoute permissions={[permissionKey(RESOURCES.COMPANIES, ACTIONS.READ)]}>
                   <Suspense fallback={<SuspenseFallback />}>
                     <Companies />
                   </Suspense>
@@ -117,6 +151,42 @@ function App() {
               } 
             />
             
+            <Route 
+              path="/admin/access-inspector" 
+              element={
+                <ProtectedRoute
+                  permissions={[
+                    permissionKey(RESOURCES.USERS, ACTIONS.READ),
+                    permissionKey(RESOURCES.ROLES, ACTIONS.READ),
+                  ]}
+                >
+                  <Suspense fallback={<SuspenseFallback />}>
+                    <AccessInspector />
+                  </Suspense>
+                </ProtectedRoute>
+              } 
+            />
+            <Route 
+              path="/admin/audit" 
+              element={
+                <ProtectedRoute feature="auditLog" permissions={[permissionKey(RESOURCES.AUDIT, ACTIONS.READ)]}>
+                  <Suspense fallback={<SuspenseFallback />}>
+                    <AuditLog />
+                  </Suspense>
+                </ProtectedRoute>
+              } 
+            />
+            <Route 
+              path="/admin/audit-trail" 
+              element={
+                <ProtectedRoute permissions={[permissionKey(RESOURCES.AUDIT, ACTIONS.READ)]}>
+                  <Suspense fallback={<SuspenseFallback />}>
+                    <AuditTrail />
+                  </Suspense>
+                </ProtectedRoute>
+              } 
+            />
+            
             {/* Default redirect */}
             <Route path="/" element={<Navigate to="/dashboard" replace />} />
             
@@ -125,7 +195,7 @@ function App() {
           </Routes>
         </div>
       </Router>
-    </AuthProvider>
+    </AppProviders>
   );
 }
 
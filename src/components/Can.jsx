@@ -0,0 +1,18 @@
+import React from 'react';
+import { useAbility } from '../hooks/useAbility';
+
+/**
+ * Renders its children only if the current user may perform an action
+ * @param {Object} props - Component properties
+ * @param {string} props.action - Action to check (see ACTIONS)
+ * @param {string} props.resource - Resource to check (see RESOURCES)
+ * @param {React.ReactNode} props.fallback - Rendered when not allowed
+ * @param {React.ReactNode} props.children - Content rendered when allowed
+ */
+const Can = ({ action, resource, fallback = null, children }) => {
+  const ability = useAbility();
+
+  return ability.can(action, resource) ? <>{children}</> : fallback;
+};
+
+export default Can;
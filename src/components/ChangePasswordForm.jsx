@@ -0,0 +1,201 @@
+import React, { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import PasswordStrengthMeter from './PasswordStrengthMeter';
+import { useConfig } from '../contexts/ConfigContext';
+import { useToast } from '../contexts/ToastContext';
+import * as authService from '../services/authService';
+import { checkPasswordPolicy, passwordPolicyValidator } from '../utils/password';
+import { getErrorMessage } from '../utils/errors';
+import { MESSAGES, VALIDATION } from '../constants';
+
+const FIELDS = ['current_password', 'new_password', 'confirm_password'];
+
+/**
+ * Maps a failed change-password response onto form fields
+ * FastAPI validation errors carry the field in `loc`; plain messages are
+ * attributed to the current password when the server rejects it, and to
+ * the new password otherwise (history, reuse and other policy checks)
+ * @param {Object} error - Axios error
+ * @returns {Array<{field: string, message: string}>} Field errors
+ */
+const getFieldErrors = (error) => {
+  const detail = error.response?.data?.detail;
+
+  if (Array.isArray(detail)) {
+    return detail.map((item) => {
+      const field = item.loc?.[item.loc.length - 1];
+      return { field: FIELDS.includes(field) ? field : 'new_password', message: item.msg };
+    });
+  }
+
+  const status = error.response?.status;
+  const field = status === 401 || status === 403 ? 'current_password' : 'new_password';
+  return [{ field, message: detail || error.message || MESSAGES.ERROR.UPDATE }];
+};
+
+/**
+ * Change-password panel of the profile page
+ * Validates against the configured password policy and offers to sign out
+ * other sessions once the password has been changed
+ */
+const ChangePasswordForm = () => {
+  const { passwordPolicy } = useConfig();
+  const toast = useToast();
+  const [changed, setChanged] = useState(false);
+  const [revoking, setRevoking] = useState(false);
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    reset,
+    setError: setFieldError,
+    formState: { errors, isSubmitting },
+  } = useForm({
+    defaultValues: { current_password: '', new_password: '', confirm_password: '' },
+  });
+
+  const newPassword = watch('new_password');
+  const rules = checkPasswordPolicy(newPassword, passwordPolicy);
+
+  /**
+   * Submits the password change
+   * @param {Object} data - Form data
+   */
+  const onSubmit = async (data) => {
+    try {
+      await authService.changePassword(data.current_password, data.new_password);
+      reset();
+      setChanged(true);
+      toast.success(MESSAGES.SUCCESS.PASSWORD_CHANGED);
+    } catch (err) {
+      getFieldErrors(err).forEach(({ field, message }) => {
+        setFieldError(field, { type: 'server', message });
+      });
+    }
+  };
+
+  /**
+   * Signs out every other session after the password change
+   */
+  const handleRevokeOthers = async () => {
+    setRevoking(true);
+    try {
+      await authService.revokeAllSessions();
+      setChanged(false);
+      toast.success(MESSAGES.SUCCESS.OTHER_SESSIONS_REVOKED);
+    } catch (err) {
+      toast.error(getErrorMessage(err, MESSAGES.ERROR.UPDATE));
+    } finally {
+      setRevoking(false);
+    }
+  };
+
+  const inputClassName = 'mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm';
+
+  return (
+    <div className="bg-white shadow rounded-lg">
+      <div className="px-4 py-5 sm:p-6">
+        <h3 className="text-lg leading-6 font-medium text-gray-900 mb-4">
+          Change Password
+        </h3>
+
+        {changed && (
+          <div className="mb-4 flex items-center justify-between bg-blue-50 border border-blue-200 rounded-md px-4 py-3">
+            <p className="text-sm text-blue-800">
+              Other devices signed in to your account stay signed in. Sign them out now?
+            </p>
+            <div className="flex space-x-3 ml-4">
+              <button type="button" onClick={() => setChanged(false)} className="btn-secondary">
+                Keep
+              </button>
+              <button type="button" onClick={handleRevokeOthers} disabled={revoking} className="btn-primary">
+                {revoking ? 'Signing out...' : 'Sign out other sessions'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+          <div className="grid grid-cols-1 gap-6 sm:grid-cols-2">
+            <div className="sm:col-span-2">
+              <label htmlFor="current_password" className="block text-sm font-medium text-gray-700">
+                Current Password
+              </label>
+              <input
+                {...register('current_password', { required: VALIDATION.MESSAGES.REQUIRED })}
+                id="current_password"
+                type="password"
+                autoComplete="current-password"
+                className={`${inputClassName} sm:w-1/2`}
+              />
+              {errors.current_password && (
+                <p className="mt-1 text-sm text-red-600">{errors.current_password.message}</p>
+              )}
+            </div>
+
+            <div>
+              <label htmlFor="new_password" className="block text-sm font-medium text-gray-700">
+                New Password
+              </label>
+              <input
+                {...register('new_password', {
+                  required: VALIDATION.MESSAGES.REQUIRED,
+                  validate: {
+                    policy: passwordPolicyValidator(passwordPolicy),
+                    different: (value) => (
+                      value !== watch('current_password') || 'New password must differ from the current one'
+                    ),
+                  },
+                })}
+                id="new_password"
+                type="password"
+                autoComplete="new-password"
+                className={inputClassName}
+              />
+              {errors.new_password && (
+                <p className="mt-1 text-sm text-red-600">{errors.new_password.message}</p>
+              )}
+              <PasswordStrengthMeter password={newPassword} />
+            </div>
+
+            <div>
+              <label htmlFor="confirm_password" className="block text-sm font-medium text-gray-700">
+                Confirm New Password
+              </label>
+              <input
+                {...register('confirm_password', {
+                  required: VALIDATION.MESSAGES.REQUIRED,
+                  validate: (value) => value === newPassword || VALIDATION.MESSAGES.PASSWORD_MISMATCH,
+                })}
+                id="confirm_password"
+                type="password"
+                autoComplete="new-password"
+                className={inputClassName}
+              />
+              {errors.confirm_password && (
+                <p className="mt-1 text-sm text-red-600">{errors.confirm_password.message}</p>
+              )}
+            </div>
+          </div>
+
+          <ul className="grid grid-cols-1 sm:grid-cols-2 gap-1 text-sm" aria-label="Password requirements">
+            {rules.map((rule) => (
+              <li key={rule.key} className={rule.met ? 'text-green-600' : 'text-gray-500'}>
+                <span aria-hidden="true">{rule.met ? '✓' : '○'}</span> {rule.label}
+              </li>
+            ))}
+          </ul>
+
+          <div className="flex justify-end">
+            <button type="submit" disabled={isSubmitting} className="btn-primary">
+              {isSubmitting ? 'Saving...' : 'Change Password'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ChangePasswordForm;
@@ -0,0 +1,57 @@
+import React from 'react';
+
+/**
+ * Full-page error shown when the runtime configuration cannot be loaded
+ * Rendered outside every provider, so it must not depend on config or auth
+ * @param {Object} props - Component properties
+ * @param {Error} props.error - Error thrown by loadRuntimeConfig
+ */
+const ConfigError = ({ error }) => {
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-lg w-full bg-white shadow rounded-lg p-6 space-y-4" role="alert">
+        <div className="flex items-center">
+          <div className="flex items-center justify-center h-12 w-12 rounded-full bg-red-100">
+            <span className="text-red-600 text-xl" aria-hidden="true">⚙️</span>
+          </div>
+          <div className="ml-4">
+            <h1 className="text-lg font-semibold text-gray-900">
+              Application configuration error
+            </h1>
+            <p className="text-sm text-gray-500">
+              The application cannot start until its configuration is fixed.
+            </p>
+          </div>
+        </div>
+
+        <div className="bg-red-50 border border-red-200 text-red-800 px-4 py-3 rounded text-sm">
+          <p className="font-medium">{error?.message}</p>
+          {error?.details?.length > 0 && (
+            <ul className="mt-2 list-disc list-inside space-y-1">
+              {error.details.map((detail) => (
+                <li key={detail}>{detail}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <p className="text-sm text-gray-600">
+          If you are an administrator, check the <code className="px-1 bg-gray-100 rounded">config.json</code> file
+          deployed next to the application and any <code className="px-1 bg-gray-100 rounded">VITE_*</code> build variables.
+        </p>
+
+        <div className="flex justify-end">
+          <button
+            type="button"
+            onClick={() => window.location.reload()}
+            className="btn-primary"
+          >
+            Retry
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConfigError;
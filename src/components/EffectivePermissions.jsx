@@ -0,0 +1,54 @@
+import React from 'react';
+import { getPermissionGrants, parsePermissionKey } from '../utils/authorization';
+
+/**
+ * Preview of the permissions a user ends up with, grouped by resource
+ * Hovering a permission shows the roles that grant it
+ * @param {Object} props - Component properties
+ * @param {Object} props.user - User, with is_superuser and direct permissions
+ * @param {Array} props.roles - Roles to evaluate, with their permissions
+ */
+const EffectivePermissions = ({ user, roles }) => {
+  if (user?.is_superuser) {
+    return (
+      <p className="text-sm text-gray-700">
+        Administrators are granted every permission, whatever their roles.
+      </p>
+    );
+  }
+
+  const grants = getPermissionGrants({ permissions: user?.permissions, roles });
+  if (grants.size === 0) {
+    return <p className="text-sm text-gray-500">No permissions. The user can only manage their own account.</p>;
+  }
+
+  const byResource = new Map();
+  grants.forEach((grant, key) => {
+    const { resource, action } = parsePermissionKey(key);
+    if (!byResource.has(resource)) byResource.set(resource, []);
+    byResource.get(resource).push({ key, action, ...grant });
+  });
+
+  return (
+    <dl className="space-y-2">
+      {[...byResource].map(([resource, actions]) => (
+        <div key={resource} className="flex items-start">
+          <dt className="w-28 flex-shrink-0 text-sm font-medium text-gray-700">{resource}</dt>
+          <dd className="flex flex-wrap gap-1">
+            {actions.map(({ key, action, roles: grantedBy, direct }) => (
+              <span
+                key={key}
+                title={`Granted by ${[...grantedBy, ...(direct ? ['direct assignment'] : [])].join(', ')}`}
+                className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800"
+              >
+                {action}
+              </span>
+            ))}
+          </dd>
+        </div>
+      ))}
+    </dl>
+  );
+};
+
+export default EffectivePermissions;
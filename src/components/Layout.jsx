@@ -1,10 +1,13 @@
 import React, { useState } from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { useConfig } from '../contexts/ConfigContext';
+import { useAbility } from '../hooks/useAbility';
 import { LoadingSpinner, ConfirmDialog } from './ui';
 import { useConfirm } from '../hooks/useConfirm';
-import { ROUTES, MESSAGES } from '../constants';
+import { ROUTES, MESSAGES, RESOURCES, ACTIONS } from '../constants';
 import Logo from './Logo';
+import { permissionKey } from '../utils/authorization';
 
 /**
  * Componente de layout principal
@@ -15,6 +18,8 @@ import Logo from './Logo';
 const Layout = ({ children }) => {
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const { user, logout, isLoading } = useAuth();
+  const ability = useAbility();
+  const { features } = useConfig();
   const { confirmState, confirm, closeConfirm, handleConfirm } = useConfirm();
   const location = useLocation();
   const navigate = useNavigate();
@@ -66,49 +71,86 @@ const Layout = ({ children }) => {
       icon: '🔐',
       description: 'My active sessions'
     },
-    // Admin routes only for superusers
-    ...(user?.is_superuser ? [
-      { 
-        name: 'Users', 
-        href: ROUTES.ADMIN.USERS, 
-        icon: '👥',
-        description: 'User management'
-      },
-      { 
-        name: 'Roles', 
-        href: ROUTES.ADMIN.ROLES, 
-        icon: '🔑',
-        description: 'Role management'
-      },
-      { 
-        name: 'Permissions', 
-        href: ROUTES.ADMIN.PERMISSIONS, 
-        icon: '⚙️',
-        description: 'Permission management'
-      },
-      { 
-        name: 'Active Sessions', 
-        href: ROUTES.ADMIN.SESSIONS, 
-        icon: '🌐',
-        description: 'System active sessions'
-      },
-      { 
-        name: 'Integrations', 
-        href: ROUTES.ADMIN.INTEGRATIONS, 
-        icon: '🔌',
-        description: 'External system integrations'
-      },
-      // Companies management only for root users
-      ...(user?.is_superuser && user?.company_id === 1 ? [
-        {
-          name: 'Companies', 
-          href: ROUTES.ADMIN.COMPANIES, 
-          icon: '🏢',
-          description: 'Company management'
-        }
-      ] : [])
-    ] : []),
-  ];
+    // Admin routes, shown according to what the user can read (and any extra permissions they need)
+    { 
+      name: 'Users', 
+      href: ROUTES.ADMIN.USERS, 
+      icon: '👥',
+      description: 'User management',
+      resource: RESOURCES.USERS,
+    },
+    { 
+      name: 'Roles', 
+      href: ROUTES.ADMIN.ROLES, 
+      icon: '🔑',
+      description: 'Role management',
+      resource: RESOURCES.ROLES,
+    },
+    { 
+      name: 'Permissions', 
+      href: ROUTES.ADMIN.PERMISSIONS, 
+      icon: '⚙️',
+      description: 'Permission management',
+      resource: RESOURCES.PERMISSIONS,
+    },
+    {
+      name: 'Resources',
+      href: ROUTES.ADMIN.RESOURCES,
+      icon: '📦',
+      description: 'Resource type management',
+      resource: RESOURCES.RESOURCES,
+    },
+    {
+      name: 'Access Inspector',
+      href: ROUTES.ADMIN.ACCESS_INSPECTOR,
+      icon: '🔍',
+      description: 'Effective permissions of a user',
+      resource: RESOURCES.ROLES,
+      permissions: [permissionKey(RESOURCES.USERS, ACTIONS.READ)],
+    },
+    { 
+      name: 'Active Sessions', 
+      href: ROUTES.ADMIN.SESSIONS, 
+      icon: '🌐',
+      description: 'System active sessions',
+      resource: RESOURCES.SESSIONS,
+    },
+    { 
+      name: 'Integrations', 
+      href: ROUTES.ADMIN.INTEGRATIONS, 
+      icon: '🔌',
+      description: 'External system integrations',
+      resource: RESOURCES.INTEGRATIONS,
+    },
+    // Companies are root-only; the ability takes care of that
+    {
+      name: 'Companies', 
+      href: ROUTES.ADMIN.COMPANIES, 
+      icon: '🏢',
+      description: 'Company management',
+      resource: RESOURCES.COMPANIES,
+    },
+    {
+      name: 'Audit Log',
+      href: ROUTES.ADMIN.AUDIT,
+      icon: '📜',
+      description: 'Who changed what, and when',
+      resource: RESOURCES.AUDIT,
+      // Needs the backend audit endpoints
+      feature: 'auditLog',
+    },
+    {
+      name: 'Local Audit Trail',
+      href: ROUTES.ADMIN.AUDIT_TRAIL,
+      icon: '🗂️',
+      description: 'Admin changes made from this browser',
+      resource: RESOURCES.AUDIT,
+    },
+  ].filter(item => (
+    (!item.resource || ability.can(ACTIONS.READ, item.resource)) &&
+    (!item.feature || features[item.feature]) &&
+    ability.satisfies({ permissions: item.permissions })
+  ));
 
   /**
    * Gets the current page name
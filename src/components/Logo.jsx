@@ -1,10 +1,13 @@
 import React from 'react';
+import { useConfig } from '../contexts/ConfigContext';
 
 /**
  * Company logo component
  * Displays the Vite logo with the company name in a professional way
  */
 const Logo = ({ size = 'md', showText = true, className = '' }) => {
+  const { branding } = useConfig();
+
   const sizeClasses = {
     sm: 'h-6 w-6',
     md: 'h-8 w-8',
@@ -24,8 +27,8 @@ const Logo = ({ size = 'md', showText = true, className = '' }) => {
       {/* Vite Logo */}
       <div className="flex-shrink-0">
         <img
-          src="/vite.svg"
-          alt="Jcano Auth Logo"
+          src={branding.logoUrl}
+          alt={`${branding.appName} Logo`}
           className={`${sizeClasses[size]} transition-transform duration-200 hover:scale-110`}
         />
       </div>
@@ -34,11 +37,13 @@ const Logo = ({ size = 'md', showText = true, className = '' }) => {
       {showText && (
         <div className="flex flex-col">
           <h1 className={`${textSizeClasses[size]} font-bold text-gray-900 leading-tight`}>
-            Jcano Auth
+            {branding.appName}
           </h1>
-          <span className="text-xs text-gray-500 font-medium tracking-wide">
-            SECURE PLATFORM
-          </span>
+          {branding.tagline && (
+            <span className="text-xs text-gray-500 font-medium tracking-wide">
+              {branding.tagline}
+            </span>
+          )}
         </div>
       )}
     </div>
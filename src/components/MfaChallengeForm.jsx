@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { useAuth } from '../contexts/AuthContext';
+import { LoadingSpinner } from './ui';
+import { VALIDATION, MFA_METHODS } from '../constants';
+
+/**
+ * Second sign-in step shown when the backend answers login with an MFA challenge
+ * Accepts a TOTP code or, if the user lost their device, a backup code
+ */
+const MfaChallengeForm = () => {
+  const { mfaChallenge, verifyMfa, cancelMfa, error } = useAuth();
+  const [method, setMethod] = useState(MFA_METHODS.TOTP);
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors, isSubmitting },
+  } = useForm({ defaultValues: { code: '' } });
+
+  const isTotp = method === MFA_METHODS.TOTP;
+  const canUseBackupCode = mfaChallenge?.methods?.includes(MFA_METHODS.BACKUP_CODE);
+
+  /**
+   * Switches between authenticator and backup code entry
+   */
+  const toggleMethod = () => {
+    setMethod(isTotp ? MFA_METHODS.BACKUP_CODE : MFA_METHODS.TOTP);
+    reset({ code: '' });
+  };
+
+  /**
+   * Submits the code; errors are stored in the auth context
+   * @param {Object} data - Form data
+   */
+  const onSubmit = async ({ code }) => {
+    try {
+      await verifyMfa(code.replace(/\s/g, ''), method);
+    } catch {
+      reset({ code: '' });
+    }
+  };
+
+  return (
+    <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
+      <div className="text-center">
+        <div className="mx-auto flex items-center justify-center h-12 w-12 rounded-full bg-primary-100">
+          <span className="text-xl" aria-hidden="true">🔐</span>
+        </div>
+        <h3 className="mt-4 text-lg font-medium text-gray-900">Two-factor authentication</h3>
+        <p className="mt-2 text-sm text-gray-600">
+          {isTotp
+            ? 'Enter the 6-digit code from your authenticator app.'
+            : 'Enter one of your backup codes. Each code can only be used once.'}
+        </p>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded relative" role="alert">
+          <span className="block sm:inline">{error}</span>
+        </div>
+      )}
+
+      <div>
+        <label htmlFor="code" className="sr-only">
+          {isTotp ? 'Authentication code' : 'Backup code'}
+        </label>
+        <input
+          {...register('code', {
+            required: VALIDATION.MESSAGES.REQUIRED,
+            validate: (value) => (
+              !isTotp || VALIDATION.TOTP_CODE_REGEX.test(value.replace(/\s/g, '')) ||
+              VALIDATION.MESSAGES.TOTP_CODE_INVALID
+            ),
+          })}
+          id="code"
+          type="text"
+          inputMode={isTotp ? 'numeric' : 'text'}
+          autoComplete="one-time-code"
+          autoFocus
+          className="form-input rounded-md text-center tracking-widest"
+          placeholder={isTotp ? '123456' : 'xxxx-xxxx'}
+          disabled={isSubmitting}
+        />
+        {errors.code && (
+          <p className="form-error">{errors.code.message}</p>
+        )}
+      </div>
+
+      <div>
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="btn-primary w-full flex justify-center"
+        >
+          {isSubmitting ? (
+            <LoadingSpinner size="sm" color="border-white" text="" />
+          ) : (
+            'Verify'
+          )}
+        </button>
+      </div>
+
+      <div className="flex items-center justify-between text-sm">
+        {canUseBackupCode ? (
+          <button
+            type="button"
+            onClick={toggleMethod}
+            className="font-medium text-primary-600 hover:text-primary-500"
+          >
+            {isTotp ? 'Use a backup code' : 'Use authenticator app'}
+          </button>
+        ) : <span />}
+        <button
+          type="button"
+          onClick={cancelMfa}
+          className="font-medium text-gray-600 hover:text-gray-500"
+        >
+          Back to sign in
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default MfaChallengeForm;
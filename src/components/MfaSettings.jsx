@@ -0,0 +1,329 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useForm } from 'react-hook-form';
+import { Alert, ConfirmDialog, LoadingSpinner } from './ui';
+import { useApi } from '../hooks/useApi';
+import { useConfirm } from '../hooks/useConfirm';
+import * as authService from '../services/authService';
+import { downloadFile } from '../utils/export';
+import { MESSAGES, VALIDATION } from '../constants';
+
+/**
+ * Builds an <img> source from the QR code returned by the enrollment endpoint,
+ * which may be a data URL or bare base64 PNG data
+ * @param {string} qrCode - QR code image
+ * @returns {string|null} Image source
+ */
+const toImageSource = (qrCode) => {
+  if (!qrCode) return null;
+  return qrCode.startsWith('data:') ? qrCode : `data:image/png;base64,${qrCode}`;
+};
+
+/**
+ * Shows freshly generated backup codes with copy and download actions
+ * The backend never returns them again, so the user is asked to save them now
+ * @param {Object} props - Component properties
+ * @param {string[]} props.codes - Backup codes
+ * @param {Function} props.onDone - Called when the user has saved the codes
+ */
+const BackupCodes = ({ codes, onDone }) => {
+  const [copied, setCopied] = useState(false);
+  const text = codes.join('\n');
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(text);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  const handleDownload = () => {
+    downloadFile(`${text}\n`, 'backup-codes.txt');
+  };
+
+  return (
+    <div className="space-y-4">
+      <Alert
+        type="warning"
+        message="Save these backup codes somewhere safe. Each one can be used once to sign in if you lose your authenticator device, and they will not be shown again."
+      />
+      <ul className="grid grid-cols-2 gap-2 p-4 bg-gray-50 border border-gray-200 rounded-md font-mono text-sm text-gray-900">
+        {codes.map((code) => (
+          <li key={code}>{code}</li>
+        ))}
+      </ul>
+      <div className="flex justify-end space-x-3">
+        <button type="button" onClick={handleCopy} className="btn-secondary">
+          {copied ? 'Copied!' : 'Copy'}
+        </button>
+        <button type="button" onClick={handleDownload} className="btn-secondary">
+          Download
+        </button>
+        <button type="button" onClick={onDone} className="btn-primary">
+          I have saved these codes
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Two-factor authentication section of the profile page
+ * Handles TOTP enrollment, backup code regeneration and disabling MFA
+ */
+const MfaSettings = () => {
+  const { loading, execute } = useApi();
+  const { confirmState, confirm, closeConfirm, handleConfirm } = useConfirm();
+  const [status, setStatus] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [isDisabling, setIsDisabling] = useState(false);
+
+  const { register, handleSubmit, reset, formState: { errors } } = useForm({
+    defaultValues: { code: '' },
+  });
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      // A failed status check just leaves the enable button; no need to alert
+      setStatus(await execute(() => authService.getMfaStatus(), { notify: false }));
+    } catch {
+      // Error is handled by useApi hook
+    }
+  }, [execute]);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  /**
+   * Requests a new TOTP secret and shows its QR code
+   */
+  const handleStartEnrollment = async () => {
+    try {
+      setEnrollment(await execute(() => authService.startMfaEnrollment()));
+      reset({ code: '' });
+    } catch {
+      // Error is handled by useApi hook
+    }
+  };
+
+  /**
+   * Verifies the first code, which activates MFA and returns the backup codes
+   * @param {Object} data - Form data
+   */
+  const handleVerifyEnrollment = async ({ code }) => {
+    try {
+      const response = await execute(
+        () => authService.confirmMfaEnrollment(code.trim()),
+        { successMessage: MESSAGES.SUCCESS.MFA_ENABLED }
+      );
+      setEnrollment(null);
+      setBackupCodes(response.backup_codes || []);
+      setStatus({ enabled: true, backup_codes_remaining: response.backup_codes?.length ?? 0 });
+      reset({ code: '' });
+    } catch {
+      reset({ code: '' });
+    }
+  };
+
+  /**
+   * Replaces the backup codes after confirmation
+   */
+  const handleRegenerate = async () => {
+    const confirmed = await confirm({
+      title: 'Regenerate Backup Codes',
+      message: 'Your current backup codes will stop working. Do you want to generate new ones?',
+      confirmText: 'Regenerate',
+      cancelText: 'Cancel',
+      type: 'warning',
+      icon: '🔑'
+    });
+
+    if (confirmed) {
+      try {
+        const response = await execute(
+          () => authService.regenerateBackupCodes(),
+          { successMessage: MESSAGES.SUCCESS.BACKUP_CODES_REGENERATED }
+        );
+        setBackupCodes(response.backup_codes || []);
+        setStatus((current) => ({ ...current, backup_codes_remaining: response.backup_codes?.length ?? 0 }));
+      } catch {
+        // Error is handled by useApi hook
+      }
+    }
+  };
+
+  /**
+   * Turns MFA off; requires a current code
+   * @param {Object} data - Form data
+   */
+  const handleDisable = async ({ code }) => {
+    try {
+      await execute(
+        () => authService.disableMfa(code.trim()),
+        { successMessage: MESSAGES.SUCCESS.MFA_DISABLED }
+      );
+      setIsDisabling(false);
+      setBackupCodes(null);
+      setStatus({ enabled: false, backup_codes_remaining: 0 });
+      reset({ code: '' });
+    } catch {
+      reset({ code: '' });
+    }
+  };
+
+  /**
+   * Leaves enrollment or the disable form without changes
+   */
+  const handleCancel = () => {
+    setEnrollment(null);
+    setIsDisabling(false);
+    reset({ code: '' });
+  };
+
+  const codeField = (
+    <div>
+      <label htmlFor="mfa_code" className="block text-sm font-medium text-gray-700">
+        Verification code
+      </label>
+      <input
+        {...register('code', {
+          required: VALIDATION.MESSAGES.REQUIRED,
+          validate: (value) => (
+            // Disabling also accepts a backup code
+            isDisabling || VALIDATION.TOTP_CODE_REGEX.test(value.trim()) ||
+            VALIDATION.MESSAGES.TOTP_CODE_INVALID
+          ),
+        })}
+        id="mfa_code"
+        type="text"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        placeholder="123456"
+        className="mt-1 block w-full sm:w-48 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm tracking-widest"
+      />
+      {errors.code && (
+        <p className="mt-1 text-sm text-red-600">{errors.code.message}</p>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="bg-white shadow rounded-lg">
+      <div className="px-4 py-5 sm:p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h3 className="text-lg leading-6 font-medium text-gray-900">
+              Two-Factor Authentication
+            </h3>
+            <p className="mt-1 text-sm text-gray-500">
+              Require a code from an authenticator app in addition to your password.
+            </p>
+          </div>
+          {status && (
+            <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+              status.enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+            }`}>
+              {status.enabled ? 'Enabled' : 'Disabled'}
+            </span>
+          )}
+        </div>
+
+        {!status && loading ? (
+          <LoadingSpinner size="md" />
+        ) : backupCodes ? (
+          <BackupCodes codes={backupCodes} onDone={() => setBackupCodes(null)} />
+        ) : enrollment ? (
+          <form onSubmit={handleSubmit(handleVerifyEnrollment)} className="space-y-4">
+            <ol className="list-decimal list-inside space-y-1 text-sm text-gray-700">
+              <li>Scan the QR code with an authenticator app such as Google Authenticator or 1Password.</li>
+              <li>Enter the 6-digit code it shows to finish setting up.</li>
+            </ol>
+            <div className="flex flex-col sm:flex-row sm:items-start sm:space-x-6 space-y-4 sm:space-y-0">
+              {enrollment.qr_code && (
+                <img
+                  src={toImageSource(enrollment.qr_code)}
+                  alt="QR code for your authenticator app"
+                  className="w-48 h-48 border border-gray-200 rounded-md"
+                />
+              )}
+              <div className="text-sm text-gray-600 space-y-2">
+                <p>Can't scan the code? Enter this key manually:</p>
+                <code className="block px-2 py-1 bg-gray-100 rounded font-mono break-all">
+                  {enrollment.secret}
+                </code>
+                {enrollment.provisioning_uri && (
+                  <a
+                    href={enrollment.provisioning_uri}
+                    className="inline-block font-medium text-primary-600 hover:text-primary-500"
+                  >
+                    Open in authenticator app
+                  </a>
+                )}
+              </div>
+            </div>
+            {codeField}
+            <div className="flex justify-end space-x-3">
+              <button type="button" onClick={handleCancel} className="btn-secondary">
+                Cancel
+              </button>
+              <button type="submit" disabled={loading} className="btn-primary">
+                {loading ? 'Verifying...' : 'Verify and enable'}
+              </button>
+            </div>
+          </form>
+        ) : isDisabling ? (
+          <form onSubmit={handleSubmit(handleDisable)} className="space-y-4">
+            <p className="text-sm text-gray-700">
+              Enter a code from your authenticator app or a backup code to turn off two-factor authentication.
+            </p>
+            {codeField}
+            <div className="flex justify-end space-x-3">
+              <button type="button" onClick={handleCancel} className="btn-secondary">
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={loading}
+                className="px-4 py-2 text-sm font-medium text-white bg-red-600 rounded-md hover:bg-red-700 transition-colors"
+              >
+                {loading ? 'Disabling...' : 'Disable two-factor authentication'}
+              </button>
+            </div>
+          </form>
+        ) : status?.enabled ? (
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-gray-700">
+              Backup codes remaining: <span className="font-medium">{status.backup_codes_remaining ?? 'unknown'}</span>
+            </p>
+            <div className="flex space-x-3">
+              <button type="button" onClick={handleRegenerate} disabled={loading} className="btn-secondary">
+                Regenerate backup codes
+              </button>
+              <button
+                type="button"
+                onClick={() => setIsDisabling(true)}
+                className="px-4 py-2 text-sm font-medium text-red-600 border border-red-300 rounded-md hover:bg-red-50 transition-colors"
+              >
+                Disable
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div className="flex justify-end">
+            <button type="button" onClick={handleStartEnrollment} disabled={loading} className="btn-primary">
+              {loading ? 'Preparing...' : 'Enable two-factor authentication'}
+            </button>
+          </div>
+        )}
+      </div>
+
+      <ConfirmDialog
+        {...confirmState}
+        onClose={closeConfirm}
+        onConfirm={handleConfirm}
+      />
+    </div>
+  );
+};
+
+export default MfaSettings;
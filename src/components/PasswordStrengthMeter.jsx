@@ -0,0 +1,34 @@
+import React from 'react';
+import { getPasswordStrength } from '../utils/password';
+
+/**
+ * Visual password strength indicator
+ * @param {Object} props - Component properties
+ * @param {string} props.password - Password to evaluate
+ * @param {string} props.className - Additional CSS classes
+ */
+const PasswordStrengthMeter = ({ password = '', className = '' }) => {
+  if (!password) return null;
+
+  const strength = getPasswordStrength(password);
+
+  return (
+    <div className={`mt-2 ${className}`}>
+      <div className="flex space-x-1" aria-hidden="true">
+        {[...Array(strength.maxScore)].map((_, index) => (
+          <div
+            key={index}
+            className={`h-1.5 flex-1 rounded-full ${
+              index < strength.score ? strength.color : 'bg-gray-200'
+            }`}
+          />
+        ))}
+      </div>
+      <p className={`mt-1 text-xs font-medium ${strength.textColor}`} aria-live="polite">
+        Password strength: {strength.label}
+      </p>
+    </div>
+  );
+};
+
+export default PasswordStrengthMeter;
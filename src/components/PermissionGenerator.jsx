@@ -0,0 +1,342 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Alert, LoadingSpinner } from './ui';
+import * as authService from '../services/authService';
+import { getErrorMessage } from '../utils/errors';
+import { useToast } from '../contexts/ToastContext';
+import { useAuditTrail } from '../hooks/useAuditTrail';
+import { ACTIONS, ACTION_OPTIONS, MESSAGES } from '../constants';
+
+// createPermission calls in flight at once
+const GENERATE_BATCH_SIZE = 5;
+
+/**
+ * Naming conventions offered for generated permissions
+ * Templates use {resource} and {action}; {Resource} and {Action} are capitalized
+ */
+const NAMING_PRESETS = [
+  { key: 'colon', label: 'resource:action (users:read)', name: '{resource}:{action}' },
+  { key: 'dot', label: 'resource.action (users.read)', name: '{resource}.{action}' },
+  { key: 'snake', label: 'action_resource (read_users)', name: '{action}_{resource}' },
+];
+
+const DEFAULT_DESCRIPTION_TEMPLATE = '{Action} {resource}';
+
+// Common starting point: the four CRUD actions
+const CRUD_ACTIONS = [ACTIONS.CREATE, ACTIONS.READ, ACTIONS.UPDATE, ACTIONS.DELETE];
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+/**
+ * Fills a naming template for a resource/action pair
+ * @param {string} template - Template with {resource}, {action}, {Resource} or {Action}
+ * @param {string} resource - Resource name
+ * @param {string} action - Action name
+ * @returns {string} Filled template
+ */
+const fillTemplate = (template, resource, action) => template
+  .replaceAll('{resource}', resource)
+  .replaceAll('{action}', action)
+  .replaceAll('{Resource}', capitalize(resource))
+  .replaceAll('{Action}', capitalize(action));
+
+/**
+ * Wizard generating a permission per selected action on a resource type
+ * Previews the names and descriptions first; permissions that already exist,
+ * by name or by resource type and action, are skipped
+ * @param {Object} props - Component properties
+ * @param {boolean} props.isOpen - If the wizard is open
+ * @param {Function} props.onClose - Function executed on close
+ * @param {Array} props.resourceTypes - Resource types to choose from
+ * @param {Function} props.onGenerated - Called after permissions were created
+ */
+const PermissionGenerator = ({ isOpen, onClose, resourceTypes, onGenerated }) => {
+  const toast = useToast();
+  const recordAudit = useAuditTrail();
+  const [resourceTypeId, setResourceTypeId] = useState('');
+  const [actions, setActions] = useState(CRUD_ACTIONS);
+  const [preset, setPreset] = useState(NAMING_PRESETS[0].key);
+  const [nameTemplate, setNameTemplate] = useState(NAMING_PRESETS[0].name);
+  const [descriptionTemplate, setDescriptionTemplate] = useState(DEFAULT_DESCRIPTION_TEMPLATE);
+  const [existing, setExisting] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [creating, setCreating] = useState(null);
+  const [failures, setFailures] = useState([]);
+
+  // Existing permissions are loaded once per opening to detect duplicates
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    let cancelled = false;
+    authService.getAllPages(authService.getPermissionsPage)
+      .then((data) => {
+        if (!cancelled) setExisting(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setLoadError(getErrorMessage(err, MESSAGES.ERROR.FETCH));
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen]);
+
+  const resourceType = resourceTypes.find((type) => String(type.id) === String(resourceTypeId));
+  const resource = resourceType?.name?.toLowerCase() || '';
+
+  const existingNames = new Set((existing || []).map((permission) => permission.name?.toLowerCase()));
+  const existingActions = new Set((existing || [])
+    .filter((permission) => resourceType && permission.resource_type_id === resourceType.id)
+    .map((permission) => permission.action));
+
+  // Preview in ACTION_OPTIONS order, whatever order the actions were picked in
+  const preview = resourceType ? ACTION_OPTIONS
+    .filter((option) => actions.includes(option.value))
+    .map(({ value: action }) => {
+      const name = fillTemplate(nameTemplate, resource, action);
+      let skipReason = null;
+      if (existingActions.has(action)) {
+        skipReason = `${resource} already has a "${action}" permission`;
+      } else if (existingNames.has(name.toLowerCase())) {
+        skipReason = 'A permission with this name exists';
+      }
+      return {
+        action,
+        name,
+        description: fillTemplate(descriptionTemplate, resource, action),
+        skipReason,
+      };
+    }) : [];
+
+  const toCreate = preview.filter((item) => !item.skipReason);
+  const templateValid = nameTemplate.includes('{action}') || nameTemplate.includes('{Action}');
+
+  const toggleAction = (action, checked) => {
+    setActions((current) => (checked ? [...current, action] : current.filter((value) => value !== action)));
+  };
+
+  const handlePresetChange = (key) => {
+    setPreset(key);
+    const selected = NAMING_PRESETS.find((item) => item.key === key);
+    if (selected) setNameTemplate(selected.name);
+  };
+
+  const handleClose = () => {
+    if (creating) return;
+    setResourceTypeId('');
+    setActions(CRUD_ACTIONS);
+    setExisting(null);
+    setLoadError(null);
+    setFailures([]);
+    onClose();
+  };
+
+  /**
+   * Creates the new permissions, GENERATE_BATCH_SIZE at a time
+   * (recorded as one audit trail entry, as the batches run in parallel)
+   */
+  const handleGenerate = async () => {
+    setFailures([]);
+    setCreating({ done: 0, total: toCreate.length });
+    const created = [];
+    const failed = [];
+
+    await recordAudit(async () => {
+      for (let start = 0; start < toCreate.length; start += GENERATE_BATCH_SIZE) {
+        const batch = toCreate.slice(start, start + GENERATE_BATCH_SIZE);
+        const results = await Promise.allSettled(batch.map((item) => authService.createPermission({
+          name: item.name,
+          description: item.description,
+          resource_type_id: resourceType.id,
+          action: item.action,
+        })));
+        results.forEach((result, index) => {
+          if (result.status === 'fulfilled') {
+            created.push(result.value);
+          } else {
+            failed.push({ ...batch[index], error: getErrorMessage(result.reason) });
+          }
+        });
+        setCreating({ done: start + batch.length, total: toCreate.length });
+      }
+    }, {
+      action: 'permission.generate',
+      target: { type: 'resource_type', id: resourceType.id, name: resourceType.name },
+      describeFailure: () => (failed.length > 0 ? `${failed.length} of ${toCreate.length} permissions could not be created` : null),
+    });
+
+    setCreating(null);
+    if (created.length > 0) {
+      setExisting((current) => [...(current || []), ...created]);
+      onGenerated?.();
+    }
+
+    if (failed.length === 0) {
+      toast.success(`${created.length} permission${created.length === 1 ? '' : 's'} created`);
+      handleClose();
+    } else {
+      setFailures(failed);
+      toast.error(`${failed.length} of ${toCreate.length} permissions could not be created`);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={handleClose} title="Generate Permissions" size="lg" showCloseButton={!creating}>
+      <div className="space-y-4">
+        {loadError && (
+          <Alert type="warning" message={`Existing permissions could not be loaded (${loadError}); duplicates will be rejected when creating.`} />
+        )}
+
+        <div>
+          <label htmlFor="generate_resource_type" className="block text-sm font-medium text-gray-700">
+            Resource Type *
+          </label>
+          <select
+            id="generate_resource_type"
+            value={resourceTypeId}
+            onChange={(e) => setResourceTypeId(e.target.value)}
+            className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500"
+          >
+            <option value="">Select Resource Type</option>
+            {resourceTypes.map((type) => (
+              <option key={type.id} value={type.id}>{type.name}</option>
+            ))}
+          </select>
+        </div>
+
+        <fieldset>
+          <div className="flex items-center justify-between">
+            <legend className="text-sm font-medium text-gray-700">Actions *</legend>
+            <div className="space-x-3 text-sm">
+              <button type="button" onClick={() => setActions(CRUD_ACTIONS)} className="text-primary-600 hover:text-primary-800">
+                CRUD
+              </button>
+              <button type="button" onClick={() => setActions(ACTION_OPTIONS.map((option) => option.value))} className="text-primary-600 hover:text-primary-800">
+                All
+              </button>
+              <button type="button" onClick={() => setActions([])} className="text-primary-600 hover:text-primary-800">
+                None
+              </button>
+            </div>
+          </div>
+          <div className="mt-2 grid grid-cols-2 sm:grid-cols-4 gap-2">
+            {ACTION_OPTIONS.map((option) => (
+              <label key={option.value} className="inline-flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={actions.includes(option.value)}
+                  onChange={(e) => toggleAction(option.value, e.target.checked)}
+                  className="w-4 h-4 text-primary-600 border-gray-300 rounded"
+                />
+                <span>{option.label}</span>
+              </label>
+            ))}
+          </div>
+        </fieldset>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="generate_naming" className="block text-sm font-medium text-gray-700">
+              Naming convention
+            </label>
+            <select
+              id="generate_naming"
+              value={preset}
+              onChange={(e) => handlePresetChange(e.target.value)}
+              className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500"
+            >
+              {NAMING_PRESETS.map((item) => (
+                <option key={item.key} value={item.key}>{item.label}</option>
+              ))}
+              <option value="custom">Custom</option>
+            </select>
+          </div>
+          <div>
+            <label htmlFor="generate_name_template" className="block text-sm font-medium text-gray-700">
+              Name template
+            </label>
+            <input
+              type="text"
+              id="generate_name_template"
+              value={nameTemplate}
+              onChange={(e) => {
+                setNameTemplate(e.target.value);
+                setPreset('custom');
+              }}
+              className="mt-1 block w-full font-mono border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500"
+            />
+          </div>
+        </div>
+
+        <div>
+          <label htmlFor="generate_description_template" className="block text-sm font-medium text-gray-700">
+            Description template
+          </label>
+          <input
+            type="text"
+            id="generate_description_template"
+            value={descriptionTemplate}
+            onChange={(e) => setDescriptionTemplate(e.target.value)}
+            className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500"
+          />
+          <p className="mt-1 text-xs text-gray-500">
+            Use {'{resource}'} and {'{action}'}; {'{Resource}'} and {'{Action}'} are capitalized.
+          </p>
+          {!templateValid && (
+            <p className="mt-1 text-sm text-red-600">The name template must contain {'{action}'} so names are unique.</p>
+          )}
+        </div>
+
+        {resourceType && (
+          <div>
+            <h4 className="text-sm font-medium text-gray-700 mb-2">Preview</h4>
+            {!existing && !loadError ? (
+              <LoadingSpinner size="sm" text="Checking existing permissions..." />
+            ) : preview.length === 0 ? (
+              <p className="text-sm text-gray-500">Select at least one action.</p>
+            ) : (
+              <ul className="max-h-60 overflow-y-auto divide-y divide-gray-100 border border-gray-200 rounded-md text-sm">
+                {preview.map((item) => {
+                  const failure = failures.find((failed) => failed.action === item.action);
+                  return (
+                    <li key={item.action} className={`flex items-center justify-between px-3 py-2 ${item.skipReason ? 'bg-gray-50' : ''}`}>
+                      <div>
+                        <span className={`font-mono ${item.skipReason ? 'text-gray-400 line-through' : 'text-gray-900'}`}>{item.name}</span>
+                        <span className="ml-2 text-gray-500">{item.description}</span>
+                      </div>
+                      <span className={`ml-3 text-xs ${failure ? 'text-red-700' : item.skipReason ? 'text-gray-500' : 'text-green-700'}`}>
+                        {failure ? failure.error : item.skipReason ? `Skipped: ${item.skipReason}` : 'New'}
+                      </span>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </div>
+        )}
+
+        <div className="flex justify-end space-x-3 pt-2">
+          <button
+            type="button"
+            onClick={handleClose}
+            disabled={Boolean(creating)}
+            className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleGenerate}
+            disabled={toCreate.length === 0 || !templateValid || Boolean(creating) || (!existing && !loadError)}
+            className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50"
+          >
+            {creating
+              ? `Creating ${creating.done}/${creating.total}...`
+              : `Create ${toCreate.length} permission${toCreate.length === 1 ? '' : 's'}`}
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default PermissionGenerator;
@@ -1,17 +1,37 @@
 import React from 'react';
 import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { useConfig } from '../contexts/ConfigContext';
+import { useAbility } from '../hooks/useAbility';
 import { LoadingSpinner } from './ui';
+import Forbidden from '../pages/Forbidden';
+import { ROUTES, PERMISSION_MATCH } from '../constants';
 
 /**
  * Component to protect routes that require authentication
+ * Unauthenticated users are sent to login (which brings them back afterwards);
+ * authenticated users lacking access get a 403 page
  * @param {Object} props - Component properties
  * @param {React.ReactNode} props.children - Child components to render if authenticated
+ * @param {string[]} props.permissions - Required "resource:action" permission keys
+ * @param {string[]} props.roles - Required role names
+ * @param {string} props.match - PERMISSION_MATCH.ALL (default) or PERMISSION_MATCH.ANY
  * @param {boolean} props.requireAdmin - If requires administrator permissions
  * @param {boolean} props.requireRoot - If requires being a root company user
+ * @param {string} props.feature - Runtime feature flag the route needs; while it is off the route does not exist
  */
-const ProtectedRoute = ({ children, requireAdmin = false, requireRoot = false }) => {
-  const { isAuthenticated, user, isLoading } = useAuth();
+const ProtectedRoute = ({
+  children,
+  permissions = [],
+  roles = [],
+  match = PERMISSION_MATCH.ALL,
+  requireAdmin = false,
+  requireRoot = false,
+  feature,
+}) => {
+  const { isAuthenticated, isLoading } = useAuth();
+  const ability = useAbility();
+  const { features } = useConfig();
   const location = useLocation();
 
   // Show spinner while verifying authentication
@@ -23,22 +43,34 @@ const ProtectedRoute = ({ children, requireAdmin = false, requireRoot = false })
     );
   }
 
-  // Redirect to login if not authenticated
+  // Behave like an unknown route (see the catch-all in App) while the feature is off
+  if (feature && !features[feature]) {
+    return <Navigate to={ROUTES.DASHBOARD} replace />;
+  }
+
+  // Redirect to login if not authenticated, remembering where the user was going
   if (!isAuthenticated) {
-    return <Navigate to="/login" state={{ from: location }} replace />;
+    return <Navigate to={ROUTES.LOGIN} state={{ from: location }} replace />;
   }
 
-  // Redirigir a dashboard si requiere admin y no es admin
-  if (requireAdmin && !user?.is_superuser) {
-    return <Navigate to="/dashboard" replace />;
+  if (requireAdmin && !ability.isSuperuser) {
+    return <Forbidden missing={['administrator']} />;
   }
-  
-  // Check if root access is required (company id 1 is assumed to be the root company)
-  if (requireRoot && (!user?.is_superuser || user?.company_id !== 1)) {
-    return <Navigate to="/dashboard" replace />;
+
+  // Check if root access is required (superuser of the root company)
+  if (requireRoot && !ability.isRootAdmin) {
+    return <Forbidden missing={['root administrator']} />;
+  }
+
+  if (!ability.satisfies({ permissions, roles, match })) {
+    const missing = [
+      ...permissions.filter((key) => !ability.satisfies({ permissions: [key] })),
+      ...roles.filter((name) => !ability.hasRole(name)).map((name) => `role: ${name}`),
+    ];
+    return <Forbidden missing={missing} match={match} />;
   }
 
   return children;
 };
 
-export default ProtectedRoute;
\ No newline at end of file
+export default ProtectedRoute;
@@ -0,0 +1,362 @@
+import React, { useState, useMemo } from 'react';
+import { Modal, Alert } from './ui';
+import * as authService from '../services/authService';
+import { normalizePermission, parsePermissionKey } from '../utils/authorization';
+import { getErrorMessage } from '../utils/errors';
+import { useToast } from '../contexts/ToastContext';
+import { useAuditTrail } from '../hooks/useAuditTrail';
+
+// Role-permission changes sent at once
+const MATRIX_BATCH_SIZE = 5;
+
+/**
+ * Key of a role-permission cell
+ * @param {number} roleId - Role ID
+ * @param {number} permissionId - Permission ID
+ * @returns {string} Cell key
+ */
+const cellKey = (roleId, permissionId) => `${roleId}:${permissionId}`;
+
+/**
+ * Resource a permission belongs to, for grouping rows
+ * @param {Object} permission - Permission
+ * @returns {string} Resource name
+ */
+const getPermissionResource = (permission) => (
+  permission.resource || parsePermissionKey(normalizePermission(permission) || '').resource || 'other'
+);
+
+/**
+ * Grid editor of role-permission links
+ * Roles are columns and permissions, grouped by resource, are rows. Toggled
+ * cells are staged, reviewed as a diff and applied in batches; cells whose
+ * change fails are rolled back to their saved state and flagged
+ * @param {Object} props - Component properties
+ * @param {Array} props.roles - Roles, with their permissions
+ * @param {Array} props.permissions - Every permission
+ * @param {boolean} props.canEdit - Whether cells can be toggled
+ * @param {Function} props.onRoleUpdated - Called with the role ID and its new permissions after applying
+ */
+const RolePermissionMatrix = ({ roles, permissions, canEdit, onRoleUpdated }) => {
+  const toast = useToast();
+  const recordAudit = useAuditTrail();
+  const [staged, setStaged] = useState(new Map());
+  const [failures, setFailures] = useState(new Map());
+  const [filter, setFilter] = useState('');
+  const [showReview, setShowReview] = useState(false);
+  const [applying, setApplying] = useState(null);
+
+  // Permission IDs each role has on the server
+  const granted = useMemo(() => new Map(roles.map((role) => [
+    role.id,
+    new Set((role.permissions || []).map((permission) => permission.id)),
+  ])), [roles]);
+
+  const groups = useMemo(() => {
+    const term = filter.trim().toLowerCase();
+    const byResource = new Map();
+    permissions
+      .filter((permission) => !term || `${permission.name} ${permission.description || ''}`.toLowerCase().includes(term))
+      .forEach((permission) => {
+        const resource = getPermissionResource(permission);
+        if (!byResource.has(resource)) byResource.set(resource, []);
+        byResource.get(resource).push(permission);
+      });
+    return [...byResource].sort(([a], [b]) => a.localeCompare(b));
+  }, [permissions, filter]);
+
+  const isGranted = (roleId, permissionId) => granted.get(roleId)?.has(permissionId) ?? false;
+
+  const isChecked = (roleId, permissionId) => {
+    const key = cellKey(roleId, permissionId);
+    return staged.has(key) ? staged.get(key) : isGranted(roleId, permissionId);
+  };
+
+  /**
+   * Stages a cell change, or unstages it when it returns to the saved state
+   */
+  const toggleCell = (roleId, permissionId) => {
+    const key = cellKey(roleId, permissionId);
+    const next = !isChecked(roleId, permissionId);
+    setStaged((current) => {
+      const updated = new Map(current);
+      if (next === isGranted(roleId, permissionId)) {
+        updated.delete(key);
+      } else {
+        updated.set(key, next);
+      }
+      return updated;
+    });
+    setFailures((current) => {
+      if (!current.has(key)) return current;
+      const updated = new Map(current);
+      updated.delete(key);
+      return updated;
+    });
+  };
+
+  const roleById = new Map(roles.map((role) => [role.id, role]));
+  const permissionById = new Map(permissions.map((permission) => [permission.id, permission]));
+
+  const changes = [...staged].map(([key, grant]) => {
+    const [roleId, permissionId] = key.split(':').map(Number);
+    return { key, roleId, permissionId, grant, role: roleById.get(roleId), permission: permissionById.get(permissionId) };
+  }).filter((change) => change.role && change.permission);
+
+  // Diff summary, by role
+  const diff = roles
+    .map((role) => ({
+      role,
+      added: changes.filter((change) => change.roleId === role.id && change.grant),
+      removed: changes.filter((change) => change.roleId === role.id && !change.grant),
+    }))
+    .filter(({ added, removed }) => added.length + removed.length > 0);
+
+  /**
+   * Applies the staged changes in batches
+   * Successful cells are saved; failed ones go back to their saved state.
+   * The whole apply is one audit trail entry, as its batches run in parallel
+   */
+  const handleApply = async () => {
+    setApplying({ done: 0, total: changes.length });
+    const succeeded = [];
+    const failed = new Map();
+
+    await recordAudit(async () => {
+      for (let start = 0; start < changes.length; start += MATRIX_BATCH_SIZE) {
+        const batch = changes.slice(start, start + MATRIX_BATCH_SIZE);
+        const results = await Promise.allSettled(batch.map((change) => (
+          change.grant
+            ? authService.assignPermissionToRole(change.roleId, change.permissionId)
+            : authService.removePermissionFromRole(change.roleId, change.permissionId)
+        )));
+        results.forEach((result, index) => {
+          if (result.status === 'fulfilled') {
+            succeeded.push(batch[index]);
+          } else {
+            failed.set(batch[index].key, getErrorMessage(result.reason));
+          }
+        });
+        setApplying({ done: start + batch.length, total: changes.length });
+      }
+    }, {
+      action: 'role.permissions.apply',
+      target: { type: 'role', name: diff.map(({ role }) => role.name).join(', ') },
+      describeFailure: () => (failed.size > 0 ? `${failed.size} of ${changes.length} changes failed` : null),
+    });
+
+    // Saved permissions of every role that changed
+    [...new Set(succeeded.map((change) => change.roleId))].forEach((roleId) => {
+      const role = roleById.get(roleId);
+      const roleChanges = succeeded.filter((change) => change.roleId === roleId);
+      const removedIds = new Set(roleChanges.filter((change) => !change.grant).map((change) => change.permissionId));
+      onRoleUpdated(roleId, [
+        ...(role.permissions || []).filter((permission) => !removedIds.has(permission.id)),
+        ...roleChanges.filter((change) => change.grant).map((change) => change.permission),
+      ]);
+    });
+
+    setStaged(new Map());
+    setFailures(failed);
+    setApplying(null);
+    setShowReview(false);
+
+    if (failed.size === 0) {
+      toast.success(`${succeeded.length} permission change${succeeded.length === 1 ? '' : 's'} applied`);
+    } else {
+      toast.error(`${failed.size} of ${changes.length} changes failed and were rolled back`);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3 px-4 pt-4">
+        <input
+          type="search"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          placeholder="Filter permissions..."
+          className="w-64 px-3 py-2 border border-gray-300 rounded-md text-sm"
+        />
+        {canEdit && (
+          <div className="flex items-center space-x-3">
+            <span className="text-sm text-gray-600">
+              {changes.length} unsaved change{changes.length === 1 ? '' : 's'}
+            </span>
+            <button
+              type="button"
+              onClick={() => setStaged(new Map())}
+              disabled={changes.length === 0}
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              Discard
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowReview(true)}
+              disabled={changes.length === 0}
+              className="px-3 py-2 bg-primary-600 text-white rounded-md text-sm hover:bg-primary-700 disabled:opacity-50"
+            >
+              Review changes
+            </button>
+          </div>
+        )}
+      </div>
+
+      {failures.size > 0 && (
+        <div className="px-4">
+          <Alert
+            type="error"
+            message={`${failures.size} change${failures.size === 1 ? '' : 's'} could not be applied and were rolled back. Failed cells are outlined in red; hover them for the reason.`}
+          />
+        </div>
+      )}
+
+      <div className="max-h-[70vh] overflow-auto border-t border-gray-200">
+        <table className="min-w-full text-sm border-separate border-spacing-0">
+          <thead>
+            <tr>
+              <th className="sticky top-0 left-0 z-20 px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase bg-gray-50 border-b border-gray-200">
+                Permission
+              </th>
+              {roles.map((role) => (
+                <th
+                  key={role.id}
+                  scope="col"
+                  className="sticky top-0 z-10 px-2 py-3 text-center text-xs font-medium text-gray-700 bg-gray-50 border-b border-gray-200 whitespace-nowrap"
+                  title={role.description || role.name}
+                >
+                  {role.name}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {groups.map(([resource, groupPermissions]) => (
+              <React.Fragment key={resource}>
+                <tr>
+                  <th
+                    colSpan={roles.length + 1}
+                    className="sticky left-0 px-4 py-2 text-left text-xs font-semibold text-gray-600 uppercase bg-gray-100 border-b border-gray-200"
+                  >
+                    {resource}
+                  </th>
+                </tr>
+                {groupPermissions.map((permission) => (
+                  <tr key={permission.id} className="hover:bg-gray-50">
+                    <th
+                      scope="row"
+                      className="sticky left-0 px-4 py-2 text-left font-normal text-gray-900 bg-white border-b border-gray-100 whitespace-nowrap"
+                      title={permission.description || permission.name}
+                    >
+                      {permission.name}
+                    </th>
+                    {roles.map((role) => {
+                      const key = cellKey(role.id, permission.id);
+                      const checked = isChecked(role.id, permission.id);
+                      const isStaged = staged.has(key);
+                      const failure = failures.get(key);
+                      return (
+                        <td
+                          key={role.id}
+                          className={`px-2 py-1 text-center border-b border-gray-100 ${isStaged ? 'bg-yellow-50' : ''}`}
+                        >
+                          <input
+                            type="checkbox"
+                            checked={checked}
+                            onChange={() => toggleCell(role.id, permission.id)}
+                            disabled={!canEdit || Boolean(applying)}
+                            title={failure || `${checked ? 'Revoke' : 'Grant'} ${permission.name} ${checked ? 'from' : 'to'} ${role.name}`}
+                            aria-label={`${permission.name} for ${role.name}`}
+                            className={`w-4 h-4 text-primary-600 border-gray-300 rounded ${
+                              failure ? 'ring-2 ring-red-500 ring-offset-1' : ''
+                            }`}
+                          />
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </React.Fragment>
+            ))}
+            {groups.length === 0 && (
+              <tr>
+                <td colSpan={roles.length + 1} className="px-4 py-6 text-center text-gray-500">
+                  {filter ? `No permissions match "${filter}"` : 'No permissions defined'}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Diff summary */}
+      <Modal
+        isOpen={showReview}
+        onClose={() => !applying && setShowReview(false)}
+        title="Review Permission Changes"
+        size="lg"
+        showCloseButton={!applying}
+      >
+        <div className="space-y-4">
+          <p className="text-sm text-gray-700">
+            {changes.length} change{changes.length === 1 ? '' : 's'} across {diff.length} role{diff.length === 1 ? '' : 's'}.
+          </p>
+          <ul className="max-h-80 overflow-y-auto space-y-3">
+            {diff.map(({ role, added, removed }) => (
+              <li key={role.id} className="border border-gray-200 rounded-md p-3">
+                <p className="text-sm font-medium text-gray-900">{role.name}</p>
+                {added.length > 0 && (
+                  <p className="mt-1 text-sm text-green-700">
+                    + {added.map((change) => change.permission.name).join(', ')}
+                  </p>
+                )}
+                {removed.length > 0 && (
+                  <p className="mt-1 text-sm text-red-700">
+                    − {removed.map((change) => change.permission.name).join(', ')}
+                  </p>
+                )}
+              </li>
+            ))}
+          </ul>
+
+          {applying && (
+            <div
+              className="w-full h-2 bg-gray-200 rounded-full overflow-hidden"
+              role="progressbar"
+              aria-valuemin={0}
+              aria-valuemax={applying.total}
+              aria-valuenow={applying.done}
+            >
+              <div
+                className="h-full bg-primary-600 transition-all"
+                style={{ width: `${Math.round((applying.done / applying.total) * 100)}%` }}
+              />
+            </div>
+          )}
+
+          <div className="flex justify-end space-x-3">
+            <button
+              type="button"
+              onClick={() => setShowReview(false)}
+              disabled={Boolean(applying)}
+              className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              Keep editing
+            </button>
+            <button
+              type="button"
+              onClick={handleApply}
+              disabled={Boolean(applying)}
+              className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50"
+            >
+              {applying ? `Applying ${applying.done}/${applying.total}...` : `Apply ${changes.length} change${changes.length === 1 ? '' : 's'}`}
+            </button>
+          </div>
+        </div>
+      </Modal>
+    </div>
+  );
+};
+
+export default RolePermissionMatrix;
@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+
+/**
+ * Multi-select of roles as a filterable checkbox list
+ * @param {Object} props - Component properties
+ * @param {Array} props.roles - Roles to choose from
+ * @param {number[]} props.value - IDs of the selected roles
+ * @param {Function} props.onChange - Called with the new list of IDs
+ * @param {boolean} props.disabled - Disables the checkboxes
+ * @param {string} props.id - ID of the filter input, for an external label
+ */
+const RoleSelect = ({ roles, value, onChange, disabled = false, id = 'role_select' }) => {
+  const [filter, setFilter] = useState('');
+
+  const term = filter.trim().toLowerCase();
+  const visibleRoles = term
+    ? roles.filter((role) => `${role.name} ${role.description || ''}`.toLowerCase().includes(term))
+    : roles;
+
+  const toggle = (roleId, checked) => {
+    onChange(checked ? [...value, roleId] : value.filter((selectedId) => selectedId !== roleId));
+  };
+
+  if (roles.length === 0) {
+    return <p className="text-sm text-gray-500">No roles have been defined yet.</p>;
+  }
+
+  return (
+    <div className="border border-gray-300 rounded">
+      {roles.length > 6 && (
+        <input
+          type="search"
+          id={id}
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          placeholder="Filter roles..."
+          className="w-full px-3 py-2 text-sm border-0 border-b border-gray-200 rounded-t focus:ring-0"
+        />
+      )}
+      <ul className="max-h-48 overflow-y-auto divide-y divide-gray-100">
+        {visibleRoles.map((role) => (
+          <li key={role.id}>
+            <label className="flex items-start px-3 py-2 space-x-2 cursor-pointer hover:bg-gray-50">
+              <input
+                type="checkbox"
+                checked={value.includes(role.id)}
+                onChange={(e) => toggle(role.id, e.target.checked)}
+                disabled={disabled}
+                className="w-4 h-4 mt-0.5 text-primary-600 border-gray-300 rounded"
+              />
+              <span>
+                <span className="block text-sm font-medium text-gray-900">{role.name}</span>
+                {role.description && (
+                  <span className="block text-xs text-gray-500">{role.description}</span>
+                )}
+              </span>
+            </label>
+          </li>
+        ))}
+        {visibleRoles.length === 0 && (
+          <li className="px-3 py-2 text-sm text-gray-500">No roles match "{filter}"</li>
+        )}
+      </ul>
+      <div className="px-3 py-1.5 text-xs text-gray-500 bg-gray-50 border-t border-gray-200 rounded-b">
+        {value.length} of {roles.length} selected
+      </div>
+    </div>
+  );
+};
+
+export default RoleSelect;
@@ -0,0 +1,61 @@
+import React from 'react';
+import { Alert } from './ui';
+import { buildRoleTree, findCycles, indexRoles, withInheritedPermissions } from '../utils/roleHierarchy';
+
+/**
+ * One role and, nested below it, the roles inheriting from it
+ */
+const RoleNode = ({ node, rolesById, depth }) => {
+  const { role, children } = node;
+  const own = role.permissions?.length ?? 0;
+  const inherited = withInheritedPermissions(role, rolesById).permissions.length - own;
+
+  return (
+    <li>
+      <div className="flex items-center py-2" style={{ paddingLeft: `${depth * 1.5}rem` }}>
+        <span className="mr-2 text-gray-400" aria-hidden="true">{depth > 0 ? '└' : '🛡️'}</span>
+        <span className="text-sm font-medium text-gray-900">{role.name}</span>
+        <span className="ml-3 text-xs text-gray-500">
+          {own} own{inherited > 0 && `, ${inherited} inherited`} permission{own + inherited === 1 ? '' : 's'}
+        </span>
+      </div>
+      {children.length > 0 && (
+        <ul>
+          {children.map((child) => (
+            <RoleNode key={child.role.id} node={child} rolesById={rolesById} depth={depth + 1} />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+/**
+ * Tree of roles by inheritance, with inheritance cycles reported separately
+ * @param {Object} props - Component properties
+ * @param {Array} props.roles - Roles, with parent_role_id and permissions
+ */
+const RoleTree = ({ roles }) => {
+  const rolesById = indexRoles(roles);
+  const tree = buildRoleTree(roles);
+  const cycles = findCycles(roles);
+
+  return (
+    <div className="p-4 space-y-4">
+      {cycles.map((cycle) => (
+        <Alert
+          key={cycle[0].id}
+          type="warning"
+          message={`Inheritance cycle: ${[...cycle, cycle[0]].map((role) => role.name).join(' → ')}. Edit one of these roles and pick another parent.`}
+        />
+      ))}
+      <ul className="divide-y divide-gray-100">
+        {tree.map((node) => (
+          <RoleNode key={node.role.id} node={node} rolesById={rolesById} depth={0} />
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default RoleTree;
@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, LoadingSpinner, Alert } from './ui';
+import RoleSelect from './RoleSelect';
+import EffectivePermissions from './EffectivePermissions';
+import { useApi } from '../hooks/useApi';
+import * as authService from '../services/authService';
+import { getErrorMessage } from '../utils/errors';
+import { MESSAGES } from '../constants';
+
+/**
+ * User detail view: profile, assigned roles and the permissions they add up to
+ * Role changes are previewed live and saved on demand
+ * @param {Object} props - Component properties
+ * @param {Object|null} props.user - User to show; the modal is open while set
+ * @param {Function} props.onClose - Function executed on close
+ * @param {Array|null} props.roles - Roles that can be assigned, null if the admin can't list roles
+ * @param {boolean} props.canAssignRoles - Whether the admin may change the user's roles
+ * @param {string|null} props.companyName - Name of the user's company, null to hide it
+ * @param {Function} props.onRolesChanged - Called with the user and the new roles after saving
+ */
+const UserDetails = ({ user, onClose, roles, canAssignRoles, companyName, onRolesChanged }) => {
+  const { loading: saving, execute } = useApi();
+  const [assignedRoles, setAssignedRoles] = useState([]);
+  const [draftRoleIds, setDraftRoleIds] = useState([]);
+  const [loadingRoles, setLoadingRoles] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+
+  const userId = user?.id;
+
+  useEffect(() => {
+    if (!userId) return undefined;
+
+    let cancelled = false;
+    setLoadingRoles(true);
+    setLoadError(null);
+    authService.getUserRoles(userId)
+      .then((data) => {
+        if (cancelled) return;
+        setAssignedRoles(data);
+        setDraftRoleIds(data.map((role) => role.id));
+      })
+      .catch((err) => {
+        if (!cancelled) setLoadError(getErrorMessage(err, MESSAGES.ERROR.FETCH));
+      })
+      .finally(() => {
+        if (!cancelled) setLoadingRoles(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  const assignedIds = assignedRoles.map((role) => role.id);
+  const dirty = draftRoleIds.length !== assignedIds.length
+    || draftRoleIds.some((roleId) => !assignedIds.includes(roleId));
+
+  // Prefer the full role list, which carries every role's permissions
+  const roleOptions = roles || assignedRoles;
+  const previewRoles = draftRoleIds
+    .map((roleId) => roleOptions.find((role) => role.id === roleId) || assignedRoles.find((role) => role.id === roleId))
+    .filter(Boolean);
+
+  const handleSave = async () => {
+    try {
+      await execute(
+        () => authService.setUserRoles(userId, assignedIds, draftRoleIds),
+        {
+          successMessage: 'Roles updated successfully',
+          audit: { action: 'user.roles.update', target: { type: 'user', id: userId, name: user.username } }
+        }
+      );
+      setAssignedRoles(previewRoles);
+      onRolesChanged?.(user, previewRoles);
+    } catch {
+      // Error is handled by useApi hook
+    }
+  };
+
+  const details = user ? [
+    ['Email', user.email],
+    ['Username', user.username],
+    ...(companyName !== null ? [['Company', companyName]] : []),
+    ['Status', user.is_active ? 'Active' : 'Inactive'],
+    ['Type', user.is_superuser ? 'Administrator' : 'User'],
+    ['Last login', user.last_login ? new Date(user.last_login).toLocaleString() : 'Never'],
+    ['Created', user.created_at ? new Date(user.created_at).toLocaleDateString() : '—'],
+  ] : [];
+
+  return (
+    <Modal
+      isOpen={Boolean(user)}
+      onClose={onClose}
+      title={user ? user.full_name || user.username : ''}
+      size="lg"
+    >
+      <div className="space-y-6">
+        <dl className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-3">
+          {details.map(([label, value]) => (
+            <div key={label}>
+              <dt className="text-xs font-medium text-gray-500 uppercase">{label}</dt>
+              <dd className="text-sm text-gray-900">{value}</dd>
+            </div>
+          ))}
+        </dl>
+
+        <section>
+          <h4 className="text-sm font-medium text-gray-700 mb-2">Roles</h4>
+          {loadError && <Alert type="error" message={loadError} className="mb-2" />}
+          {loadingRoles ? (
+            <LoadingSpinner size="sm" />
+          ) : canAssignRoles && roles ? (
+            <RoleSelect roles={roles} value={draftRoleIds} onChange={setDraftRoleIds} disabled={saving} />
+          ) : assignedRoles.length > 0 ? (
+            <div className="flex flex-wrap gap-1">
+              {assignedRoles.map((role) => (
+                <span
+                  key={role.id}
+                  className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800"
+                >
+                  {role.name}
+                </span>
+              ))}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">No roles assigned</p>
+          )}
+        </section>
+
+        <section>
+          <h4 className="text-sm font-medium text-gray-700 mb-2">
+            Effective permissions{dirty && ' (preview of unsaved changes)'}
+          </h4>
+          {!loadingRoles && <EffectivePermissions user={user} roles={previewRoles} />}
+        </section>
+
+        <div className="flex justify-end space-x-2 pt-2">
+          {dirty && (
+            <button
+              type="button"
+              onClick={() => setDraftRoleIds(assignedIds)}
+              disabled={saving}
+              className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 transition-colors"
+            >
+              Discard changes
+            </button>
+          )}
+          {canAssignRoles && roles && (
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={!dirty || saving}
+              className="px-4 py-2 text-white bg-primary-600 rounded-md hover:bg-primary-700 transition-colors disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save roles'}
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 transition-colors"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default UserDetails;
@@ -0,0 +1,545 @@
+import React, { useState, useRef } from 'react';
+import { Modal, Alert, LoadingSpinner } from './ui';
+import * as authService from '../services/authService';
+import { parseCsv, detectDelimiter } from '../utils/csv';
+import { exportRows, EXPORT_FORMATS } from '../utils/export';
+import { generatePassword } from '../utils/password';
+import { getErrorMessage } from '../utils/errors';
+import { useAuditTrail } from '../hooks/useAuditTrail';
+import { VALIDATION } from '../constants';
+
+// Larger onboardings should go through the backend directly
+const IMPORT_MAX_ROWS = 1000;
+// createUser calls in flight at once
+const IMPORT_BATCH_SIZE = 5;
+
+const STEPS = {
+  UPLOAD: 'upload',
+  MAP: 'map',
+  PREVIEW: 'preview',
+  IMPORTING: 'importing',
+  DONE: 'done',
+};
+
+/**
+ * User fields a CSV column can be mapped to, with header names recognized automatically
+ */
+const IMPORT_FIELDS = [
+  { key: 'email', label: 'Email', required: true, aliases: ['email', 'e-mail', 'mail', 'email address'] },
+  { key: 'username', label: 'Username', required: true, aliases: ['username', 'user name', 'login', 'user'] },
+  { key: 'full_name', label: 'Full name', aliases: ['full name', 'fullname', 'name'] },
+  { key: 'company_id', label: 'Company ID', aliases: ['company id', 'company'] },
+  { key: 'is_superuser', label: 'Administrator', aliases: ['is superuser', 'superuser', 'admin', 'administrator', 'is admin'] },
+];
+
+const BOOLEAN_VALUES = {
+  true: true, yes: true, y: true, 1: true,
+  false: false, no: false, n: false, 0: false, '': false,
+};
+
+/**
+ * Normalizes a header for matching ("Full_Name " -> "full name")
+ * @param {string} header - CSV header
+ * @returns {string} Normalized header
+ */
+const normalizeHeader = (header) => header.trim().toLowerCase().replace(/[_-]+/g, ' ').replace(/\s+/g, ' ');
+
+/**
+ * Maps each user field to the CSV column whose header matches one of its aliases
+ * @param {string[]} headers - CSV headers
+ * @returns {Object} Column index by field key, -1 when not mapped
+ */
+const guessMapping = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+  return Object.fromEntries(IMPORT_FIELDS.map((field) => [
+    field.key,
+    normalized.findIndex((header) => field.aliases.includes(header)),
+  ]));
+};
+
+/**
+ * Validates one CSV row and builds the createUser payload
+ * Rows are checked against the VALIDATION rules, the existing users and the
+ * rows above them in the file
+ * @param {Object} values - Raw values by field key
+ * @param {Object} context - Existing emails/usernames, values seen so far, valid company IDs and the default company
+ * @returns {Object} { user, errors }
+ */
+const validateRow = (values, context) => {
+  const errors = [];
+  const email = values.email.trim();
+  const username = values.username.trim();
+  const fullName = values.full_name.trim();
+  const companyId = values.company_id.trim();
+  const isSuperuser = BOOLEAN_VALUES[values.is_superuser.trim().toLowerCase()];
+
+  if (!email) {
+    errors.push(`Email: ${VALIDATION.MESSAGES.REQUIRED}`);
+  } else if (!VALIDATION.EMAIL_REGEX.test(email)) {
+    errors.push(VALIDATION.MESSAGES.EMAIL_INVALID);
+  } else if (context.existingEmails.has(email.toLowerCase())) {
+    errors.push('A user with this email already exists');
+  } else if (context.seenEmails.has(email.toLowerCase())) {
+    errors.push('Email appears earlier in the file');
+  }
+
+  if (!username) {
+    errors.push(`Username: ${VALIDATION.MESSAGES.REQUIRED}`);
+  } else if (username.length < VALIDATION.USERNAME_MIN_LENGTH) {
+    errors.push(VALIDATION.MESSAGES.USERNAME_TOO_SHORT);
+  } else if (username.length > VALIDATION.USERNAME_MAX_LENGTH) {
+    errors.push(VALIDATION.MESSAGES.USERNAME_TOO_LONG);
+  } else if (context.existingUsernames.has(username.toLowerCase())) {
+    errors.push('A user with this username already exists');
+  } else if (context.seenUsernames.has(username.toLowerCase())) {
+    errors.push('Username appears earlier in the file');
+  }
+
+  if (fullName.length > VALIDATION.FULL_NAME_MAX_LENGTH) {
+    errors.push(`Full name cannot exceed ${VALIDATION.FULL_NAME_MAX_LENGTH} characters`);
+  }
+
+  if (companyId && !/^\d+$/.test(companyId)) {
+    errors.push('Company ID must be a number');
+  } else if (companyId && context.companyIds && !context.companyIds.has(Number(companyId))) {
+    errors.push(`Company ${companyId} does not exist`);
+  }
+
+  if (isSuperuser === undefined) {
+    errors.push('Administrator must be yes/no, true/false or 1/0');
+  }
+
+  if (email) context.seenEmails.add(email.toLowerCase());
+  if (username) context.seenUsernames.add(username.toLowerCase());
+
+  return {
+    errors,
+    user: {
+      email,
+      username,
+      full_name: fullName || undefined,
+      company_id: companyId ? Number(companyId) : context.defaultCompanyId,
+      is_superuser: Boolean(isSuperuser),
+      is_active: true,
+      // Imported users set their own password through "Forgot password"
+      password: generatePassword(),
+    },
+  };
+};
+
+/**
+ * Loads every existing user's email and username, lowercased
+ * @returns {Promise<Object>} { emails, usernames } sets
+ */
+const loadExistingUsers = async () => {
+  const users = await authService.getAllPages(authService.getUsersPage);
+  return {
+    emails: new Set(users.map((user) => user.email?.toLowerCase()).filter(Boolean)),
+    usernames: new Set(users.map((user) => user.username?.toLowerCase()).filter(Boolean)),
+  };
+};
+
+/**
+ * CSV import wizard for the Users page
+ * Upload, map columns, preview the validation result (dry run), then create
+ * the valid users in batches and offer a report of the rows that failed
+ * @param {Object} props - Component properties
+ * @param {boolean} props.isOpen - If the wizard is open
+ * @param {Function} props.onClose - Function executed on close
+ * @param {Function} props.onImported - Called after an import that created users
+ * @param {Array|null} props.companies - Companies the admin can assign, null if they can't see companies
+ * @param {number} props.defaultCompanyId - Company for rows without one
+ */
+const UserImportWizard = ({ isOpen, onClose, onImported, companies, defaultCompanyId }) => {
+  const [step, setStep] = useState(STEPS.UPLOAD);
+  const [fileName, setFileName] = useState('');
+  const [headers, setHeaders] = useState([]);
+  const [records, setRecords] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [rows, setRows] = useState([]);
+  const [onlyErrors, setOnlyErrors] = useState(false);
+  const [error, setError] = useState(null);
+  const [warning, setWarning] = useState(null);
+  const [validating, setValidating] = useState(false);
+  const stopRef = useRef(false);
+  const recordAudit = useAuditTrail();
+
+  const validRows = rows.filter((row) => row.errors.length === 0);
+  const invalidRows = rows.filter((row) => row.errors.length > 0);
+  const processed = rows.filter((row) => row.status === 'created' || row.status === 'failed');
+  const created = rows.filter((row) => row.status === 'created');
+  const failed = rows.filter((row) => row.status === 'failed');
+
+  /**
+   * Resets the wizard to the upload step
+   */
+  const reset = () => {
+    setStep(STEPS.UPLOAD);
+    setFileName('');
+    setHeaders([]);
+    setRecords([]);
+    setMapping({});
+    setRows([]);
+    setOnlyErrors(false);
+    setError(null);
+    setWarning(null);
+  };
+
+  const handleClose = () => {
+    // Closing mid-import would leave it running unseen
+    if (step === STEPS.IMPORTING) return;
+    reset();
+    onClose();
+  };
+
+  /**
+   * Reads and parses the chosen file
+   * @param {Event} event - File input change event
+   */
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setError(null);
+    try {
+      const text = await file.text();
+      const [headerRow, ...dataRows] = parseCsv(text, detectDelimiter(text));
+
+      if (!headerRow || dataRows.length === 0) {
+        setError('The file has no data rows. The first row must contain column headers.');
+        return;
+      }
+      if (dataRows.length > IMPORT_MAX_ROWS) {
+        setError(`The file has ${dataRows.length} rows; at most ${IMPORT_MAX_ROWS} can be imported at once.`);
+        return;
+      }
+
+      setFileName(file.name);
+      setHeaders(headerRow.map((header) => header.trim()));
+      setRecords(dataRows);
+      setMapping(guessMapping(headerRow));
+      setStep(STEPS.MAP);
+    } catch {
+      setError('The file could not be read as CSV.');
+    }
+  };
+
+  /**
+   * Validates every row against the rules and the existing users (dry run)
+   */
+  const handlePreview = async () => {
+    setValidating(true);
+    setWarning(null);
+
+    let existing = { emails: new Set(), usernames: new Set() };
+    try {
+      existing = await loadExistingUsers();
+    } catch (err) {
+      setWarning(`Existing users could not be checked (${getErrorMessage(err)}); duplicates will be reported during the import.`);
+    }
+
+    const context = {
+      existingEmails: existing.emails,
+      existingUsernames: existing.usernames,
+      seenEmails: new Set(),
+      seenUsernames: new Set(),
+      companyIds: companies ? new Set(companies.map((company) => company.id)) : null,
+      defaultCompanyId,
+    };
+
+    setRows(records.map((record, index) => {
+      const values = Object.fromEntries(IMPORT_FIELDS.map((field) => [
+        field.key,
+        mapping[field.key] >= 0 ? record[mapping[field.key]] ?? '' : '',
+      ]));
+      return { row: index + 1, values, ...validateRow(values, context), status: 'pending', error: null };
+    }));
+    setValidating(false);
+    setStep(STEPS.PREVIEW);
+  };
+
+  /**
+   * Creates the valid users, IMPORT_BATCH_SIZE at a time
+   * (recorded as one audit trail entry, as the batches run in parallel)
+   */
+  const handleImport = async () => {
+    stopRef.current = false;
+    setStep(STEPS.IMPORTING);
+    let createdCount = 0;
+    let attemptedCount = 0;
+
+    await recordAudit(async () => {
+      for (let start = 0; start < validRows.length && !stopRef.current; start += IMPORT_BATCH_SIZE) {
+        const batch = validRows.slice(start, start + IMPORT_BATCH_SIZE);
+        const results = await Promise.allSettled(batch.map((row) => authService.createUser(row.user)));
+        const outcomes = new Map(batch.map((row, index) => [row.row, results[index]]));
+        attemptedCount += batch.length;
+        createdCount += results.filter((result) => result.status === 'fulfilled').length;
+
+        setRows((current) => current.map((row) => {
+          const outcome = outcomes.get(row.row);
+          if (!outcome) return row;
+          return outcome.status === 'fulfilled'
+            ? { ...row, status: 'created' }
+            : { ...row, status: 'failed', error: getErrorMessage(outcome.reason) };
+        }));
+      }
+    }, {
+      action: 'user.import',
+      target: { type: 'user', name: fileName },
+      describeFailure: () => (createdCount < attemptedCount ? `${attemptedCount - createdCount} of ${attemptedCount} users could not be created` : null),
+    });
+
+    setStep(STEPS.DONE);
+    if (createdCount > 0) onImported?.();
+  };
+
+  /**
+   * Downloads the rows that were skipped or failed, with their errors
+   */
+  const handleDownloadReport = () => {
+    const reportRows = rows
+      .filter((row) => row.errors.length > 0 || row.status === 'failed')
+      .map((row) => ({
+        row: row.row,
+        ...row.values,
+        errors: row.errors.length > 0 ? row.errors.join('; ') : row.error,
+      }));
+
+    exportRows({
+      batches: [reportRows],
+      columns: [
+        { header: 'Row', accessor: 'row' },
+        ...IMPORT_FIELDS.map((field) => ({ header: field.key, accessor: field.key })),
+        { header: 'Errors', accessor: 'errors' },
+      ],
+      format: EXPORT_FORMATS.CSV,
+      fileName: `${fileName.replace(/\.csv$/i, '')}-errors`,
+    });
+  };
+
+  const missingRequired = IMPORT_FIELDS.filter((field) => field.required && !(mapping[field.key] >= 0));
+  const previewRows = onlyErrors ? invalidRows : rows;
+
+  return (
+    <Modal isOpen={isOpen} onClose={handleClose} title="Import Users from CSV" size="xl" showCloseButton={step !== STEPS.IMPORTING}>
+      <div className="space-y-4">
+        {error && <Alert type="error" message={error} />}
+        {warning && <Alert type="warning" message={warning} />}
+
+        {step === STEPS.UPLOAD && (
+          <>
+            <p className="text-sm text-gray-700">
+              Upload a CSV file with a header row. Columns for email and username are required;
+              full name, company ID and administrator (yes/no) are optional.
+            </p>
+            <p className="text-sm text-gray-500">
+              Imported users get a random password and set their own through "Forgot password".
+              Up to {IMPORT_MAX_ROWS} rows per file.
+            </p>
+            <label className="flex flex-col items-center justify-center w-full h-32 border-2 border-dashed border-gray-300 rounded-md cursor-pointer hover:border-primary-400">
+              <span className="text-sm font-medium text-primary-600">Choose a CSV file</span>
+              <input type="file" accept=".csv,text/csv" onChange={handleFileChange} className="sr-only" />
+            </label>
+          </>
+        )}
+
+        {step === STEPS.MAP && (
+          <>
+            <p className="text-sm text-gray-700">
+              <span className="font-medium">{fileName}</span>: {records.length} rows. Match the file's columns to user fields.
+            </p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              {IMPORT_FIELDS.map((field) => (
+                <div key={field.key}>
+                  <label htmlFor={`import_${field.key}`} className="block text-sm font-medium text-gray-700">
+                    {field.label}{field.required && ' *'}
+                  </label>
+                  <select
+                    id={`import_${field.key}`}
+                    value={mapping[field.key] ?? -1}
+                    onChange={(e) => setMapping((current) => ({ ...current, [field.key]: Number(e.target.value) }))}
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+                  >
+                    <option value={-1}>— Not mapped —</option>
+                    {headers.map((header, index) => (
+                      <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+            {missingRequired.length > 0 && (
+              <p className="text-sm text-red-600">
+                Map a column to: {missingRequired.map((field) => field.label).join(', ')}
+              </p>
+            )}
+            <div className="flex justify-between">
+              <button type="button" onClick={reset} className="btn-secondary">
+                Choose another file
+              </button>
+              <button
+                type="button"
+                onClick={handlePreview}
+                disabled={missingRequired.length > 0 || validating}
+                className="btn-primary"
+              >
+                {validating ? 'Checking...' : 'Preview import'}
+              </button>
+            </div>
+          </>
+        )}
+
+        {step === STEPS.PREVIEW && (
+          <>
+            <div className="flex items-center justify-between">
+              <p className="text-sm text-gray-700">
+                Dry run: <span className="font-medium text-green-700">{validRows.length} ready to import</span>
+                {invalidRows.length > 0 && (
+                  <>, <span className="font-medium text-red-700">{invalidRows.length} with errors will be skipped</span></>
+                )}
+              </p>
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={onlyErrors}
+                  onChange={(e) => setOnlyErrors(e.target.checked)}
+                  className="w-4 h-4 text-primary-600 border-gray-300 rounded"
+                />
+                <span>Only rows with errors</span>
+              </label>
+            </div>
+
+            <div className="max-h-96 overflow-auto border border-gray-200 rounded-md">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Row</th>
+                    {IMPORT_FIELDS.map((field) => (
+                      <th key={field.key} className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">
+                        {field.label}
+                      </th>
+                    ))}
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Result</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {previewRows.map((row) => (
+                    <tr key={row.row} className={row.errors.length > 0 ? 'bg-red-50' : ''}>
+                      <td className="px-3 py-2 text-gray-500">{row.row}</td>
+                      {IMPORT_FIELDS.map((field) => (
+                        <td key={field.key} className="px-3 py-2 text-gray-900">{row.values[field.key]}</td>
+                      ))}
+                      <td className="px-3 py-2">
+                        {row.errors.length > 0 ? (
+                          <ul className="text-red-700">
+                            {row.errors.map((message) => <li key={message}>{message}</li>)}
+                          </ul>
+                        ) : (
+                          <span className="text-green-700">✓ Ready</span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="flex justify-between">
+              <button type="button" onClick={() => setStep(STEPS.MAP)} className="btn-secondary">
+                Back to mapping
+              </button>
+              <div className="flex space-x-3">
+                {invalidRows.length > 0 && (
+                  <button type="button" onClick={handleDownloadReport} className="btn-secondary">
+                    Download error report
+                  </button>
+                )}
+                <button
+                  type="button"
+                  onClick={handleImport}
+                  disabled={validRows.length === 0}
+                  className="btn-primary"
+                >
+                  Import {validRows.length} user{validRows.length === 1 ? '' : 's'}
+                </button>
+              </div>
+            </div>
+          </>
+        )}
+
+        {(step === STEPS.IMPORTING || step === STEPS.DONE) && (
+          <>
+            <div>
+              <div className="flex justify-between text-sm text-gray-700 mb-1">
+                <span>{step === STEPS.IMPORTING ? 'Creating users...' : 'Import finished'}</span>
+                <span>{processed.length} of {validRows.length}</span>
+              </div>
+              <div
+                className="w-full h-2 bg-gray-200 rounded-full overflow-hidden"
+                role="progressbar"
+                aria-valuemin={0}
+                aria-valuemax={validRows.length}
+                aria-valuenow={processed.length}
+              >
+                <div
+                  className="h-full bg-primary-600 transition-all"
+                  style={{ width: `${validRows.length ? Math.round((processed.length / validRows.length) * 100) : 100}%` }}
+                />
+              </div>
+            </div>
+
+            <p className="text-sm text-gray-700" aria-live="polite">
+              <span className="font-medium text-green-700">{created.length} created</span>
+              {failed.length > 0 && <>, <span className="font-medium text-red-700">{failed.length} failed</span></>}
+              {invalidRows.length > 0 && <>, {invalidRows.length} skipped</>}
+              {step === STEPS.DONE && processed.length < validRows.length && (
+                <>, {validRows.length - processed.length} not attempted</>
+              )}
+            </p>
+
+            {failed.length > 0 && (
+              <ul className="max-h-48 overflow-y-auto divide-y divide-gray-100 border border-gray-200 rounded-md text-sm">
+                {failed.map((row) => (
+                  <li key={row.row} className="flex justify-between px-3 py-2">
+                    <span className="font-medium text-gray-900">Row {row.row}: {row.values.username}</span>
+                    <span className="ml-3 text-right text-red-700">{row.error}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <div className="flex justify-end space-x-3">
+              {step === STEPS.IMPORTING ? (
+                <>
+                  <LoadingSpinner size="sm" />
+                  <button
+                    type="button"
+                    onClick={() => { stopRef.current = true; }}
+                    className="btn-secondary"
+                  >
+                    Stop after this batch
+                  </button>
+                </>
+              ) : (
+                <>
+                  {(failed.length > 0 || invalidRows.length > 0) && (
+                    <button type="button" onClick={handleDownloadReport} className="btn-secondary">
+                      Download error report
+                    </button>
+                  )}
+                  <button type="button" onClick={handleClose} className="btn-primary">
+                    Close
+                  </button>
+                </>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </Modal>
+  );
+};
+
+export default UserImportWizard;
@@ -0,0 +1,48 @@
+import React from 'react';
+
+/**
+ * Bar of actions for the selected table rows
+ * Hidden while nothing is selected
+ * @param {Object} props - Component properties
+ * @param {number|null} props.count - Number of selected rows, null if unknown
+ * @param {boolean} props.allMatching - Whether every row matching the query is selected
+ * @param {Array} props.actions - Actions ({ key, label, onClick, danger })
+ * @param {Function} props.onClear - Clears the selection
+ * @param {boolean} props.disabled - Disables the actions, e.g. while one is running
+ * @param {string} props.className - Additional CSS classes
+ */
+const BulkActionBar = ({ count, allMatching = false, actions = [], onClear, disabled = false, className = '' }) => {
+  if (!allMatching && !count) return null;
+
+  const summary = allMatching
+    ? (count === null ? 'All matching rows selected' : `All ${count} matching rows selected`)
+    : `${count} selected`;
+
+  return (
+    <div className={`flex items-center justify-between px-4 py-3 bg-gray-900 text-white rounded-lg shadow ${className}`}>
+      <div className="flex items-center space-x-4">
+        <span className="text-sm font-medium">{summary}</span>
+        <button type="button" onClick={onClear} className="text-sm text-gray-300 underline hover:text-white">
+          Clear
+        </button>
+      </div>
+      <div className="flex space-x-2">
+        {actions.map((action) => (
+          <button
+            key={action.key}
+            type="button"
+            onClick={action.onClick}
+            disabled={disabled}
+            className={`px-3 py-1.5 text-sm font-medium rounded-md transition-colors disabled:opacity-50 ${
+              action.danger ? 'bg-red-600 hover:bg-red-700' : 'bg-white/10 hover:bg-white/20'
+            }`}
+          >
+            {action.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default BulkActionBar;
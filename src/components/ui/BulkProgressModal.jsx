@@ -0,0 +1,80 @@
+import React from 'react';
+import Modal from './Modal';
+
+/**
+ * Progress and result report of a bulk action (see useBulkAction)
+ * Shows a progress bar while running, then the per-item outcome with the
+ * failures first
+ * @param {Object} props - Component properties
+ * @param {Object|null} props.progress - Progress state ({ title, total, results, running })
+ * @param {Function} props.onClose - Function executed on close
+ * @param {Function} props.onRetry - Retries the failed items
+ */
+const BulkProgressModal = ({ progress, onClose, onRetry }) => {
+  if (!progress) return null;
+
+  const { title, total, results, running } = progress;
+  const failed = results.filter((result) => !result.ok);
+  const succeeded = results.length - failed.length;
+  const percent = total ? Math.round((results.length / total) * 100) : 100;
+  const orderedResults = [...failed, ...results.filter((result) => result.ok)];
+
+  return (
+    <Modal isOpen onClose={onClose} title={title} size="md" showCloseButton={!running}>
+      <div className="space-y-4">
+        <div>
+          <div className="flex justify-between text-sm text-gray-700 mb-1">
+            <span>{running ? 'Processing...' : 'Finished'}</span>
+            <span>{results.length} of {total}</span>
+          </div>
+          <div
+            className="w-full h-2 bg-gray-200 rounded-full overflow-hidden"
+            role="progressbar"
+            aria-valuemin={0}
+            aria-valuemax={total}
+            aria-valuenow={results.length}
+          >
+            <div className="h-full bg-primary-600 transition-all" style={{ width: `${percent}%` }} />
+          </div>
+        </div>
+
+        <p className="text-sm text-gray-700" aria-live="polite">
+          <span className="text-green-700 font-medium">{succeeded} succeeded</span>
+          {failed.length > 0 && (
+            <>, <span className="text-red-700 font-medium">{failed.length} failed</span></>
+          )}
+        </p>
+
+        {orderedResults.length > 0 && (
+          <ul className="max-h-64 overflow-y-auto divide-y divide-gray-100 border border-gray-200 rounded-md text-sm">
+            {orderedResults.map((result) => (
+              <li key={result.item.id} className="flex items-start justify-between px-3 py-2">
+                <span className="font-medium text-gray-900">{result.label}</span>
+                {result.ok ? (
+                  <span className="ml-3 text-green-700">✓ Done</span>
+                ) : (
+                  <span className="ml-3 text-right text-red-700">✗ {result.error}</span>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {!running && (
+          <div className="flex justify-end space-x-3">
+            {failed.length > 0 && (
+              <button type="button" onClick={onRetry} className="btn-secondary">
+                Retry failed
+              </button>
+            )}
+            <button type="button" onClick={onClose} className="btn-primary">
+              Close
+            </button>
+          </div>
+        )}
+      </div>
+    </Modal>
+  );
+};
+
+export default BulkProgressModal;
@@ -1,52 +1,505 @@
-import React, { useState, useMemo } from 'react';
-import { PAGINATION } from '../../constants';
+import React, { useState, useMemo, useRef, useEffect } from 'react';
+import { useTablePreferences } from '../../hooks/useTablePreferences';
+import { useToast } from '../../contexts/ToastContext';
+import { exportRows, EXPORT_FORMATS } from '../../utils/export';
+import { getErrorMessage } from '../../utils/errors';
+import { MESSAGES, PAGINATION, SORT_DIRECTIONS } from '../../constants';
 
-const Table = ({ 
-  data = [], 
-  columns = [], 
+// Narrowest width a column can be resized to, in px
+const MIN_COLUMN_WIDTH = 60;
+
+/**
+ * Stable identifier of a column, used for layout preferences
+ * @param {Object} column - Column definition
+ * @returns {string} Column ID
+ */
+const getColumnId = (column) => column.id ?? column.accessor ?? column.header;
+
+/**
+ * Key a column sorts by: the server field in server mode, any unique key otherwise
+ * @param {Object} column - Column definition
+ * @returns {string} Sort key
+ */
+const getSortKey = (column) => column.sortKey || column.accessor || column.id;
+
+/**
+ * Default comparison for client-side sorting
+ * Empty values go last; numbers compare numerically, everything else as text
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Negative, zero or positive
+ */
+const compareValues = (a, b) => {
+  const aEmpty = a === null || a === undefined || a === '';
+  const bEmpty = b === null || b === undefined || b === '';
+  if (aEmpty || bEmpty) return aEmpty - bEmpty;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+};
+
+/**
+ * Next sort state when a column header is clicked: ascending, descending, then unsorted
+ * @param {Object|null} sort - Current sort ({ key, direction })
+ * @param {string} key - Sort key of the clicked column
+ * @returns {Object|null} New sort
+ */
+const getNextSort = (sort, key) => {
+  if (sort?.key !== key) return { key, direction: SORT_DIRECTIONS.ASC };
+  if (sort.direction === SORT_DIRECTIONS.ASC) return { key, direction: SORT_DIRECTIONS.DESC };
+  return null;
+};
+
+/**
+ * Moves an item of an array to another position
+ * @param {Array} list - Source array
+ * @param {number} from - Current index
+ * @param {number} to - New index
+ * @returns {Array} New array
+ */
+const moveItem = (list, from, to) => {
+  const next = [...list];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+};
+
+/**
+ * Closes a dropdown on outside click or Escape
+ * @param {Object} ref - Ref of the dropdown container
+ * @param {boolean} open - Whether the dropdown is open
+ * @param {Function} onClose - Closes the dropdown
+ */
+const useDismiss = (ref, open, onClose) => {
+  useEffect(() => {
+    if (!open) return undefined;
+
+    const handleClick = (event) => {
+      if (!ref.current?.contains(event.target)) onClose();
+    };
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    document.addEventListener('mousedown', handleClick);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handleClick);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [ref, open, onClose]);
+};
+
+/**
+ * Dropdown to download the table's rows
+ * @param {Object} props - Component properties
+ * @param {Function} props.onExport - Called with the chosen format
+ * @param {number|null} props.exportedCount - Rows exported so far, null when idle
+ */
+const ExportMenu = ({ onExport, exportedCount }) => {
+  const [open, setOpen] = useState(false);
+  const menuRef = useRef(null);
+  const exporting = exportedCount !== null;
+  useDismiss(menuRef, open, () => setOpen(false));
+
+  const handleSelect = (format) => {
+    setOpen(false);
+    onExport(format);
+  };
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        type="button"
+        onClick={() => setOpen((value) => !value)}
+        disabled={exporting}
+        aria-expanded={open}
+        className="px-3 py-1 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+      >
+        {exporting ? `Exporting ${exportedCount}...` : 'Export'}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 z-20 mt-2 w-40 bg-white border border-gray-200 rounded-md shadow-lg py-1">
+          <button
+            type="button"
+            onClick={() => handleSelect(EXPORT_FORMATS.CSV)}
+            className="block w-full px-4 py-2 text-sm text-left text-gray-700 hover:bg-gray-50"
+          >
+            CSV
+          </button>
+          <button
+            type="button"
+            onClick={() => handleSelect(EXPORT_FORMATS.JSON)}
+            className="block w-full px-4 py-2 text-sm text-left text-gray-700 hover:bg-gray-50"
+          >
+            JSON
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Dropdown listing the columns, to show/hide and reorder them
+ * @param {Object} props - Component properties
+ * @param {Array} props.columns - Columns in display order
+ * @param {string[]} props.hidden - IDs of hidden columns
+ * @param {Function} props.onToggle - Called with a column ID to show or hide it
+ * @param {Function} props.onMove - Called with (columnId, offset) to move it
+ * @param {Function} props.onReset - Restores the default layout
+ */
+const ColumnMenu = ({ columns, hidden, onToggle, onMove, onReset }) => {
+  const [open, setOpen] = useState(false);
+  const menuRef = useRef(null);
+  const visibleCount = columns.filter((column) => !hidden.includes(getColumnId(column))).length;
+  useDismiss(menuRef, open, () => setOpen(false));
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        type="button"
+        onClick={() => setOpen((value) => !value)}
+        aria-expanded={open}
+        className="px-3 py-1 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+      >
+        Columns
+      </button>
+
+      {open && (
+        <div className="absolute right-0 z-20 mt-2 w-64 bg-white border border-gray-200 rounded-md shadow-lg p-2">
+          <ul className="space-y-1">
+            {columns.map((column, index) => {
+              const id = getColumnId(column);
+              const isHidden = hidden.includes(id);
+              // Keep at least one column and any column marked as always visible
+              const locked = column.hideable === false || (!isHidden && visibleCount === 1);
+
+              return (
+                <li key={id} className="flex items-center justify-between px-2 py-1 rounded hover:bg-gray-50">
+                  <label className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={!isHidden}
+                      disabled={locked}
+                      onChange={() => onToggle(id)}
+                      className="w-4 h-4 text-primary-600 border-gray-300 rounded"
+                    />
+                    <span>{column.header}</span>
+                  </label>
+                  <span className="flex space-x-1">
+                    <button
+                      type="button"
+                      onClick={() => onMove(id, -1)}
+                      disabled={index === 0}
+                      className="px-1 text-gray-500 hover:text-gray-900 disabled:opacity-30"
+                      aria-label={`Move ${column.header} left`}
+                    >
+                      ↑
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => onMove(id, 1)}
+                      disabled={index === columns.length - 1}
+                      className="px-1 text-gray-500 hover:text-gray-900 disabled:opacity-30"
+                      aria-label={`Move ${column.header} right`}
+                    >
+                      ↓
+                    </button>
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+          <div className="border-t border-gray-200 mt-2 pt-2">
+            <button
+              type="button"
+              onClick={onReset}
+              className="w-full px-2 py-1 text-sm text-left text-primary-600 hover:text-primary-800"
+            >
+              Reset columns
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Reusable data table with search, sorting and pagination
+ * Works on the rows it is given (client mode) or, with `serverSide`, delegates
+ * paging, sorting and search to the caller (see usePaginatedList).
+ * Columns can be hidden, resized and reordered by dragging their headers; with
+ * a `tableId` that layout is remembered per user. Passing a `selection` (see
+ * useRowSelection) adds a checkbox column. With `exportable`, the rows matching
+ * the search (every page of them in server mode) can be downloaded as CSV or
+ * JSON using the visible columns' `exportValue` or accessor
+ * @param {Object} props - Component properties
+ * @param {Array} props.data - Rows to display (the current page in server mode)
+ * @param {Array} props.columns - Column definitions ({ id, header, accessor, render, sortable, sortKey, sortFn, hideable, exportValue, exportable, exportOnly })
+ * @param {string} props.tableId - Identifier under which the column layout is saved
+ * @param {Object} props.selection - Row selection from useRowSelection, to make rows selectable
+ * @param {boolean} props.exportable - Whether to offer CSV/JSON export
+ * @param {string} props.exportFileName - Export file name without date and extension (defaults to tableId)
+ * @param {Function} props.fetchPages - Async generator of every matching page, for server-side export (server mode)
+ * @param {boolean} props.serverSide - Whether the caller pages, sorts and filters the data
+ * @param {number|null} props.totalCount - Total rows on the server, null if unknown (server mode)
+ * @param {boolean} props.hasMore - Whether a next page exists when the total is unknown (server mode)
+ * @param {number} props.page - Current page, 1-based (server mode)
+ * @param {Function} props.onPageChange - Called with the new page (server mode)
+ * @param {Function} props.onPageSizeChange - Called with the new page size (server mode)
+ * @param {Object} props.sort - Current sort ({ key, direction }) (server mode)
+ * @param {Function} props.onSortChange - Called with the new sort, or null (server mode)
+ * @param {string} props.searchTerm - Current search term (server mode)
+ * @param {Function} props.onSearchChange - Called with the new search term (server mode)
+ */
+const Table = ({
+  data = [],
+  columns = [],
   loading = false,
   searchable = true,
   paginated = true,
   pageSize = PAGINATION.DEFAULT_PAGE_SIZE,
   emptyMessage = "No data available",
-  className = ""
+  className = "",
+  tableId,
+  selection,
+  exportable = false,
+  exportFileName,
+  fetchPages,
+  serverSide = false,
+  totalCount = null,
+  hasMore = false,
+  page = 1,
+  onPageChange,
+  onPageSizeChange,
+  sort: serverSort = null,
+  onSortChange,
+  searchTerm: serverSearchTerm = '',
+  onSearchChange,
 }) => {
-  const [searchTerm, setSearchTerm] = useState('');
-  const [currentPage, setCurrentPage] = useState(1);
-  const [itemsPerPage, setItemsPerPage] = useState(pageSize);
+  const [localSearchTerm, setLocalSearchTerm] = useState('');
+  const [localPage, setLocalPage] = useState(1);
+  const [localItemsPerPage, setLocalItemsPerPage] = useState(pageSize);
+  const [localSort, setLocalSort] = useState(null);
+  const [draggedColumn, setDraggedColumn] = useState(null);
+  const [exportedCount, setExportedCount] = useState(null);
+  const resizingRef = useRef(false);
+  // Width of the column being resized; saved to the layout only when the drag ends
+  const [resizing, setResizing] = useState(null);
+  // Removes the window listeners of a drag in progress
+  const stopResizeRef = useRef(null);
+  const { layout, updateLayout, resetLayout } = useTablePreferences(tableId);
+  const toast = useToast();
 
-  // Filter data based on search term
+  const searchTerm = serverSide ? serverSearchTerm : localSearchTerm;
+  const currentPage = serverSide ? page : localPage;
+  const itemsPerPage = serverSide ? pageSize : localItemsPerPage;
+  const sort = serverSide ? serverSort : localSort;
+  const hidden = layout.hidden || [];
+  const widths = resizing
+    ? { ...layout.widths, [resizing.id]: resizing.width }
+    : layout.widths || {};
+
+  // Saved order first; columns added since then keep their place at the end.
+  // Export-only columns never appear on screen
+  const orderedColumns = useMemo(() => {
+    const displayColumns = columns.filter((column) => !column.exportOnly);
+    const savedOrder = layout.order || [];
+    const byId = new Map(displayColumns.map((column) => [getColumnId(column), column]));
+    const saved = savedOrder.filter((id) => byId.has(id)).map((id) => byId.get(id));
+    return [...saved, ...displayColumns.filter((column) => !savedOrder.includes(getColumnId(column)))];
+  }, [columns, layout.order]);
+
+  const visibleColumns = orderedColumns.filter(
+    (column) => column.hideable === false || !hidden.includes(getColumnId(column))
+  );
+
+  // Filter data based on search term (the server already did it in server mode)
   const filteredData = useMemo(() => {
-    if (!searchTerm) return data;
-    
+    if (serverSide || !searchTerm) return data;
+
     return data.filter(item =>
       columns.some(column => {
         const value = column.accessor ? item[column.accessor] : '';
         return String(value).toLowerCase().includes(searchTerm.toLowerCase());
       })
     );
-  }, [data, searchTerm, columns]);
+  }, [data, searchTerm, columns, serverSide]);
+
+  // Sort data (the server already did it in server mode)
+  const sortedData = useMemo(() => {
+    if (serverSide || !sort) return filteredData;
+
+    const column = columns.find((candidate) => getSortKey(candidate) === sort.key);
+    if (!column) return filteredData;
+
+    const compare = column.sortFn || ((a, b) => compareValues(a[column.accessor], b[column.accessor]));
+    const sign = sort.direction === SORT_DIRECTIONS.DESC ? -1 : 1;
+    return [...filteredData].sort((a, b) => sign * compare(a, b));
+  }, [filteredData, sort, columns, serverSide]);
 
   // Paginate data
   const paginatedData = useMemo(() => {
-    if (!paginated) return filteredData;
-    
+    if (serverSide || !paginated) return sortedData;
+
     const startIndex = (currentPage - 1) * itemsPerPage;
-    return filteredData.slice(startIndex, startIndex + itemsPerPage);
-  }, [filteredData, currentPage, itemsPerPage, paginated]);
+    return sortedData.slice(startIndex, startIndex + itemsPerPage);
+  }, [sortedData, currentPage, itemsPerPage, paginated, serverSide]);
+
+  const totalItems = serverSide ? totalCount : filteredData.length;
 
-  const totalPages = Math.ceil(filteredData.length / itemsPerPage);
+  // Selection state of the visible page, and whether rows exist beyond it
+  const pageSelectedCount = selection
+    ? paginatedData.filter((item) => selection.allMatching || selection.selectedIds.has(item.id)).length
+    : 0;
+  const pageFullySelected = paginatedData.length > 0 && pageSelectedCount === paginatedData.length;
+  const hasOtherRows = serverSide
+    ? (totalCount === null ? hasMore || currentPage > 1 : totalCount > paginatedData.length)
+    : sortedData.length > paginatedData.length;
+  const everythingSelected = selection && (
+    selection.allMatching || (!serverSide && sortedData.length > 0 && selection.size === sortedData.length)
+  );
+  const totalPages = totalItems === null
+    ? currentPage + (hasMore ? 1 : 0)
+    : Math.ceil(totalItems / itemsPerPage);
+  const firstItem = (currentPage - 1) * itemsPerPage + 1;
+  const lastItem = firstItem + paginatedData.length - 1;
+
+  const handleSearchChange = (value) => {
+    if (serverSide) {
+      onSearchChange?.(value);
+    } else {
+      setLocalSearchTerm(value);
+      setLocalPage(1);
+    }
+  };
 
   const handlePageChange = (page) => {
-    setCurrentPage(page);
+    if (serverSide) {
+      onPageChange?.(page);
+    } else {
+      setLocalPage(page);
+    }
   };
 
   const handleItemsPerPageChange = (newItemsPerPage) => {
-    setItemsPerPage(newItemsPerPage);
-    setCurrentPage(1);
+    if (serverSide) {
+      onPageSizeChange?.(newItemsPerPage);
+    } else {
+      setLocalItemsPerPage(newItemsPerPage);
+      setLocalPage(1);
+    }
+  };
+
+  // The server can only sort by a field; custom sortFn comparisons are client-side
+  const isSortable = (column) => column.sortable && Boolean(
+    serverSide ? column.sortKey || column.accessor : column.sortFn || getSortKey(column)
+  );
+
+  const handleSort = (column) => {
+    const nextSort = getNextSort(sort, getSortKey(column));
+    if (serverSide) {
+      onSortChange?.(nextSort);
+    } else {
+      setLocalSort(nextSort);
+      setLocalPage(1);
+    }
+  };
+
+  // Rows on unloaded pages are only known to the server, so select them by query
+  const handleSelectAllMatching = () => {
+    if (serverSide) {
+      selection.selectAllMatching();
+    } else {
+      selection.setRows(sortedData, true);
+    }
+  };
+
+  /**
+   * Downloads the matching rows; server-side data is fetched page by page
+   * @param {string} format - One of EXPORT_FORMATS
+   */
+  const handleExport = async (format) => {
+    setExportedCount(0);
+    try {
+      await exportRows({
+        batches: serverSide ? (fetchPages ? fetchPages() : [data]) : [sortedData],
+        columns: [...visibleColumns, ...columns.filter((column) => column.exportOnly)],
+        format,
+        fileName: exportFileName || tableId || 'export',
+        onProgress: setExportedCount,
+      });
+    } catch (err) {
+      toast.error(getErrorMessage(err, MESSAGES.ERROR.EXPORT));
+    } finally {
+      setExportedCount(null);
+    }
+  };
+
+  const handleToggleColumn = (id) => {
+    updateLayout({
+      hidden: hidden.includes(id) ? hidden.filter((hiddenId) => hiddenId !== id) : [...hidden, id],
+    });
+  };
+
+  const handleMoveColumn = (id, offset) => {
+    const order = orderedColumns.map(getColumnId);
+    const from = order.indexOf(id);
+    const to = from + offset;
+    if (to < 0 || to >= order.length) return;
+    updateLayout({ order: moveItem(order, from, to) });
+  };
+
+  const handleDrop = (targetId) => {
+    if (draggedColumn && draggedColumn !== targetId) {
+      const order = orderedColumns.map(getColumnId);
+      updateLayout({ order: moveItem(order, order.indexOf(draggedColumn), order.indexOf(targetId)) });
+    }
+    setDraggedColumn(null);
   };
 
-  if (loading) {
+  /**
+   * Starts resizing a column from the handle on its right edge
+   * @param {PointerEvent} event - Pointer down event
+   * @param {string} id - Column ID
+   */
+  const handleResizeStart = (event, id) => {
+    event.preventDefault();
+    event.stopPropagation();
+    resizingRef.current = true;
+
+    const startX = event.clientX;
+    const startWidth = event.currentTarget.parentElement.offsetWidth;
+    let width = startWidth;
+
+    const handleMove = (moveEvent) => {
+      width = Math.max(MIN_COLUMN_WIDTH, startWidth + moveEvent.clientX - startX);
+      setResizing({ id, width });
+    };
+    const stop = () => {
+      resizingRef.current = false;
+      stopResizeRef.current = null;
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+    };
+    const handleUp = () => {
+      stop();
+      setResizing(null);
+      if (width !== startWidth) {
+        updateLayout({ widths: { ...layout.widths, [id]: width } });
+      }
+    };
+    stopResizeRef.current = stop;
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+  };
+
+  // A drag still in progress when the table unmounts must not leave listeners behind
+  useEffect(() => () => stopResizeRef.current?.(), []);
+
+  // In server mode the table stays mounted while loading so the search box keeps focus
+  if (loading && !serverSide) {
     return (
       <div className="flex items-center justify-center h-64">
         <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-primary-600"></div>
@@ -56,15 +509,15 @@ const Table = ({
 
   return (
     <div className={`space-y-4 ${className}`}>
-      {/* Search */}
-      {searchable && (
-        <div className="flex justify-between items-center">
+      {/* Toolbar */}
+      <div className="flex justify-between items-center">
+        {searchable ? (
           <div className="relative">
             <input
               type="text"
               placeholder="Search..."
               value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
+              onChange={(e) => handleSearchChange(e.target.value)}
               className="pl-10 pr-4 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
             />
             <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
@@ -73,7 +526,19 @@ const Table = ({
               </svg>
             </div>
           </div>
-          
+        ) : <div />}
+
+        <div className="flex items-center space-x-4">
+          {exportable && <ExportMenu onExport={handleExport} exportedCount={exportedCount} />}
+
+          <ColumnMenu
+            columns={orderedColumns}
+            hidden={hidden}
+            onToggle={handleToggleColumn}
+            onMove={handleMoveColumn}
+            onReset={resetLayout}
+          />
+
           {paginated && (
             <div className="flex items-center space-x-2">
               <span className="text-sm text-gray-700">Show:</span>
@@ -89,38 +554,139 @@ const Table = ({
             </div>
           )}
         </div>
+      </div>
+
+      {/* Select-all-across-pages banner */}
+      {selection && pageFullySelected && (hasOtherRows || everythingSelected) && (
+        <div className="flex items-center justify-center space-x-2 px-4 py-2 text-sm text-primary-800 bg-primary-50 border border-primary-200 rounded-md">
+          {everythingSelected ? (
+            <>
+              <span>
+                {totalItems === null ? 'All matching rows are selected.' : `All ${totalItems} rows are selected.`}
+              </span>
+              <button type="button" onClick={selection.clear} className="font-medium underline hover:no-underline">
+                Clear selection
+              </button>
+            </>
+          ) : (
+            <>
+              <span>All {paginatedData.length} rows on this page are selected.</span>
+              <button type="button" onClick={handleSelectAllMatching} className="font-medium underline hover:no-underline">
+                {totalItems === null ? 'Select all matching rows' : `Select all ${totalItems} rows`}
+              </button>
+            </>
+          )}
+        </div>
       )}
 
       {/* Table */}
-      <div className="bg-white shadow rounded-lg overflow-hidden">
-        <table className="min-w-full divide-y divide-gray-200">
+      <div className="bg-white shadow rounded-lg overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200" aria-busy={loading}>
           <thead className="bg-gray-50">
             <tr>
-              {columns.map((column, index) => (
-                <th
-                  key={index}
-                  className={`px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider ${column.className || ''}`}
-                >
-                  {column.header}
+              {selection && (
+                <th className="w-12 px-6 py-3">
+                  <input
+                    type="checkbox"
+                    aria-label="Select all rows on this page"
+                    checked={pageFullySelected}
+                    ref={(el) => {
+                      if (el) el.indeterminate = pageSelectedCount > 0 && !pageFullySelected;
+                    }}
+                    disabled={paginatedData.length === 0 || selection.allMatching}
+                    onChange={() => selection.setRows(paginatedData, !pageFullySelected)}
+                    className="w-4 h-4 text-primary-600 border-gray-300 rounded"
+                  />
                 </th>
-              ))}
+              )}
+              {visibleColumns.map((column) => {
+                const id = getColumnId(column);
+                const direction = sort?.key === getSortKey(column) ? sort.direction : null;
+
+                return (
+                  <th
+                    key={id}
+                    draggable
+                    onDragStart={(e) => {
+                      // A drag that starts on the resize handle is a resize
+                      if (resizingRef.current) {
+                        e.preventDefault();
+                        return;
+                      }
+                      e.dataTransfer.effectAllowed = 'move';
+                      setDraggedColumn(id);
+                    }}
+                    onDragOver={(e) => draggedColumn && e.preventDefault()}
+                    onDrop={() => handleDrop(id)}
+                    onDragEnd={() => setDraggedColumn(null)}
+                    style={widths[id] ? { width: widths[id], minWidth: widths[id] } : undefined}
+                    className={`relative px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-move select-none ${
+                      draggedColumn === id ? 'opacity-50' : ''
+                    } ${column.className || ''}`}
+                    aria-sort={direction ? (direction === SORT_DIRECTIONS.ASC ? 'ascending' : 'descending') : undefined}
+                  >
+                    {isSortable(column) ? (
+                      <button
+                        type="button"
+                        onClick={() => handleSort(column)}
+                        className="inline-flex items-center space-x-1 uppercase tracking-wider hover:text-gray-700"
+                      >
+                        <span>{column.header}</span>
+                        <span aria-hidden="true" className={direction ? 'text-gray-700' : 'text-gray-300'}>
+                          {direction === SORT_DIRECTIONS.DESC ? '▼' : '▲'}
+                        </span>
+                      </button>
+                    ) : (
+                      column.header
+                    )}
+                    <span
+                      onPointerDown={(e) => handleResizeStart(e, id)}
+                      className="absolute inset-y-0 right-0 w-1.5 cursor-col-resize hover:bg-primary-300"
+                      aria-hidden="true"
+                    />
+                  </th>
+                );
+              })}
             </tr>
           </thead>
-          <tbody className="bg-white divide-y divide-gray-200">
+          <tbody className={`bg-white divide-y divide-gray-200 ${loading ? 'opacity-50' : ''}`}>
             {paginatedData.length === 0 ? (
               <tr>
-                <td colSpan={columns.length} className="px-6 py-4 text-center text-gray-500">
-                  {emptyMessage}
+                <td colSpan={visibleColumns.length + (selection ? 1 : 0)} className="px-6 py-4 text-center text-gray-500">
+                  {loading ? 'Loading...' : emptyMessage}
                 </td>
               </tr>
             ) : (
               paginatedData.map((item, rowIndex) => (
-                <tr key={item.id || rowIndex} className="hover:bg-gray-50">
-                  {columns.map((column, colIndex) => (
-                    <td key={colIndex} className={`px-6 py-4 whitespace-nowrap ${column.cellClassName || ''}`}>
-                      {column.render ? column.render(item, rowIndex) : item[column.accessor]}
+                <tr
+                  key={item.id || rowIndex}
+                  className={selection?.allMatching || selection?.selectedIds.has(item.id) ? 'bg-primary-50' : 'hover:bg-gray-50'}
+                >
+                  {selection && (
+                    <td className="w-12 px-6 py-4">
+                      <input
+                        type="checkbox"
+                        aria-label="Select row"
+                        checked={selection.allMatching || selection.selectedIds.has(item.id)}
+                        // Individual rows can't be excluded from an all-matching selection
+                        disabled={selection.allMatching}
+                        onChange={() => selection.toggleRow(item)}
+                        className="w-4 h-4 text-primary-600 border-gray-300 rounded"
+                      />
                     </td>
-                  ))}
+                  )}
+                  {visibleColumns.map((column) => {
+                    const id = getColumnId(column);
+                    return (
+                      <td
+                        key={id}
+                        style={widths[id] ? { maxWidth: widths[id] } : undefined}
+                        className={`px-6 py-4 whitespace-nowrap ${widths[id] ? 'overflow-hidden text-ellipsis' : ''} ${column.cellClassName || ''}`}
+                      >
+                        {column.render ? column.render(item, rowIndex) : item[column.accessor]}
+                      </td>
+                    );
+                  })}
                 </tr>
               ))
             )}
@@ -132,18 +698,20 @@ const Table = ({
       {paginated && totalPages > 1 && (
         <div className="flex items-center justify-between">
           <div className="text-sm text-gray-700">
-            Showing {((currentPage - 1) * itemsPerPage) + 1} to {Math.min(currentPage * itemsPerPage, filteredData.length)} of {filteredData.length} results
+            {paginatedData.length === 0
+              ? `No results on page ${currentPage}`
+              : `Showing ${firstItem} to ${lastItem}${totalItems === null ? '' : ` of ${totalItems}`} results`}
           </div>
-          
+
           <div className="flex items-center space-x-2">
             <button
               onClick={() => handlePageChange(currentPage - 1)}
-              disabled={currentPage === 1}
+              disabled={currentPage === 1 || loading}
               className="px-3 py-2 text-sm font-medium text-gray-500 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
             >
               Previous
             </button>
-            
+
             {[...Array(totalPages)].map((_, index) => {
               const page = index + 1;
               if (
@@ -155,6 +723,7 @@ const Table = ({
                   <button
                     key={page}
                     onClick={() => handlePageChange(page)}
+                    disabled={loading}
                     className={`px-3 py-2 text-sm font-medium rounded-md ${
                       currentPage === page
                         ? 'text-white bg-primary-600 border border-primary-600'
@@ -172,10 +741,10 @@ const Table = ({
               }
               return null;
             })}
-            
+
             <button
               onClick={() => handlePageChange(currentPage + 1)}
-              disabled={currentPage === totalPages}
+              disabled={currentPage === totalPages || loading}
               className="px-3 py-2 text-sm font-medium text-gray-500 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
             >
               Next
@@ -187,4 +756,4 @@ const Table = ({
   );
 };
 
-export default Table; 
\ No newline at end of file
+export default Table;
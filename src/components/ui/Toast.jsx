@@ -0,0 +1,102 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+/**
+ * Style configuration by toast type (same types as Alert)
+ */
+const toastStyles = {
+  success: {
+    container: 'bg-green-50 border-green-200 text-green-800',
+    icon: '✅'
+  },
+  error: {
+    container: 'bg-red-50 border-red-200 text-red-800',
+    icon: '❌'
+  },
+  warning: {
+    container: 'bg-yellow-50 border-yellow-200 text-yellow-800',
+    icon: '⚠️'
+  },
+  info: {
+    container: 'bg-blue-50 border-blue-200 text-blue-800',
+    icon: 'ℹ️'
+  },
+};
+
+/**
+ * Single toast notification
+ * Dismisses itself after `duration` ms; the countdown pauses while the
+ * pointer is over the toast or focus is inside it
+ * @param {Object} props - Component properties
+ * @param {string} props.type - Toast type ('success', 'error', 'warning', 'info')
+ * @param {string} props.message - Message to display
+ * @param {Object} props.action - Optional action button ({ label, onClick })
+ * @param {number} props.duration - Time before dismissal in ms, 0 to keep it until closed
+ * @param {Function} props.onClose - Function executed when the toast is dismissed
+ */
+const Toast = ({ type = 'info', message, action, duration, onClose }) => {
+  const [paused, setPaused] = useState(false);
+  const remainingRef = useRef(duration);
+  const onCloseRef = useRef(onClose);
+  const currentStyle = toastStyles[type] || toastStyles.info;
+
+  useEffect(() => {
+    onCloseRef.current = onClose;
+  }, [onClose]);
+
+  // Run the countdown while not paused, remembering what is left when pausing
+  useEffect(() => {
+    if (!duration || paused) return undefined;
+
+    const startedAt = Date.now();
+    const timer = setTimeout(() => onCloseRef.current(), remainingRef.current);
+
+    return () => {
+      clearTimeout(timer);
+      remainingRef.current -= Date.now() - startedAt;
+    };
+  }, [duration, paused]);
+
+  /**
+   * Runs the action and closes the toast
+   */
+  const handleAction = () => {
+    action.onClick();
+    onClose();
+  };
+
+  return (
+    <div
+      className={`fade-in pointer-events-auto w-full max-w-sm border rounded-md shadow-lg overflow-hidden ${currentStyle.container}`}
+      onMouseEnter={() => setPaused(true)}
+      onMouseLeave={() => setPaused(false)}
+      onFocus={() => setPaused(true)}
+      onBlur={() => setPaused(false)}
+    >
+      <div className="flex items-start p-4">
+        <span className="flex-shrink-0 text-lg" aria-hidden="true">
+          {currentStyle.icon}
+        </span>
+        <p className="ml-3 flex-1 text-sm font-medium">{message}</p>
+        {action && (
+          <button
+            type="button"
+            onClick={handleAction}
+            className="ml-3 flex-shrink-0 text-sm font-semibold underline hover:no-underline focus:outline-none focus:ring-2 focus:ring-current rounded"
+          >
+            {action.label}
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={onClose}
+          className="ml-3 flex-shrink-0 rounded-md p-0.5 hover:bg-black/5 focus:outline-none focus:ring-2 focus:ring-current"
+          aria-label="Dismiss notification"
+        >
+          <span aria-hidden="true">×</span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default Toast;
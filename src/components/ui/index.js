@@ -2,4 +2,7 @@ export { default as Modal } from './Modal';
 export { default as Table } from './Table';
 export { default as Alert } from './Alert';
 export { default as LoadingSpinner } from './LoadingSpinner';
-export { default as ConfirmDialog } from './ConfirmDialog'; 
\ No newline at end of file
+export { default as ConfirmDialog } from './ConfirmDialog';
+export { default as Toast } from './Toast';
+export { default as BulkActionBar } from './BulkActionBar';
+export { default as BulkProgressModal } from './BulkProgressModal';
@@ -13,6 +13,7 @@ export const ROUTES = {
   // Public routes
   LOGIN: '/login',
   FORGOT_PASSWORD: '/forgot-password',
+  RESET_PASSWORD: '/reset-password',
   
   // Protected routes
   DASHBOARD: '/dashboard',
@@ -28,6 +29,9 @@ export const ROUTES = {
     RESOURCES: '/admin/resources',
     COMPANIES: '/admin/companies',
     INTEGRATIONS: '/admin/integrations',
+    ACCESS_INSPECTOR: '/admin/access-inspector',
+    AUDIT: '/admin/audit',
+    AUDIT_TRAIL: '/admin/audit-trail',
   },
 };
 
@@ -44,6 +48,11 @@ export const MESSAGES = {
     PASSWORD_RESET_REQUEST: 'Password reset email sent',
     PASSWORD_RESET: 'Password reset successfully',
     REGENERATE_SECRET: 'API secret regenerated successfully',
+    MFA_ENABLED: 'Two-factor authentication enabled',
+    MFA_DISABLED: 'Two-factor authentication disabled',
+    BACKUP_CODES_REGENERATED: 'New backup codes generated',
+    PASSWORD_CHANGED: 'Password changed successfully',
+    OTHER_SESSIONS_REVOKED: 'Signed out of all other sessions',
   },
   ERROR: {
     LOGIN: 'Login failed',
@@ -58,6 +67,11 @@ export const MESSAGES = {
     NOT_FOUND: 'Resource not found',
     SERVER_ERROR: 'Server error occurred',
     VALIDATION: 'Please check your input and try again',
+    RESET_TOKEN_INVALID: 'This password reset link is invalid or has expired',
+    RATE_LIMITED: 'Too many requests. Please wait before trying again',
+    MFA_INVALID_CODE: 'Invalid verification code',
+    MFA_CHALLENGE_EXPIRED: 'Your sign-in attempt has expired. Please sign in again',
+    EXPORT: 'Export failed',
   },
   CONFIRM: {
     DELETE: 'Are you sure you want to delete this item?',
@@ -71,6 +85,42 @@ export const MESSAGES = {
   },
 };
 
+/**
+ * Authentication flow configuration
+ */
+export const AUTH_CONFIG = {
+  // Minimum wait between password reset emails
+  PASSWORD_RESET_COOLDOWN: 60000,
+  // How long a pending reset request is remembered across reloads
+  PASSWORD_RESET_STATE_TTL: 3600000,
+  // Renew the access token this long before it expires
+  TOKEN_REFRESH_MARGIN: 60000,
+  // First wait before retrying a renewal that failed for a server or network error; doubles each time
+  TOKEN_REFRESH_RETRY_DELAY: 5000,
+  // Longest wait between renewal retries
+  TOKEN_REFRESH_RETRY_MAX_DELAY: 60000,
+  // Assumed access token lifetime when the JWT carries no exp claim (1 hour)
+  TOKEN_EXPIRATION_TIME: 3600000,
+  // Where tokens are kept: 'memory' (refresh via httpOnly cookie), 'session' or 'local'
+  TOKEN_STORAGE: import.meta.env.VITE_TOKEN_STORAGE || 'local',
+};
+
+/**
+ * Client-side audit trail of admin changes, kept in IndexedDB
+ */
+export const AUDIT_TRAIL = {
+  DB_NAME: 'auth-audit-trail',
+  STORE: 'entries',
+  // Oldest entries are dropped beyond this
+  MAX_ENTRIES: 5000,
+  // Payload fields whose values are never stored
+  REDACTED_FIELDS: /pass(word)?|secret|token|api[_-]?key|authorization|credential|otp|^code$|backup_codes/i,
+  // Longer strings are cut in payload summaries
+  MAX_VALUE_LENGTH: 200,
+  // Longer arrays are cut in payload summaries
+  MAX_LIST_ITEMS: 20,
+};
+
 /**
  * Pagination configuration
  */
@@ -80,6 +130,14 @@ export const PAGINATION = {
   MAX_PAGE_SIZE: 100,
 };
 
+/**
+ * Sort directions understood by Table and the list endpoints
+ */
+export const SORT_DIRECTIONS = {
+  ASC: 'asc',
+  DESC: 'desc',
+};
+
 /**
  * User roles
  */
@@ -89,6 +147,63 @@ export const USER_ROLES = {
   MODERATOR: 'moderator',
 };
 
+/**
+ * Resources the authorization model knows about
+ * Values match the resource part of permission names (e.g. "users:read")
+ */
+export const RESOURCES = {
+  USERS: 'users',
+  ROLES: 'roles',
+  PERMISSIONS: 'permissions',
+  RESOURCES: 'resources',
+  SESSIONS: 'sessions',
+  COMPANIES: 'companies',
+  INTEGRATIONS: 'integrations',
+  AUDIT: 'audit',
+};
+
+/**
+ * Actions that can be granted on a resource
+ */
+export const ACTIONS = {
+  CREATE: 'create',
+  READ: 'read',
+  UPDATE: 'update',
+  DELETE: 'delete',
+  MANAGE: 'manage',
+  VIEW: 'view',
+  EDIT: 'edit',
+};
+
+/**
+ * Actions offered when defining permissions, in display order
+ */
+export const ACTION_OPTIONS = [
+  { value: ACTIONS.CREATE, label: 'Create' },
+  { value: ACTIONS.READ, label: 'Read' },
+  { value: ACTIONS.UPDATE, label: 'Update' },
+  { value: ACTIONS.DELETE, label: 'Delete' },
+  { value: ACTIONS.MANAGE, label: 'Manage' },
+  { value: ACTIONS.VIEW, label: 'View' },
+  { value: ACTIONS.EDIT, label: 'Edit' },
+];
+
+/**
+ * Second-factor methods accepted at sign-in
+ */
+export const MFA_METHODS = {
+  TOTP: 'totp',
+  BACKUP_CODE: 'backup_code',
+};
+
+/**
+ * How a set of required permissions/roles is evaluated
+ */
+export const PERMISSION_MATCH = {
+  ALL: 'all',
+  ANY: 'any',
+};
+
 /**
  * User/resource states
  */
@@ -121,14 +236,21 @@ export const VALIDATION = {
   USERNAME_MIN_LENGTH: 3,
   USERNAME_MAX_LENGTH: 50,
   FULL_NAME_MAX_LENGTH: 100,
+  TOTP_CODE_REGEX: /^\d{6}$/,
+  // Resource names form the first part of permission names ("users:read")
+  RESOURCE_NAME_REGEX: /^[a-z][a-z0-9_-]*$/,
   
   // Validation messages
   MESSAGES: {
     REQUIRED: 'This field is required',
     EMAIL_INVALID: 'Please enter a valid email address',
     PASSWORD_TOO_SHORT: `Password must be at least 8 characters long`,
+    PASSWORD_TOO_LONG: `Password cannot exceed 128 characters`,
+    PASSWORD_MISMATCH: 'Passwords do not match',
     USERNAME_TOO_SHORT: `Username must be at least 3 characters long`,
     USERNAME_TOO_LONG: `Username cannot exceed 50 characters`,
+    TOTP_CODE_INVALID: 'Enter the 6-digit code from your authenticator app',
+    RESOURCE_NAME_INVALID: 'Use lowercase letters, digits, "-" or "_", starting with a letter',
   },
 };
 
@@ -138,6 +260,9 @@ export const VALIDATION = {
 export const STORAGE_KEYS = {
   ACCESS_TOKEN: 'access_token',
   REFRESH_TOKEN: 'refresh_token',
+  PASSWORD_RESET: 'password_reset_state',
+  AUTH_SYNC: 'auth_sync_message',
+  REFRESH_LEADER: 'auth_refresh_leader',
   USER_PREFERENCES: 'user_preferences',
   THEME: 'theme_preference',
 };
@@ -148,6 +273,7 @@ export const STORAGE_KEYS = {
 export const UI_CONFIG = {
   DEBOUNCE_DELAY: 300,
   TOAST_DURATION: 3000,
+  TOAST_MAX_VISIBLE: 5,
   MODAL_ANIMATION_DURATION: 200,
   
   // Breakpoints (match Tailwind CSS)
@@ -1,11 +1,64 @@
 /* eslint-disable react-refresh/only-export-components */
-import React, { createContext, useContext, useReducer, useEffect, useRef, useMemo, useCallback } from 'react';
+import React, { createContext, useContext, useReducer, useEffect, useRef, useMemo, useCallback, useState } from 'react';
 import { jwtDecode } from 'jwt-decode';
 import * as authService from '../services/authService';
-import { STORAGE_KEYS, MESSAGES } from '../constants';
+import * as tokenStore from '../services/tokenStore';
+import { createTabSync, electRefreshLeader, SYNC_EVENTS } from '../services/tabSync';
+import { useTokenRefreshScheduler } from '../hooks/useTokenRefreshScheduler';
+import { getErrorMessage } from '../utils/errors';
+import { STORAGE_KEYS, MESSAGES, AUTH_CONFIG, MFA_METHODS } from '../constants';
 
 const AuthContext = createContext();
 
+/**
+ * Reads the pending password reset request persisted across reloads of this tab
+ * @returns {Object|null} Reset state ({ email, sent, requestedAt, cooldownUntil }) or null
+ */
+const loadPasswordResetState = () => {
+  // Earlier versions kept it in localStorage
+  localStorage.removeItem(STORAGE_KEYS.PASSWORD_RESET);
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(STORAGE_KEYS.PASSWORD_RESET));
+    if (stored && Date.now() - stored.requestedAt < AUTH_CONFIG.PASSWORD_RESET_STATE_TTL) {
+      return stored;
+    }
+  } catch {
+    // Corrupted value, discard it below
+  }
+  sessionStorage.removeItem(STORAGE_KEYS.PASSWORD_RESET);
+  return null;
+};
+
+/**
+ * Persists (or clears) the pending password reset request
+ * Kept in sessionStorage, so the email address is gone once the tab closes
+ * @param {Object|null} resetState - Reset state to persist
+ */
+const savePasswordResetState = (resetState) => {
+  if (resetState) {
+    sessionStorage.setItem(STORAGE_KEYS.PASSWORD_RESET, JSON.stringify(resetState));
+  } else {
+    sessionStorage.removeItem(STORAGE_KEYS.PASSWORD_RESET);
+  }
+};
+
+/**
+ * Extracts the wait time from a 429 response
+ * @param {Object} error - Axios error
+ * @returns {number} Milliseconds to wait before retrying
+ */
+const getRetryAfter = (error) => {
+  const header = error.response?.headers?.['retry-after'];
+  if (header) {
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) return Math.max(date - Date.now(), 0);
+  }
+  return AUTH_CONFIG.PASSWORD_RESET_COOLDOWN;
+};
+
 /**
  * Initial state of the authentication context
  */
@@ -16,6 +69,8 @@ const initialState = {
   isAuthenticated: false,
   isLoading: true,
   error: null,
+  passwordReset: null,
+  mfaChallenge: null,
 };
 
 /**
@@ -40,6 +95,7 @@ const authReducer = (state, action) => {
         isAuthenticated: true,
         isLoading: false,
         error: null,
+        mfaChallenge: null,
       };
     case 'LOGIN_FAILURE':
       return {
@@ -50,6 +106,7 @@ const authReducer = (state, action) => {
         isAuthenticated: false,
         isLoading: false,
         error: action.payload,
+        mfaChallenge: null,
       };
     case 'LOGOUT':
       return {
@@ -60,6 +117,26 @@ const authReducer = (state, action) => {
         isAuthenticated: false,
         isLoading: false,
         error: null,
+        mfaChallenge: null,
+      };
+    case 'MFA_REQUIRED':
+      return {
+        ...state,
+        isLoading: false,
+        error: null,
+        mfaChallenge: action.payload,
+      };
+    case 'MFA_CANCELLED':
+      return {
+        ...state,
+        error: null,
+        mfaChallenge: null,
+      };
+    case 'TOKEN_REFRESHED':
+      return {
+        ...state,
+        token: action.payload.token,
+        refreshToken: action.payload.refreshToken,
       };
     case 'UPDATE_USER':
       return {
@@ -82,6 +159,11 @@ const authReducer = (state, action) => {
         ...state,
         error: null,
       };
+    case 'SET_PASSWORD_RESET':
+      return {
+        ...state,
+        passwordReset: action.payload,
+      };
     default:
       return state;
   }
@@ -92,9 +174,14 @@ const authReducer = (state, action) => {
  * Manages the application's global authentication state
  */
 export const AuthProvider = ({ children }) => {
-  const [state, dispatch] = useReducer(authReducer, initialState);
+  const [state, dispatch] = useReducer(authReducer, initialState, (init) => ({
+    ...init,
+    passwordReset: loadPasswordResetState(),
+  }));
   const initializationAttempted = useRef(false);
   const isInitializing = useRef(false);
+  const tabSyncRef = useRef(null);
+  const [isRefreshLeader, setIsRefreshLeader] = useState(false);
 
   /**
    * Initialize authentication by verifying existing tokens
@@ -110,20 +197,24 @@ export const AuthProvider = ({ children }) => {
 
     const initializeAuth = async () => {
       try {
-        const token = localStorage.getItem(STORAGE_KEYS.ACCESS_TOKEN);
-        const refreshToken = localStorage.getItem(STORAGE_KEYS.REFRESH_TOKEN);
+        const token = tokenStore.getAccessToken();
+        const refreshToken = tokenStore.getRefreshToken();
+
+        // In cookie mode the access token never survives a reload, but the refresh cookie may
+        const hasSession = tokenStore.usesRefreshCookie() || (token && refreshToken);
 
-        if (!token || !refreshToken) {
+        if (!hasSession) {
           dispatch({ type: 'SET_LOADING', payload: false });
           return;
         }
 
         // Validate token format before decoding
         try {
-          const decodedToken = jwtDecode(token);
           const currentTime = Date.now() / 1000;
+          // A missing access token is treated like an expired one
+          const isTokenValid = Boolean(token) && jwtDecode(token).exp > currentTime;
 
-          if (decodedToken.exp > currentTime) {
+          if (isTokenValid) {
             // Valid token, get user data
             try {
               const user = await authService.getCurrentUser();
@@ -133,17 +224,14 @@ export const AuthProvider = ({ children }) => {
               });
             } catch {
               // If user fetch fails, clear tokens
-              localStorage.removeItem(STORAGE_KEYS.ACCESS_TOKEN);
-              localStorage.removeItem(STORAGE_KEYS.REFRESH_TOKEN);
+              tokenStore.clearTokens();
               dispatch({ type: 'LOGOUT' });
             }
           } else {
             // Expired token, try to renew
             try {
-              const newTokens = await authService.refreshToken(refreshToken);
-              
-              localStorage.setItem(STORAGE_KEYS.ACCESS_TOKEN, newTokens.access_token);
-              localStorage.setItem(STORAGE_KEYS.REFRESH_TOKEN, newTokens.refresh_token);
+              // Shares the interceptor's in-flight refresh so the refresh token is spent once
+              const newAccessToken = await authService.refreshAccessToken();
               
               // Get user with the new token
               const user = await authService.getCurrentUser();
@@ -152,28 +240,25 @@ export const AuthProvider = ({ children }) => {
                 type: 'LOGIN_SUCCESS',
                 payload: {
                   user,
-                  token: newTokens.access_token,
-                  refreshToken: newTokens.refresh_token,
+                  token: newAccessToken,
+                  refreshToken: tokenStore.getRefreshToken(),
                 },
               });
             } catch {
               // Renewal failed, clear tokens
-              localStorage.removeItem(STORAGE_KEYS.ACCESS_TOKEN);
-              localStorage.removeItem(STORAGE_KEYS.REFRESH_TOKEN);
+              tokenStore.clearTokens();
               dispatch({ type: 'LOGOUT' });
             }
           }
         } catch {
           // Invalid token format, clear and logout
-          localStorage.removeItem(STORAGE_KEYS.ACCESS_TOKEN);
-          localStorage.removeItem(STORAGE_KEYS.REFRESH_TOKEN);
+          tokenStore.clearTokens();
           dispatch({ type: 'LOGOUT' });
         }
       } catch (error) {
         // Error during initialization
         console.error('Auth initialization error:', error);
-        localStorage.removeItem(STORAGE_KEYS.ACCESS_TOKEN);
-        localStorage.removeItem(STORAGE_KEYS.REFRESH_TOKEN);
+        tokenStore.clearTokens();
         dispatch({ type: 'LOGOUT' });
       } finally {
         isInitializing.current = false;
@@ -183,32 +268,148 @@ export const AuthProvider = ({ children }) => {
     initializeAuth();
   }, []); // Only run once
 
+  /**
+   * Cross-tab synchronization: apply login, logout, token rotation and
+   * profile updates made in other tabs of the same browser
+   */
+  useEffect(() => {
+    /**
+     * Adopts tokens sent by another tab when this tab keeps its own copy
+     * (localStorage is already shared, rewriting it could resurrect stale tokens)
+     */
+    const adoptTokens = (payload) => {
+      if (payload.token && !tokenStore.sharesTokensAcrossTabs()) {
+        tokenStore.setTokens({ accessToken: payload.token, refreshToken: payload.refreshToken });
+      }
+    };
+
+    const tabSync = createTabSync(({ type, payload }) => {
+      switch (type) {
+        case SYNC_EVENTS.LOGIN:
+          // Without a token (storage fallback, tab-scoped storage) this tab stays signed out
+          if (!payload.token) break;
+          adoptTokens(payload);
+          dispatch({ type: 'LOGIN_SUCCESS', payload });
+          break;
+        case SYNC_EVENTS.LOGOUT:
+          tokenStore.clearTokens();
+          dispatch({ type: 'LOGOUT' });
+          break;
+        case SYNC_EVENTS.TOKENS_REFRESHED:
+          // Keep this tab's own tokens when none came with the message
+          if (!payload.token) break;
+          adoptTokens(payload);
+          dispatch({ type: 'TOKEN_REFRESHED', payload });
+          break;
+        case SYNC_EVENTS.UPDATE_USER:
+          dispatch({ type: 'UPDATE_USER', payload });
+          break;
+        default:
+          break;
+      }
+    });
+    tabSyncRef.current = tabSync;
+
+    return () => {
+      tabSync.close();
+      tabSyncRef.current = null;
+    };
+  }, []);
+
+  /**
+   * Sends an auth event to the other tabs
+   * @param {string} type - One of SYNC_EVENTS
+   * @param {*} payload - Event data
+   */
+  const broadcast = useCallback((type, payload) => {
+    tabSyncRef.current?.broadcast(type, payload);
+  }, []);
+
+  /**
+   * Only the elected tab renews tokens proactively, so tabs don't race to spend
+   * the same rotating refresh token
+   */
+  useEffect(() => electRefreshLeader(setIsRefreshLeader), []);
+
+  /**
+   * Keep the tokens in state in sync with rotations done by the API layer
+   */
+  useEffect(() => {
+    return authService.onTokensRefreshed(({ accessToken, refreshToken }) => {
+      const payload = { token: accessToken, refreshToken };
+      dispatch({ type: 'TOKEN_REFRESHED', payload });
+      broadcast(SYNC_EVENTS.TOKENS_REFRESHED, payload);
+    });
+  }, [broadcast]);
+
+  /**
+   * Handles a failed background renewal
+   * The session is only dropped when the server rejected the refresh token;
+   * network errors are retried when the browser comes back online
+   */
+  const handleScheduledRefreshError = useCallback((error) => {
+    if ([400, 401, 403].includes(error.response?.status)) {
+      tokenStore.clearTokens();
+      dispatch({ type: 'LOGOUT' });
+      broadcast(SYNC_EVENTS.LOGOUT);
+    }
+  }, [broadcast]);
+
+  // Renew the access token shortly before it expires
+  useTokenRefreshScheduler({
+    token: state.token,
+    enabled: state.isAuthenticated && isRefreshLeader,
+    onRefreshError: handleScheduledRefreshError,
+  });
+
+  /**
+   * Stores the tokens of a completed login and loads the user
+   * @param {Object} response - Token response from login or MFA verification
+   */
+  const completeLogin = useCallback(async (response) => {
+    // Save tokens in the configured store
+    tokenStore.setTokens({
+      accessToken: response.access_token,
+      refreshToken: response.refresh_token,
+    });
+    
+    // Get user data
+    const user = await authService.getCurrentUser();
+
+    const payload = {
+      user,
+      token: response.access_token,
+      refreshToken: tokenStore.getRefreshToken(),
+    };
+    dispatch({ type: 'LOGIN_SUCCESS', payload });
+    broadcast(SYNC_EVENTS.LOGIN, payload);
+
+    return { user, token: response.access_token };
+  }, [broadcast]);
+
   /**
    * Function to login user
+   * Resolves with { mfaRequired: true } when a second factor must be verified
    * @param {Object} credentials - User credentials
    */
   const login = useCallback(async (credentials) => {
     dispatch({ type: 'LOGIN_START' });
     try {
       const response = await authService.login(credentials);
-      
-      // Save tokens to localStorage
-      localStorage.setItem(STORAGE_KEYS.ACCESS_TOKEN, response.access_token);
-      localStorage.setItem(STORAGE_KEYS.REFRESH_TOKEN, response.refresh_token);
-      
-      // Get user data
-      const user = await authService.getCurrentUser();
 
-      dispatch({
-        type: 'LOGIN_SUCCESS',
-        payload: {
-          user,
-          token: response.access_token,
-          refreshToken: response.refresh_token,
-        },
-      });
+      if (authService.isMfaChallenge(response)) {
+        dispatch({
+          type: 'MFA_REQUIRED',
+          payload: {
+            token: response.mfa_token,
+            username: credentials.username,
+            methods: response.mfa_methods || Object.values(MFA_METHODS),
+          },
+        });
+        return { mfaRequired: true };
+      }
 
-      return { user, token: response.access_token };
+      return await completeLogin(response);
     } catch (error) {
       const errorMessage = error.response?.data?.detail || 
                           error.message || 
@@ -220,6 +421,47 @@ export const AuthProvider = ({ children }) => {
       });
       throw error;
     }
+  }, [completeLogin]);
+
+  /**
+   * Function to finish a login with a TOTP or backup code
+   * A wrong code keeps the challenge so the user can retry; an expired one ends it
+   * @param {string} code - Code entered by the user
+   * @param {string} method - One of MFA_METHODS
+   */
+  const verifyMfa = useCallback(async (code, method = MFA_METHODS.TOTP) => {
+    const challenge = state.mfaChallenge;
+    if (!challenge) {
+      throw new Error(MESSAGES.ERROR.MFA_CHALLENGE_EXPIRED);
+    }
+
+    dispatch({ type: 'CLEAR_ERROR' });
+    try {
+      const response = await authService.verifyMfaLogin({
+        mfaToken: challenge.token,
+        code,
+        method,
+      });
+      return await completeLogin(response);
+    } catch (error) {
+      // Wrong codes come back as 400/401; 410 means the challenge token itself expired
+      if (error.response?.status === 410) {
+        dispatch({ type: 'LOGIN_FAILURE', payload: MESSAGES.ERROR.MFA_CHALLENGE_EXPIRED });
+      } else {
+        dispatch({
+          type: 'SET_ERROR',
+          payload: getErrorMessage(error, MESSAGES.ERROR.MFA_INVALID_CODE),
+        });
+      }
+      throw error;
+    }
+  }, [state.mfaChallenge, completeLogin]);
+
+  /**
+   * Abandons a pending second-factor challenge and returns to the password step
+   */
+  const cancelMfa = useCallback(() => {
+    dispatch({ type: 'MFA_CANCELLED' });
   }, []);
 
   /**
@@ -232,12 +474,12 @@ export const AuthProvider = ({ children }) => {
       // Continue with local logout even if server fails
       console.warn('Server logout failed:', error);
     } finally {
-      // Clear local storage and state
-      localStorage.removeItem(STORAGE_KEYS.ACCESS_TOKEN);
-      localStorage.removeItem(STORAGE_KEYS.REFRESH_TOKEN);
+      // Clear stored tokens and state
+      tokenStore.clearTokens();
       dispatch({ type: 'LOGOUT' });
+      broadcast(SYNC_EVENTS.LOGOUT);
     }
-  }, []);
+  }, [broadcast]);
 
   /**
    * Function to register a new user (DEPRECATED - Registration now handled by admin)
@@ -292,6 +534,7 @@ export const AuthProvider = ({ children }) => {
         type: 'UPDATE_USER',
         payload: updatedUser,
       });
+      broadcast(SYNC_EVENTS.UPDATE_USER, updatedUser);
       return updatedUser;
     } catch (error) {
       const errorMessage = error.response?.data?.detail || 
@@ -304,8 +547,67 @@ export const AuthProvider = ({ children }) => {
       });
       throw error;
     }
+  }, [broadcast]);
+
+  /**
+   * Updates the pending password reset state and persists it
+   * @param {Object|null} resetState - New reset state
+   */
+  const setPasswordReset = useCallback((resetState) => {
+    savePasswordResetState(resetState);
+    dispatch({ type: 'SET_PASSWORD_RESET', payload: resetState });
   }, []);
 
+  /**
+   * Function to request a password reset email
+   * Starts a resend cooldown, or honours the server's Retry-After on 429
+   * @param {string} email - User's email
+   */
+  const requestPasswordReset = useCallback(async (email) => {
+    try {
+      const response = await authService.requestPasswordReset(email);
+      const now = Date.now();
+      setPasswordReset({
+        email,
+        sent: true,
+        requestedAt: now,
+        cooldownUntil: now + AUTH_CONFIG.PASSWORD_RESET_COOLDOWN,
+      });
+      return response;
+    } catch (error) {
+      if (error.response?.status === 429) {
+        const previous = loadPasswordResetState();
+        const now = Date.now();
+        setPasswordReset({
+          email,
+          // Keep showing "email sent" if an earlier request for this address succeeded
+          sent: Boolean(previous?.sent && previous.email === email),
+          requestedAt: now,
+          cooldownUntil: now + getRetryAfter(error),
+        });
+      }
+      throw error;
+    }
+  }, [setPasswordReset]);
+
+  /**
+   * Function to set a new password using the emailed reset token
+   * @param {string} token - Reset token
+   * @param {string} newPassword - New password
+   */
+  const confirmPasswordReset = useCallback(async (token, newPassword) => {
+    const response = await authService.resetPassword(token, newPassword);
+    setPasswordReset(null);
+    return response;
+  }, [setPasswordReset]);
+
+  /**
+   * Forgets the pending password reset request
+   */
+  const clearPasswordReset = useCallback(() => {
+    setPasswordReset(null);
+  }, [setPasswordReset]);
+
   /**
    * Función para limpiar errores
    */
@@ -316,11 +618,17 @@ export const AuthProvider = ({ children }) => {
   // Memoizar el valor del contexto para optimizar renders
   const contextValue = useMemo(() => ({
     ...state,
+    isRefreshLeader,
     login,
+    verifyMfa,
+    cancelMfa,
     logout,
     updateUser,
+    requestPasswordReset,
+    confirmPasswordReset,
+    clearPasswordReset,
     clearError,
-  }), [state, login, logout, updateUser, clearError]);
+  }), [state, isRefreshLeader, login, verifyMfa, cancelMfa, logout, updateUser, requestPasswordReset, confirmPasswordReset, clearPasswordReset, clearError]);
 
   return (
     <AuthContext.Provider value={contextValue}>
@@ -0,0 +1,64 @@
+/* eslint-disable react-refresh/only-export-components */
+import React, { createContext, useContext, useEffect, useState } from 'react';
+import { loadRuntimeConfig } from '../services/runtimeConfig';
+import { LoadingSpinner } from '../components/ui';
+import ConfigError from '../components/ConfigError';
+
+const ConfigContext = createContext(null);
+
+/**
+ * Runtime configuration provider
+ * Loads config.json before rendering its children, so everything below
+ * (including AuthProvider) sees a configured API client
+ */
+export const ConfigProvider = ({ children }) => {
+  const [config, setConfig] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadRuntimeConfig()
+      .then((loadedConfig) => {
+        if (!cancelled) setConfig(loadedConfig);
+      })
+      .catch((err) => {
+        console.error('Runtime configuration error:', err);
+        if (!cancelled) setError(err);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  if (error) {
+    return <ConfigError error={error} />;
+  }
+
+  if (!config) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="xl" text="Loading configuration..." />
+      </div>
+    );
+  }
+
+  return (
+    <ConfigContext.Provider value={config}>
+      {children}
+    </ConfigContext.Provider>
+  );
+};
+
+/**
+ * Hook to use the runtime configuration
+ * @returns {Object} Runtime configuration
+ */
+export const useConfig = () => {
+  const context = useContext(ConfigContext);
+  if (!context) {
+    throw new Error('useConfig must be used within a ConfigProvider');
+  }
+  return context;
+};
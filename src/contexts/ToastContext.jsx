@@ -0,0 +1,92 @@
+/* eslint-disable react-refresh/only-export-components */
+import React, { createContext, useCallback, useContext, useMemo, useRef, useState } from 'react';
+import { Toast } from '../components/ui';
+import { UI_CONFIG } from '../constants';
+
+const ToastContext = createContext(null);
+
+/**
+ * Toast notification provider
+ * Keeps the stack of visible toasts and renders them in a live region so
+ * screen readers announce them
+ */
+export const ToastProvider = ({ children }) => {
+  const [toasts, setToasts] = useState([]);
+  const nextId = useRef(0);
+
+  /**
+   * Removes a toast
+   * @param {number} id - Toast id
+   */
+  const dismiss = useCallback((id) => {
+    setToasts((current) => current.filter((toast) => toast.id !== id));
+  }, []);
+
+  /**
+   * Shows a toast; the oldest ones are dropped beyond UI_CONFIG.TOAST_MAX_VISIBLE
+   * @param {Object} options - Toast options
+   * @param {string} options.type - 'success', 'error', 'warning' or 'info'
+   * @param {string} options.message - Message to display
+   * @param {Object} options.action - Optional action button ({ label, onClick }), e.g. Undo
+   * @param {number} options.duration - Time before dismissal in ms, 0 to keep it until closed
+   * @returns {number} Toast id, usable with dismiss()
+   */
+  const show = useCallback(({ type = 'info', message, action, duration = UI_CONFIG.TOAST_DURATION }) => {
+    nextId.current += 1;
+    const id = nextId.current;
+
+    setToasts((current) => [
+      ...current,
+      { id, type, message, action, duration },
+    ].slice(-UI_CONFIG.TOAST_MAX_VISIBLE));
+
+    return id;
+  }, []);
+
+  const contextValue = useMemo(() => ({
+    show,
+    dismiss,
+    success: (message, options) => show({ ...options, type: 'success', message }),
+    error: (message, options) => show({ ...options, type: 'error', message }),
+    warning: (message, options) => show({ ...options, type: 'warning', message }),
+    info: (message, options) => show({ ...options, type: 'info', message }),
+  }), [show, dismiss]);
+
+  return (
+    <ToastContext.Provider value={contextValue}>
+      {children}
+
+      {/* Toast stack; the region exists up front so additions are announced */}
+      <div
+        role="region"
+        aria-label="Notifications"
+        aria-live="polite"
+        aria-relevant="additions"
+        className="fixed inset-x-0 bottom-0 z-50 flex flex-col items-center space-y-3 px-4 py-6 pointer-events-none sm:items-end sm:px-6"
+      >
+        {toasts.map((toast) => (
+          <Toast
+            key={toast.id}
+            type={toast.type}
+            message={toast.message}
+            action={toast.action}
+            duration={toast.duration}
+            onClose={() => dismiss(toast.id)}
+          />
+        ))}
+      </div>
+    </ToastContext.Provider>
+  );
+};
+
+/**
+ * Hook to show toast notifications
+ * @returns {Object} show(options), success/error/warning/info(message, options) and dismiss(id)
+ */
+export const useToast = () => {
+  const context = useContext(ToastContext);
+  if (!context) {
+    throw new Error('useToast must be used within a ToastProvider');
+  }
+  return context;
+};
@@ -0,0 +1,16 @@
+import { useMemo } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { useConfig } from '../contexts/ConfigContext';
+import { buildAbility } from '../utils/authorization';
+
+/**
+ * Custom hook exposing what the current user can do
+ * Recomputed only when the user payload or the root company changes
+ * @returns {Object} Ability with can(action, resource), hasRole(name), satisfies(requirements) and user flags
+ */
+export const useAbility = () => {
+  const { user } = useAuth();
+  const { rootCompanyId } = useConfig();
+
+  return useMemo(() => buildAbility(user, { rootCompanyId }), [user, rootCompanyId]);
+};
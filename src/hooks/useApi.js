@@ -1,14 +1,21 @@
-import { useState, useCallback } from 'react';
-import { MESSAGES } from '../constants';
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { useToast } from '../contexts/ToastContext';
+import { iteratePages as iterateListPages } from '../services/authService';
+import { useAuditTrail } from './useAuditTrail';
+import { getErrorMessage } from '../utils/errors';
+import { MESSAGES, PAGINATION, UI_CONFIG } from '../constants';
 
 /**
  * Custom hook to handle API calls
- * Provides loading state, errors, and execution function
+ * Provides loading state, errors, and execution function; outcomes are
+ * reported through toast notifications
  * @returns {Object} State and functions to handle API calls
  */
 export const useApi = () => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const toast = useToast();
+  const recordAudit = useAuditTrail();
 
   /**
    * Executes an API call with state management
@@ -17,8 +24,12 @@ export const useApi = () => {
    * @param {Function} options.onSuccess - Callback executed on success
    * @param {Function} options.onError - Callback executed on error
    * @param {string} options.successMessage - Success message to display
+   * @param {Object} options.successAction - Action button for the success toast ({ label, onClick }), e.g. Undo
    * @param {string} options.errorMessage - Custom error message
+   * @param {boolean} options.notify - Whether to show success/error toasts
    * @param {boolean} options.showLoading - Whether to show loading state
+   * @param {Object} options.audit - Records the call in the local audit trail ({ action, target: { type, id, name } });
+   *   the mutating requests it sends are captured, so calls running at the same time may see each other's
    * @returns {Promise} Result of the API call
    */
   const execute = useCallback(async (apiCall, options = {}) => {
@@ -26,30 +37,30 @@ export const useApi = () => {
       onSuccess, 
       onError, 
       successMessage, 
+      successAction,
       errorMessage,
-      showLoading = true 
+      notify = true,
+      showLoading = true,
+      audit
     } = options;
 
     try {
       if (showLoading) setLoading(true);
       setError(null);
       
-      const result = await apiCall();
+      const result = await (audit ? recordAudit(apiCall, audit) : apiCall());
       
       if (onSuccess) onSuccess(result);
-      if (successMessage) {
-        // A toast notification system could be integrated here
-        console.log(successMessage);
+      if (successMessage && notify) {
+        toast.success(successMessage, { action: successAction });
       }
       
       return result;
     } catch (err) {
-      const errorMsg = errorMessage || 
-        err.response?.data?.detail || 
-        err.message || 
-        MESSAGES.ERROR.NETWORK;
+      const errorMsg = errorMessage || getErrorMessage(err);
       
       setError(errorMsg);
+      if (notify) toast.error(errorMsg);
       
       if (onError) onError(err);
       
@@ -57,7 +68,7 @@ export const useApi = () => {
     } finally {
       if (showLoading) setLoading(false);
     }
-  }, []);
+  }, [toast, recordAudit]);
 
   /**
    * Clears the error state
@@ -107,9 +118,7 @@ export const useApiList = (initialData = []) => {
       
       return result;
     } catch (err) {
-      const errorMsg = options.errorMessage || 
-        err.response?.data?.detail || 
-        MESSAGES.ERROR.FETCH;
+      const errorMsg = options.errorMessage || getErrorMessage(err, MESSAGES.ERROR.FETCH);
       
       setError(errorMsg);
       throw err;
@@ -179,4 +188,226 @@ export const useApiList = (initialData = []) => {
     setData: replaceData,
     clearData,
   };
-};
\ No newline at end of file
+};
+
+/**
+ * Custom hook to handle server-paginated lists
+ * Maps page, page size, sort and search onto list query parameters
+ * (skip, limit, sort_by, sort_order, search) and refetches when they change
+ * @param {Function} fetchPage - Function receiving the query and resolving to { items, total }
+ * @param {Object} options - Configuration options
+ * @param {number} options.pageSize - Initial page size
+ * @param {Object} options.initialSort - Initial sort ({ key, direction })
+ * @param {Object} options.filters - Extra query parameters; changing them returns to page 1
+ * @param {string} options.errorMessage - Custom error message
+ * @returns {Object} List state, mutators and `tableProps` to spread onto Table
+ */
+export const usePaginatedList = (fetchPage, options = {}) => {
+  const {
+    pageSize: initialPageSize = PAGINATION.DEFAULT_PAGE_SIZE,
+    initialSort = null,
+    filters = {},
+    errorMessage,
+  } = options;
+
+  const [items, setItems] = useState([]);
+  const [total, setTotal] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [page, setPage] = useState(1);
+  const [pageSize, setPageSizeState] = useState(initialPageSize);
+  const [sort, setSortState] = useState(initialSort);
+  const [search, setSearchState] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
+
+  // Callers usually pass inline functions and object literals; keep the
+  // latest fetcher in a ref and compare filters by value
+  const fetchPageRef = useRef(fetchPage);
+  const filtersKey = JSON.stringify(filters);
+  const [appliedFiltersKey, setAppliedFiltersKey] = useState(filtersKey);
+
+  useEffect(() => {
+    fetchPageRef.current = fetchPage;
+  }, [fetchPage]);
+
+  // Changing filters starts over from the first page
+  if (filtersKey !== appliedFiltersKey) {
+    setAppliedFiltersKey(filtersKey);
+    setPage(1);
+  }
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(search.trim()), UI_CONFIG.DEBOUNCE_DELAY);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const result = await fetchPageRef.current({
+          ...JSON.parse(appliedFiltersKey),
+          skip: (page - 1) * pageSize,
+          limit: pageSize,
+          sort_by: sort?.key,
+          sort_order: sort?.direction,
+          search: debouncedSearch,
+        });
+        if (cancelled) return;
+
+        // The last page may have emptied (e.g. after a delete); step back
+        if (result.items.length === 0 && page > 1) {
+          setPage(page - 1);
+          return;
+        }
+        setItems(result.items);
+        setTotal(result.total);
+      } catch (err) {
+        if (cancelled) return;
+        setError(errorMessage || getErrorMessage(err, MESSAGES.ERROR.FETCH));
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [page, pageSize, sort, debouncedSearch, appliedFiltersKey, reloadKey, errorMessage]);
+
+  /**
+   * Changes the page size and returns to the first page
+   * @param {number} size - New page size
+   */
+  const setPageSize = useCallback((size) => {
+    setPageSizeState(size);
+    setPage(1);
+  }, []);
+
+  /**
+   * Changes the sort and returns to the first page
+   * @param {Object|null} newSort - New sort ({ key, direction }), null for the server default
+   */
+  const setSort = useCallback((newSort) => {
+    setSortState(newSort);
+    setPage(1);
+  }, []);
+
+  /**
+   * Changes the search term (applied after a debounce) and returns to the first page
+   * @param {string} term - Search term
+   */
+  const setSearch = useCallback((term) => {
+    setSearchState(term);
+    setPage(1);
+  }, []);
+
+  /**
+   * Fetches every item matching the current search, sort and filters one
+   * page at a time, so large lists can be processed as they arrive
+   * @param {number} limit - Items per request
+   * @yields {Array} Items of each page
+   */
+  const iteratePages = useCallback((limit = PAGINATION.MAX_PAGE_SIZE) => iterateListPages(
+    (query) => fetchPageRef.current(query),
+    {
+      ...JSON.parse(appliedFiltersKey),
+      sort_by: sort?.key,
+      sort_order: sort?.direction,
+      search: debouncedSearch,
+    },
+    limit
+  ), [appliedFiltersKey, sort, debouncedSearch]);
+
+  /**
+   * Fetches every item matching the current search, sort and filters,
+   * e.g. to act on a select-all-across-pages selection
+   * @returns {Promise<Array>} All matching items
+   */
+  const fetchAll = useCallback(async () => {
+    const all = [];
+    for await (const items of iteratePages()) {
+      all.push(...items);
+    }
+    return all;
+  }, [iteratePages]);
+
+  /**
+   * Refetches the current page, e.g. after creating or deleting an item
+   */
+  const refresh = useCallback(() => {
+    setReloadKey((key) => key + 1);
+  }, []);
+
+  /**
+   * Updates an item of the current page by ID
+   * @param {number|string} id - Item ID
+   * @param {Object} updatedItem - Updated item data
+   */
+  const updateItem = useCallback((id, updatedItem) => {
+    setItems(prev => prev.map(item =>
+      item.id === id ? { ...item, ...updatedItem } : item
+    ));
+  }, []);
+
+  /**
+   * Removes an item from the current page by ID without refetching
+   * @param {number|string} id - Item ID
+   */
+  const removeItem = useCallback((id) => {
+    setItems(prev => prev.filter(item => item.id !== id));
+    setTotal(prev => (prev === null ? prev : Math.max(prev - 1, 0)));
+  }, []);
+
+  /**
+   * Clears the error state
+   */
+  const clearError = useCallback(() => {
+    setError(null);
+  }, []);
+
+  const hasMore = total !== null ? page * pageSize < total : items.length === pageSize;
+
+  return {
+    data: items,
+    total,
+    loading,
+    error,
+    page,
+    pageSize,
+    sort,
+    search,
+    hasMore,
+    setPage,
+    setPageSize,
+    setSort,
+    setSearch,
+    iteratePages,
+    fetchAll,
+    refresh,
+    updateItem,
+    removeItem,
+    clearError,
+    tableProps: {
+      data: items,
+      loading,
+      serverSide: true,
+      totalCount: total,
+      hasMore,
+      page,
+      pageSize,
+      onPageChange: setPage,
+      onPageSizeChange: setPageSize,
+      sort,
+      onSortChange: setSort,
+      searchTerm: search,
+      onSearchChange: setSearch,
+      fetchPages: iteratePages,
+    },
+  };
+};
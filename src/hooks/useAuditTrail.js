@@ -0,0 +1,23 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { withAuditEntry } from '../services/auditTrail';
+
+/**
+ * Custom hook to record admin changes in the local audit trail
+ * The signed-in user is read at record time, so the returned function
+ * stays stable when the profile reloads
+ * @returns {Function} record(apiCall, { action, target, describeFailure }), resolving to the call's result
+ */
+export const useAuditTrail = () => {
+  const { user } = useAuth();
+  const userRef = useRef(user);
+
+  useEffect(() => {
+    userRef.current = user;
+  }, [user]);
+
+  return useCallback(
+    (apiCall, audit) => withAuditEntry(apiCall, { ...audit, actor: userRef.current }),
+    []
+  );
+};
@@ -0,0 +1,86 @@
+import { useState, useCallback, useRef } from 'react';
+import { useToast } from '../contexts/ToastContext';
+import { useAuditTrail } from './useAuditTrail';
+import { getErrorMessage } from '../utils/errors';
+
+/**
+ * Short list of item names for confirmation messages, e.g. "alice, bob and 28 more"
+ * @param {Array} items - Items
+ * @param {Function} getLabel - Display name of an item
+ * @param {number} limit - Names to list before summarizing
+ * @returns {string} Description
+ */
+export const describeItems = (items, getLabel, limit = 3) => {
+  const names = items.slice(0, limit).map(getLabel);
+  const rest = items.length - names.length;
+  if (rest > 0) return `${names.join(', ')} and ${rest} more`;
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names.join('');
+};
+
+/**
+ * Custom hook to run an action on many items one after another
+ * Keeps a per-item result so partial failures can be reported and retried;
+ * pair it with BulkProgressModal
+ * @returns {Object} progress, run(options), retryFailed() and close()
+ */
+export const useBulkAction = () => {
+  const toast = useToast();
+  const recordAudit = useAuditTrail();
+  const [progress, setProgress] = useState(null);
+  const lastRunRef = useRef(null);
+
+  /**
+   * Runs an action on each item, sequentially to spare the server
+   * @param {Object} options - Run options
+   * @param {string} options.title - Operation name, e.g. "Deactivate users"
+   * @param {Array} options.items - Items to process
+   * @param {Function} options.action - Called with each item; returns a promise
+   * @param {Function} options.getLabel - Display name of an item
+   * @param {string} options.successMessage - Toast shown when every item succeeded
+   * @param {Function} options.audit - Optional; returns the audit trail entry of an item ({ action, target }),
+   *   recorded per item
+   * @returns {Promise<Array>} Results ({ item, label, ok, error })
+   */
+  const run = useCallback(async ({ title, items, action, getLabel = (item) => String(item.id), successMessage, audit }) => {
+    lastRunRef.current = { title, action, getLabel, successMessage, audit };
+    setProgress({ title, total: items.length, results: [], running: true });
+
+    const results = [];
+    for (const item of items) {
+      try {
+        await (audit ? recordAudit(() => action(item), audit(item)) : action(item));
+        results.push({ item, label: getLabel(item), ok: true });
+      } catch (err) {
+        results.push({ item, label: getLabel(item), ok: false, error: getErrorMessage(err) });
+      }
+      setProgress((current) => ({ ...current, results: [...results] }));
+    }
+
+    if (results.every((result) => result.ok)) {
+      // Nothing to report; a toast is enough
+      setProgress(null);
+      toast.success(successMessage || `${title}: ${results.length} completed`);
+    } else {
+      setProgress((current) => ({ ...current, running: false }));
+    }
+    return results;
+  }, [toast, recordAudit]);
+
+  /**
+   * Runs the last action again on the items that failed
+   * @returns {Promise<Array>} Results of the retry
+   */
+  const retryFailed = useCallback(() => {
+    const failed = progress?.results.filter((result) => !result.ok).map((result) => result.item) || [];
+    return run({ ...lastRunRef.current, items: failed });
+  }, [progress, run]);
+
+  /**
+   * Dismisses the report; ignored while the action is running
+   */
+  const close = useCallback(() => {
+    setProgress((current) => (current?.running ? current : null));
+  }, []);
+
+  return { progress, run, retryFailed, close };
+};
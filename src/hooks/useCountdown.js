@@ -0,0 +1,34 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Whole seconds left until a timestamp
+ * @param {number|null} targetTime - Timestamp in milliseconds
+ * @returns {number} Seconds remaining, never negative
+ */
+const secondsUntil = (targetTime) => (
+  targetTime ? Math.max(Math.ceil((targetTime - Date.now()) / 1000), 0) : 0
+);
+
+/**
+ * Custom hook that counts down to a target timestamp
+ * @param {number|null} targetTime - Timestamp (ms) to count down to
+ * @returns {number} Whole seconds remaining, 0 once the target is reached
+ */
+export const useCountdown = (targetTime) => {
+  const [remaining, setRemaining] = useState(() => secondsUntil(targetTime));
+
+  useEffect(() => {
+    setRemaining(secondsUntil(targetTime));
+    if (secondsUntil(targetTime) === 0) return undefined;
+
+    const interval = setInterval(() => {
+      const seconds = secondsUntil(targetTime);
+      setRemaining(seconds);
+      if (seconds === 0) clearInterval(interval);
+    }, 1000);
+
+    return () => clearInterval(interval);
+  }, [targetTime]);
+
+  return remaining;
+};
@@ -0,0 +1,93 @@
+import { useState, useCallback, useMemo } from 'react';
+
+/**
+ * Custom hook to handle row selection in a Table
+ * Rows are selected individually or a page at a time; `selectAllMatching`
+ * extends the selection to every row matching the current query, including
+ * rows on pages that were never loaded
+ * @param {*} scope - Value describing the current query (e.g. the search term); changing it clears the selection
+ * @returns {Object} Selection state and functions, also accepted by Table's `selection` prop
+ */
+export const useRowSelection = (scope) => {
+  const [selected, setSelected] = useState(() => new Map());
+  const [allMatching, setAllMatching] = useState(false);
+  const [currentScope, setCurrentScope] = useState(scope);
+
+  // A new query means the selected rows may no longer be listed
+  if (scope !== currentScope) {
+    setCurrentScope(scope);
+    setSelected(new Map());
+    setAllMatching(false);
+  }
+
+  /**
+   * Selects or deselects one row
+   * @param {Object} item - Row item
+   */
+  const toggleRow = useCallback((item) => {
+    setSelected((current) => {
+      const next = new Map(current);
+      if (next.has(item.id)) {
+        next.delete(item.id);
+      } else {
+        next.set(item.id, item);
+      }
+      return next;
+    });
+  }, []);
+
+  /**
+   * Selects or deselects several rows, e.g. the visible page
+   * @param {Array} items - Row items
+   * @param {boolean} checked - Whether to select them
+   */
+  const setRows = useCallback((items, checked) => {
+    setSelected((current) => {
+      const next = new Map(current);
+      items.forEach((item) => {
+        if (checked) {
+          next.set(item.id, item);
+        } else {
+          next.delete(item.id);
+        }
+      });
+      return next;
+    });
+    if (!checked) setAllMatching(false);
+  }, []);
+
+  /**
+   * Selects every row matching the current query
+   */
+  const selectAllMatching = useCallback(() => {
+    setAllMatching(true);
+  }, []);
+
+  /**
+   * Clears the selection
+   */
+  const clear = useCallback(() => {
+    setSelected(new Map());
+    setAllMatching(false);
+  }, []);
+
+  /**
+   * Resolves the selected items
+   * @param {Function} fetchAll - Loads every matching item; used when all matching rows are selected
+   * @returns {Promise<Array>} Selected items
+   */
+  const getSelectedItems = useCallback(async (fetchAll) => (
+    allMatching ? fetchAll() : [...selected.values()]
+  ), [allMatching, selected]);
+
+  return useMemo(() => ({
+    selectedIds: new Set(selected.keys()),
+    size: selected.size,
+    allMatching,
+    toggleRow,
+    setRows,
+    selectAllMatching,
+    clear,
+    getSelectedItems,
+  }), [selected, allMatching, toggleRow, setRows, selectAllMatching, clear, getSelectedItems]);
+};
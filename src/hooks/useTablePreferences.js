@@ -0,0 +1,52 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { getTablePreferences, saveTablePreferences } from '../services/preferences';
+
+/**
+ * Custom hook that keeps a table's column layout for the signed-in user
+ * Without a tableId the layout lives only as long as the component
+ * @param {string} tableId - Table identifier, unique across the app
+ * @returns {Object} layout ({ order, hidden, widths }), updateLayout(patch) and resetLayout()
+ */
+export const useTablePreferences = (tableId) => {
+  const { user } = useAuth();
+  const userId = user?.id;
+  const storageKey = tableId ? `${userId}:${tableId}` : null;
+
+  const [layout, setLayout] = useState(() => (tableId ? getTablePreferences(userId, tableId) : {}));
+  const [loadedKey, setLoadedKey] = useState(storageKey);
+
+  // Another user signed in, or the component now shows another table
+  if (storageKey !== loadedKey) {
+    setLoadedKey(storageKey);
+    setLayout(tableId ? getTablePreferences(userId, tableId) : {});
+  }
+
+  // Latest layout, so consecutive updates compose without saving from inside a state updater
+  const layoutRef = useRef(layout);
+  useEffect(() => {
+    layoutRef.current = layout;
+  }, [layout]);
+
+  /**
+   * Merges changes into the layout and persists it
+   * @param {Object} patch - Layout fields to change
+   */
+  const updateLayout = useCallback((patch) => {
+    const next = { ...layoutRef.current, ...patch };
+    layoutRef.current = next;
+    setLayout(next);
+    if (tableId) saveTablePreferences(userId, tableId, next);
+  }, [userId, tableId]);
+
+  /**
+   * Restores the default column layout
+   */
+  const resetLayout = useCallback(() => {
+    layoutRef.current = {};
+    setLayout({});
+    if (tableId) saveTablePreferences(userId, tableId, null);
+  }, [userId, tableId]);
+
+  return { layout, updateLayout, resetLayout };
+};
@@ -0,0 +1,125 @@
+import { useEffect, useRef } from 'react';
+import { jwtDecode } from 'jwt-decode';
+import * as authService from '../services/authService';
+import { AUTH_CONFIG } from '../constants';
+
+// Longest delay setTimeout accepts before overflowing (~24.8 days)
+const MAX_TIMEOUT = 2147483647;
+
+/**
+ * Reads the expiry of an access token
+ * @param {string} token - JWT access token
+ * @returns {number} Expiry timestamp in milliseconds
+ */
+const getTokenExpiry = (token) => {
+  try {
+    const { exp } = jwtDecode(token);
+    if (exp) return exp * 1000;
+  } catch {
+    // Not a decodable JWT, fall back to the assumed lifetime
+  }
+  return Date.now() + AUTH_CONFIG.TOKEN_EXPIRATION_TIME;
+};
+
+/**
+ * Whether a failed renewal may succeed if tried again
+ * Network drops, rate limits and server errors are transient; a rejected
+ * refresh token is not
+ * @param {Object} error - Axios error
+ * @returns {boolean} True if the renewal should be retried
+ */
+const isTransientError = (error) => {
+  const status = error.response?.status;
+  return !status || status === 429 || status >= 500;
+};
+
+/**
+ * Custom hook that silently renews the access token before it expires
+ * Reschedules whenever the token changes, pauses while the tab is hidden and
+ * catches up as soon as the tab becomes visible or the network comes back.
+ * Transient failures are retried with exponential backoff
+ * @param {Object} options - Scheduler options
+ * @param {string|null} options.token - Current access token
+ * @param {boolean} options.enabled - Whether the scheduler should run
+ * @param {number} options.margin - Milliseconds before expiry to refresh
+ * @param {Function} options.onRefreshError - Called when a scheduled refresh fails
+ */
+export const useTokenRefreshScheduler = ({
+  token,
+  enabled = true,
+  margin = AUTH_CONFIG.TOKEN_REFRESH_MARGIN,
+  onRefreshError,
+}) => {
+  // Keep the latest callback without restarting the scheduler
+  const onRefreshErrorRef = useRef(onRefreshError);
+  useEffect(() => {
+    onRefreshErrorRef.current = onRefreshError;
+  }, [onRefreshError]);
+
+  useEffect(() => {
+    if (!enabled || !token) return undefined;
+
+    const refreshAt = getTokenExpiry(token) - margin;
+    let timerId = null;
+    let refreshing = false;
+    let failedAttempts = 0;
+
+    /**
+     * Renews the token; a successful rotation changes `token` and re-runs this effect
+     */
+    const refreshNow = async () => {
+      if (refreshing) return;
+      refreshing = true;
+      try {
+        await authService.refreshAccessToken();
+      } catch (error) {
+        onRefreshErrorRef.current?.(error);
+        if (isTransientError(error)) {
+          const delay = Math.min(
+            AUTH_CONFIG.TOKEN_REFRESH_RETRY_DELAY * 2 ** failedAttempts,
+            AUTH_CONFIG.TOKEN_REFRESH_RETRY_MAX_DELAY
+          );
+          failedAttempts += 1;
+          clearTimeout(timerId);
+          timerId = setTimeout(schedule, delay);
+        }
+      } finally {
+        refreshing = false;
+      }
+    };
+
+    /**
+     * Arms the timer, or refreshes right away when the renewal time has passed
+     */
+    const schedule = () => {
+      clearTimeout(timerId);
+      if (document.visibilityState === 'hidden') return;
+
+      const delay = refreshAt - Date.now();
+      if (delay <= 0) {
+        refreshNow();
+        return;
+      }
+      // Long delays are split; the timer re-checks the remaining time when it fires
+      timerId = setTimeout(schedule, Math.min(delay, MAX_TIMEOUT));
+    };
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        clearTimeout(timerId);
+      } else {
+        schedule();
+      }
+    };
+
+    schedule();
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('online', schedule);
+
+    return () => {
+      clearTimeout(timerId);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('online', schedule);
+    };
+  }, [token, enabled, margin]);
+};
@@ -0,0 +1,63 @@
+import React from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import Layout from '../components/Layout';
+import { ROUTES, PERMISSION_MATCH } from '../constants';
+
+/**
+ * 403 page shown when an authenticated user opens a route they may not access
+ * The URL is kept so the user can share it with an administrator
+ * @param {Object} props - Component properties
+ * @param {string[]} props.missing - Requirements the user lacks (permission keys or role names)
+ * @param {string} props.match - Whether all (PERMISSION_MATCH.ALL) or one (PERMISSION_MATCH.ANY) of them is needed
+ */
+const Forbidden = ({ missing = [], match = PERMISSION_MATCH.ALL }) => {
+  const navigate = useNavigate();
+
+  return (
+    <Layout>
+      <div className="max-w-xl mx-auto py-12 text-center" role="alert">
+        <div className="mx-auto flex items-center justify-center h-16 w-16 rounded-full bg-red-100">
+          <span className="text-red-600 text-3xl" aria-hidden="true">🚫</span>
+        </div>
+        <p className="mt-6 text-sm font-semibold text-red-600 uppercase tracking-wide">Error 403</p>
+        <h1 className="mt-2 text-3xl font-bold text-gray-900">Access denied</h1>
+        <p className="mt-4 text-base text-gray-600">
+          You do not have permission to view this page. If you think this is a mistake, ask an administrator for access.
+        </p>
+
+        {missing.length > 0 && (
+          <div className="mt-6 text-left bg-gray-50 border border-gray-200 rounded-md p-4">
+            <p className="text-sm font-medium text-gray-700">
+              {match === PERMISSION_MATCH.ANY ? 'This page requires one of:' : 'This page requires:'}
+            </p>
+            <ul className="mt-2 list-disc list-inside space-y-1 text-sm text-gray-600">
+              {missing.map((requirement) => (
+                <li key={requirement}>
+                  <code className="px-1 bg-gray-100 rounded">{requirement}</code>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className="mt-8 flex justify-center space-x-3">
+          <button
+            type="button"
+            onClick={() => navigate(-1)}
+            className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50 transition-colors"
+          >
+            Go back
+          </button>
+          <Link
+            to={ROUTES.DASHBOARD}
+            className="px-4 py-2 rounded-md text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 transition-colors"
+          >
+            Go to dashboard
+          </Link>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default Forbidden;
@@ -2,28 +2,51 @@ import React, { useState } from 'react';
 import { useForm } from 'react-hook-form';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { useCountdown } from '../hooks/useCountdown';
+import { getErrorMessage } from '../utils/errors';
+import { MESSAGES } from '../constants';
 import Logo from '../components/Logo';
 
 const ForgotPassword = () => {
-  const { register, handleSubmit, formState: { errors } } = useForm();
-  const { requestPasswordReset } = useAuth();
+  const { requestPasswordReset, clearPasswordReset, passwordReset } = useAuth();
+  const { register, handleSubmit, formState: { errors } } = useForm({
+    defaultValues: { email: passwordReset?.email || '' },
+  });
   const [isLoading, setIsLoading] = useState(false);
-  const [success, setSuccess] = useState(false);
   const [error, setError] = useState('');
+  const cooldown = useCountdown(passwordReset?.cooldownUntil);
+
+  const success = Boolean(passwordReset?.sent);
 
   const onSubmit = async (data) => {
     setIsLoading(true);
     setError('');
     try {
       await requestPasswordReset(data.email);
-      setSuccess(true);
     } catch (err) {
-      setError(err.response?.data?.detail || 'Failed to send reset email');
+      if (err.response?.status === 429) {
+        setError(MESSAGES.ERROR.RATE_LIMITED);
+      } else {
+        setError(getErrorMessage(err, 'Failed to send reset email'));
+      }
     } finally {
       setIsLoading(false);
     }
   };
 
+  /**
+   * Sends the reset email again to the same address
+   */
+  const handleResend = () => onSubmit({ email: passwordReset.email });
+
+  /**
+   * Goes back to the form to use a different address
+   */
+  const handleChangeEmail = () => {
+    setError('');
+    clearPasswordReset();
+  };
+
   if (success) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
@@ -41,7 +64,27 @@ const ForgotPassword = () => {
             <p className="mt-2 text-center text-sm text-gray-600">
               If an account with that email exists, we've sent you a password reset link.
             </p>
-            <div className="mt-6">
+            {error && (
+              <div className="mt-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded relative">
+                <span className="block sm:inline">{error}</span>
+              </div>
+            )}
+            <div className="mt-6 flex flex-col items-center space-y-3">
+              <button
+                type="button"
+                onClick={handleResend}
+                disabled={isLoading || cooldown > 0}
+                className="btn-secondary"
+              >
+                {cooldown > 0 ? `Resend email in ${cooldown}s` : 'Resend email'}
+              </button>
+              <button
+                type="button"
+                onClick={handleChangeEmail}
+                className="text-sm font-medium text-gray-600 hover:text-gray-500"
+              >
+                Use a different email
+              </button>
               <Link
                 to="/login"
                 className="font-medium text-primary-600 hover:text-primary-500"
@@ -100,7 +143,7 @@ const ForgotPassword = () => {
           <div>
             <button
               type="submit"
-              disabled={isLoading}
+              disabled={isLoading || cooldown > 0}
               className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed"
             >
               {isLoading ? (
@@ -108,6 +151,8 @@ const ForgotPassword = () => {
                   <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
                   Sending...
                 </div>
+              ) : cooldown > 0 ? (
+                `Try again in ${cooldown}s`
               ) : (
                 'Send Reset Link'
               )}
@@ -2,9 +2,26 @@ import React, { useEffect } from 'react';
 import { useForm } from 'react-hook-form';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { LoadingSpinner } from '../components/ui';
-import { VALIDATION } from '../constants';
+import { LoadingSpinner, Alert } from '../components/ui';
+import { VALIDATION, ROUTES } from '../constants';
 import Logo from '../components/Logo';
+import MfaChallengeForm from '../components/MfaChallengeForm';
+
+/**
+ * Works out where to send the user once logged in
+ * Only same-origin paths are accepted so the redirect cannot be abused
+ * @param {Object} location - Router location of the login page
+ * @returns {string} Path (with query string and hash) to navigate to
+ */
+const getRedirectTarget = (location) => {
+  const from = location.state?.from;
+  const target = from
+    ? `${from.pathname}${from.search || ''}${from.hash || ''}`
+    : new URLSearchParams(location.search).get('redirect');
+
+  const isSafe = typeof target === 'string' && /^\/(?![/\\])/.test(target);
+  return isSafe && !target.startsWith(ROUTES.LOGIN) ? target : ROUTES.DASHBOARD;
+};
 
 /**
  * Login page
@@ -17,12 +34,15 @@ const Login = () => {
     formState: { errors } 
   } = useForm();
   
-  const { login, isAuthenticated, isLoading, error, clearError } = useAuth();
+  const { login, isAuthenticated, isLoading, error, clearError, mfaChallenge } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
 
-  // Redirect path after login
-  const from = location.state?.from?.pathname || '/dashboard';
+  // Redirect path after login (kept from the guarded route or the session-expiry redirect)
+  const from = getRedirectTarget(location);
+
+  // Success banner passed by public flows such as password reset
+  const successMessage = location.state?.message;
 
   // Redirect if already authenticated
   useEffect(() => {
@@ -62,90 +82,99 @@ const Login = () => {
           </h2>
         </div>
 
-        {/* Formulario */}
-        <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
-          {/* Error Alert */}
-          {error && (
-            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded relative">
-              <span className="block sm:inline">{error}</span>
+        {/* Second factor step, or the credentials form */}
+        {mfaChallenge ? (
+          <MfaChallengeForm />
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
+            {/* Success Alert */}
+            {successMessage && !error && (
+              <Alert type="success" message={successMessage} />
+            )}
+
+            {/* Error Alert */}
+            {error && (
+              <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded relative">
+                <span className="block sm:inline">{error}</span>
+              </div>
+            )}
+            
+            <div className="rounded-md shadow-sm -space-y-px">
+              {/* Campo Username/Email */}
+              <div>
+                <label htmlFor="username" className="sr-only">
+                  Username or Email
+                </label>
+                <input
+                  {...register('username', { 
+                    required: 'Username or email is required',
+                    minLength: {
+                      value: VALIDATION.USERNAME_MIN_LENGTH,
+                      message: `Username must be at least ${VALIDATION.USERNAME_MIN_LENGTH} characters`
+                    }
+                  })}
+                  type="text"
+                  className="form-input rounded-t-md rounded-b-none"
+                  placeholder="Username or Email"
+                  disabled={isLoading}
+                />
+                {errors.username && (
+                  <p className="form-error">{errors.username.message}</p>
+                )}
+              </div>
+
+              {/* Campo Password */}
+              <div>
+                <label htmlFor="password" className="sr-only">
+                  Password
+                </label>
+                <input
+                  {...register('password', { 
+                    required: 'Password is required',
+                    minLength: {
+                      value: VALIDATION.PASSWORD_MIN_LENGTH,
+                      message: `Password must be at least ${VALIDATION.PASSWORD_MIN_LENGTH} characters`
+                    }
+                  })}
+                  type="password"
+                  className="form-input rounded-t-none rounded-b-md"
+                  placeholder="Password"
+                  disabled={isLoading}
+                />
+                {errors.password && (
+                  <p className="form-error">{errors.password.message}</p>
+                )}
+              </div>
             </div>
-          )}
-          
-          <div className="rounded-md shadow-sm -space-y-px">
-            {/* Campo Username/Email */}
-            <div>
-              <label htmlFor="username" className="sr-only">
-                Username or Email
-              </label>
-              <input
-                {...register('username', { 
-                  required: 'Username or email is required',
-                  minLength: {
-                    value: VALIDATION.USERNAME_MIN_LENGTH,
-                    message: `Username must be at least ${VALIDATION.USERNAME_MIN_LENGTH} characters`
-                  }
-                })}
-                type="text"
-                className="form-input rounded-t-md rounded-b-none"
-                placeholder="Username or Email"
-                disabled={isLoading}
-              />
-              {errors.username && (
-                <p className="form-error">{errors.username.message}</p>
-              )}
+
+            {/* Forgot Password Link */}
+            <div className="flex items-center justify-between">
+              <div className="text-sm">
+                <Link
+                  to="/forgot-password"
+                  className="font-medium text-primary-600 hover:text-primary-500"
+                >
+                  Forgot your password?
+                </Link>
+              </div>
             </div>
 
-            {/* Campo Password */}
+            {/* Submit Button */}
             <div>
-              <label htmlFor="password" className="sr-only">
-                Password
-              </label>
-              <input
-                {...register('password', { 
-                  required: 'Password is required',
-                  minLength: {
-                    value: VALIDATION.PASSWORD_MIN_LENGTH,
-                    message: `Password must be at least ${VALIDATION.PASSWORD_MIN_LENGTH} characters`
-                  }
-                })}
-                type="password"
-                className="form-input rounded-t-none rounded-b-md"
-                placeholder="Password"
+              <button
+                type="submit"
                 disabled={isLoading}
-              />
-              {errors.password && (
-                <p className="form-error">{errors.password.message}</p>
-              )}
-            </div>
-          </div>
-
-          {/* Forgot Password Link */}
-          <div className="flex items-center justify-between">
-            <div className="text-sm">
-              <Link
-                to="/forgot-password"
-                className="font-medium text-primary-600 hover:text-primary-500"
+                className="btn-primary w-full flex justify-center"
               >
-                Forgot your password?
-              </Link>
+                {isLoading ? (
+                  <LoadingSpinner size="sm" color="border-white" text="" />
+                ) : (
+                  'Sign in'
+                )}
+              </button>
             </div>
-          </div>
-
-          {/* Submit Button */}
-          <div>
-            <button
-              type="submit"
-              disabled={isLoading}
-              className="btn-primary w-full flex justify-center"
-            >
-              {isLoading ? (
-                <LoadingSpinner size="sm" color="border-white" text="" />
-              ) : (
-                'Sign in'
-              )}
-            </button>
-          </div>
-        </form>
+          </form>
+        )}
       </div>
     </div>
   );
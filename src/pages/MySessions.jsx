@@ -1,6 +1,6 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useEffect, useCallback } from 'react';
 import Layout from '../components/Layout';
-import { Table, Alert, ConfirmDialog } from '../components/ui';
+import { Table, ConfirmDialog } from '../components/ui';
 import { useApiList, useApi } from '../hooks/useApi';
 import { useConfirm } from '../hooks/useConfirm';
 import * as authService from '../services/authService';
@@ -21,7 +21,6 @@ const MySessions = () => {
 
   const { execute } = useApi();
   const { confirmState, confirm, closeConfirm, handleConfirm } = useConfirm();
-  const [success, setSuccess] = useState('');
 
   const fetchSessions = useCallback(async () => {
     await fetchData(() => authService.getCurrentUserSessions(), {
@@ -53,8 +52,6 @@ const MySessions = () => {
           { successMessage: 'Session revoked successfully' }
         );
         removeItem(session.id);
-        setSuccess('Session revoked successfully');
-        setTimeout(() => setSuccess(''), 3000);
       } catch {
         // Error is handled by useApi hook
       }
@@ -82,8 +79,6 @@ const MySessions = () => {
         );
         // Refresh the sessions list
         fetchSessions();
-        setSuccess('All other sessions revoked successfully');
-        setTimeout(() => setSuccess(''), 3000);
       } catch {
         // Error is handled by useApi hook
       }
@@ -158,6 +153,8 @@ const MySessions = () => {
     },
     {
       header: 'Login Time',
+      accessor: 'created_at',
+      sortable: true,
       render: (session) => (
         <div className="text-sm text-gray-900">
           {formatDate(session.created_at)}
@@ -166,6 +163,8 @@ const MySessions = () => {
     },
     {
       header: 'Expires',
+      accessor: 'expires_at',
+      sortable: true,
       render: (session) => (
         <div className="text-sm text-gray-900">
           {formatDate(session.expires_at)}
@@ -189,6 +188,7 @@ const MySessions = () => {
     },
     {
       header: 'Actions',
+      hideable: false,
       className: 'text-right',
       cellClassName: 'text-right',
       render: (session) => (
@@ -239,13 +239,6 @@ const MySessions = () => {
           </div>
         </div>
 
-        {/* Success Alert */}
-        {success && (
-          <Alert type="success" onClose={() => setSuccess('')}>
-            {success}
-          </Alert>
-        )}
-
         {/* Security Notice */}
         <div className="bg-blue-50 border border-blue-200 rounded-md p-4">
           <div className="flex">
@@ -274,6 +267,7 @@ const MySessions = () => {
             </h3>
             
             <Table
+              tableId="my-sessions"
               columns={columns}
               data={sessions}
               loading={loading}
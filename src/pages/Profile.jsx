@@ -1,12 +1,15 @@
 import React, { useState } from 'react';
 import { useForm } from 'react-hook-form';
 import { useAuth } from '../contexts/AuthContext';
+import { useToast } from '../contexts/ToastContext';
 import Layout from '../components/Layout';
+import ChangePasswordForm from '../components/ChangePasswordForm';
+import MfaSettings from '../components/MfaSettings';
 
 const Profile = () => {
   const { user, updateUser } = useAuth();
+  const toast = useToast();
   const [isEditing, setIsEditing] = useState(false);
-  const [success, setSuccess] = useState(false);
   const [error, setError] = useState('');
 
   const { register, handleSubmit, formState: { errors }, reset } = useForm({
@@ -21,9 +24,8 @@ const Profile = () => {
     try {
       setError('');
       await updateUser(data);
-      setSuccess(true);
       setIsEditing(false);
-      setTimeout(() => setSuccess(false), 3000);
+      toast.success('Profile updated successfully!');
     } catch (err) {
       setError(err.response?.data?.detail || 'Update failed');
     }
@@ -95,12 +97,6 @@ const Profile = () => {
               Personal Information
             </h3>
 
-            {success && (
-              <div className="mb-4 bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded relative">
-                <span className="block sm:inline">Profile updated successfully!</span>
-              </div>
-            )}
-
             {error && (
               <div className="mb-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded relative">
                 <span className="block sm:inline">{error}</span>
@@ -191,6 +187,12 @@ const Profile = () => {
           </div>
         </div>
 
+        {/* Change password */}
+        <ChangePasswordForm />
+
+        {/* Two-factor authentication */}
+        <MfaSettings />
+
         {/* Account Details */}
         <div className="bg-white shadow rounded-lg">
           <div className="px-4 py-5 sm:p-6">
@@ -0,0 +1,195 @@
+import React, { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { ROUTES, MESSAGES, VALIDATION } from '../constants';
+import Logo from '../components/Logo';
+import PasswordStrengthMeter from '../components/PasswordStrengthMeter';
+import { getErrorMessage } from '../utils/errors';
+
+/**
+ * Reset password page
+ * Landing page for the emailed reset link, consumes the token from the query string
+ */
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const navigate = useNavigate();
+  const { confirmPasswordReset } = useAuth();
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [tokenInvalid, setTokenInvalid] = useState(false);
+
+  const { register, handleSubmit, watch, formState: { errors } } = useForm();
+  const password = watch('password', '');
+
+  /**
+   * Handles the new password submission
+   * @param {Object} data - Form data
+   */
+  const onSubmit = async (data) => {
+    setIsLoading(true);
+    setError('');
+    try {
+      await confirmPasswordReset(token, data.password);
+      navigate(ROUTES.LOGIN, {
+        replace: true,
+        state: { message: MESSAGES.SUCCESS.PASSWORD_RESET },
+      });
+    } catch (err) {
+      const status = err.response?.status;
+      const detail = err.response?.data?.detail;
+      // 401/404 mean the token is unknown, used or expired; a 400 may instead be
+      // the password policy rejecting the new password, so only its token messages count
+      const isTokenError = [401, 404].includes(status) ||
+        (status === 400 && (typeof detail !== 'string' || /token|expired|link/i.test(detail)));
+      if (isTokenError) {
+        setTokenInvalid(true);
+      } else {
+        setError(getErrorMessage(err, MESSAGES.ERROR.VALIDATION));
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (!token || tokenInvalid) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div className="text-center">
+            <div className="flex justify-center mb-6">
+              <Logo size="lg" showText={true} />
+            </div>
+            <div className="mx-auto flex items-center justify-center h-12 w-12 rounded-full bg-red-100">
+              <span className="text-red-600 text-xl">✕</span>
+            </div>
+            <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+              Link not valid
+            </h2>
+            <p className="mt-2 text-center text-sm text-gray-600">
+              {MESSAGES.ERROR.RESET_TOKEN_INVALID}. Please request a new one.
+            </p>
+            <div className="mt-6 flex flex-col space-y-2">
+              <Link
+                to={ROUTES.FORGOT_PASSWORD}
+                className="font-medium text-primary-600 hover:text-primary-500"
+              >
+                Request a new reset link
+              </Link>
+              <Link
+                to={ROUTES.LOGIN}
+                className="font-medium text-gray-600 hover:text-gray-500"
+              >
+                Back to login
+              </Link>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <div className="flex justify-center mb-6">
+            <Logo size="lg" showText={true} />
+          </div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Choose a new password
+          </h2>
+          <p className="mt-2 text-center text-sm text-gray-600">
+            Your new password must be at least {VALIDATION.PASSWORD_MIN_LENGTH} characters long.
+          </p>
+        </div>
+        <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
+          {error && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded relative">
+              <span className="block sm:inline">{error}</span>
+            </div>
+          )}
+
+          <div>
+            <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+              New Password
+            </label>
+            <input
+              {...register('password', {
+                required: VALIDATION.MESSAGES.REQUIRED,
+                minLength: {
+                  value: VALIDATION.PASSWORD_MIN_LENGTH,
+                  message: VALIDATION.MESSAGES.PASSWORD_TOO_SHORT,
+                },
+                maxLength: {
+                  value: VALIDATION.PASSWORD_MAX_LENGTH,
+                  message: VALIDATION.MESSAGES.PASSWORD_TOO_LONG,
+                },
+              })}
+              id="password"
+              type="password"
+              autoComplete="new-password"
+              className="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+              placeholder="Enter your new password"
+              disabled={isLoading}
+            />
+            <PasswordStrengthMeter password={password} />
+            {errors.password && (
+              <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>
+            )}
+          </div>
+
+          <div>
+            <label htmlFor="confirm_password" className="block text-sm font-medium text-gray-700">
+              Confirm New Password
+            </label>
+            <input
+              {...register('confirm_password', {
+                required: VALIDATION.MESSAGES.REQUIRED,
+                validate: (value) => value === password || VALIDATION.MESSAGES.PASSWORD_MISMATCH,
+              })}
+              id="confirm_password"
+              type="password"
+              autoComplete="new-password"
+              className="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+              placeholder="Repeat your new password"
+              disabled={isLoading}
+            />
+            {errors.confirm_password && (
+              <p className="mt-1 text-sm text-red-600">{errors.confirm_password.message}</p>
+            )}
+          </div>
+
+          <div>
+            <button
+              type="submit"
+              disabled={isLoading}
+              className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isLoading ? (
+                <div className="flex items-center">
+                  <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                  Resetting...
+                </div>
+              ) : (
+                'Reset Password'
+              )}
+            </button>
+          </div>
+
+          <div className="text-center">
+            <Link
+              to={ROUTES.LOGIN}
+              className="font-medium text-primary-600 hover:text-primary-500"
+            >
+              Back to login
+            </Link>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,307 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import Layout from '../../components/Layout';
+import { Alert, LoadingSpinner } from '../../components/ui';
+import { usePaginatedList } from '../../hooks/useApi';
+import { useConfig } from '../../contexts/ConfigContext';
+import * as authService from '../../services/authService';
+import { explainAccess, normalizePermission, parsePermissionKey } from '../../utils/authorization';
+import { expandInheritance } from '../../utils/roleHierarchy';
+import { getErrorMessage } from '../../utils/errors';
+import { MESSAGES, RESOURCES, ACTION_OPTIONS } from '../../constants';
+
+// Users listed while searching for the one to inspect
+const USER_RESULTS_SIZE = 5;
+
+/**
+ * Replaces the permission stubs attached to a role with the full permissions,
+ * so their resource and action are known
+ * @param {Object} role - Role from the API
+ * @param {Map} permissionsById - Every permission by ID
+ * @returns {Object} Role with resolved permissions
+ */
+const resolveRole = (role, permissionsById) => ({
+  ...role,
+  permissions: (role.permissions || []).map((permission) => permissionsById.get(permission.id) || permission),
+});
+
+/**
+ * Access inspector page
+ * Resolves a user's roles into the resource × action matrix they end up with
+ * and explains why any single permission is granted or denied
+ */
+const AccessInspector = () => {
+  const { rootCompanyId } = useConfig();
+  const {
+    data: userResults,
+    loading: searching,
+    search,
+    setSearch,
+  } = usePaginatedList(authService.getUsersPage, { pageSize: USER_RESULTS_SIZE });
+
+  const [roles, setRoles] = useState([]);
+  const [permissions, setPermissions] = useState([]);
+  const [resourceTypes, setResourceTypes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedUser, setSelectedUser] = useState(null);
+  // User whose roles are expected, so late responses for earlier picks are dropped
+  const selectedUserIdRef = useRef(null);
+  const [assignedRoleIds, setAssignedRoleIds] = useState(null);
+  const [query, setQuery] = useState({ resource: RESOURCES.USERS, action: ACTION_OPTIONS[0].value });
+
+  // Roles, permissions and resource types are shared by every inspection
+  useEffect(() => {
+    Promise.all([
+      authService.getAllPages(authService.getRolesPage),
+      authService.getAllPages(authService.getPermissionsPage),
+      authService.getResourceTypes(),
+    ])
+      .then(([roleData, permissionData, resourceTypeData]) => {
+        setRoles(roleData);
+        setPermissions(permissionData);
+        setResourceTypes(resourceTypeData);
+      })
+      .catch((err) => setError(getErrorMessage(err, MESSAGES.ERROR.FETCH)))
+      .finally(() => setLoading(false));
+  }, []);
+
+  /**
+   * Selects the user to inspect and loads their roles
+   */
+  const handleSelectUser = async (user) => {
+    selectedUserIdRef.current = user.id;
+    setSelectedUser(user);
+    setAssignedRoleIds(null);
+    setError(null);
+    try {
+      const userRoles = await authService.getUserRoles(user.id);
+      // Another user may have been picked while this one loaded
+      if (selectedUserIdRef.current !== user.id) return;
+      setAssignedRoleIds(userRoles.map((role) => role.id));
+    } catch (err) {
+      if (selectedUserIdRef.current !== user.id) return;
+      setError(getErrorMessage(err, MESSAGES.ERROR.FETCH));
+      setAssignedRoleIds([]);
+    }
+  };
+
+  const resolvedRoles = useMemo(() => {
+    const permissionsById = new Map(permissions.map((permission) => [permission.id, permission]));
+    return expandInheritance(roles.map((role) => resolveRole(role, permissionsById)));
+  }, [roles, permissions]);
+
+  const inspectedUser = useMemo(() => (
+    selectedUser && assignedRoleIds
+      ? { ...selectedUser, roles: resolvedRoles.filter((role) => assignedRoleIds.includes(role.id)) }
+      : null
+  ), [selectedUser, assignedRoleIds, resolvedRoles]);
+
+  // Resource types, plus resources that only appear in permission names
+  const resources = useMemo(() => {
+    const names = new Set(resourceTypes.map((type) => type.name?.toLowerCase()).filter(Boolean));
+    permissions.forEach((permission) => {
+      const { resource } = parsePermissionKey(normalizePermission(permission) || '');
+      if (resource && resource !== '*') names.add(resource);
+    });
+    if (names.size === 0) Object.values(RESOURCES).forEach((name) => names.add(name));
+    return [...names].sort();
+  }, [resourceTypes, permissions]);
+
+  const explain = (action, resource) => explainAccess(inspectedUser, action, resource, {
+    rootCompanyId,
+    roles: resolvedRoles,
+  });
+
+  const answer = inspectedUser ? explain(query.action, query.resource) : null;
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header section */}
+        <div className="bg-white overflow-hidden shadow rounded-lg">
+          <div className="px-4 py-5 sm:p-6">
+            <h1 className="text-2xl font-bold text-gray-900">Access Inspector</h1>
+            <p className="mt-1 text-sm text-gray-500">
+              See what a user can actually do, which role grants it, and why a permission is missing
+            </p>
+          </div>
+        </div>
+
+        {error && <Alert type="error" message={error} />}
+
+        {/* User picker */}
+        <div className="bg-white shadow rounded-lg p-4 sm:p-6">
+          <label htmlFor="inspector_user" className="block text-sm font-medium text-gray-700">
+            User
+          </label>
+          <input
+            type="search"
+            id="inspector_user"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search by name, username or email..."
+            className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+          />
+          {search && (
+            <ul className="mt-2 divide-y divide-gray-100 border border-gray-200 rounded-md">
+              {userResults.map((user) => (
+                <li key={user.id}>
+                  <button
+                    type="button"
+                    onClick={() => handleSelectUser(user)}
+                    className={`w-full px-3 py-2 text-left text-sm hover:bg-gray-50 ${
+                      selectedUser?.id === user.id ? 'bg-primary-50' : ''
+                    }`}
+                  >
+                    <span className="font-medium text-gray-900">{user.full_name || user.username}</span>
+                    <span className="ml-2 text-gray-500">{user.email}</span>
+                  </button>
+                </li>
+              ))}
+              {!searching && userResults.length === 0 && (
+                <li className="px-3 py-2 text-sm text-gray-500">No users match "{search}"</li>
+              )}
+            </ul>
+          )}
+        </div>
+
+        {loading || (selectedUser && !inspectedUser) ? (
+          <div className="flex items-center justify-center py-12">
+            <LoadingSpinner size="lg" text="Resolving permissions..." />
+          </div>
+        ) : inspectedUser && (
+          <>
+            {/* Summary */}
+            <div className="bg-white shadow rounded-lg p-4 sm:p-6">
+              <h2 className="text-lg font-medium text-gray-900">
+                {inspectedUser.full_name || inspectedUser.username}
+              </h2>
+              <div className="mt-2 flex flex-wrap gap-1">
+                {inspectedUser.is_superuser && (
+                  <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-800">
+                    Administrator
+                  </span>
+                )}
+                {inspectedUser.is_active === false && (
+                  <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                    Inactive
+                  </span>
+                )}
+                {inspectedUser.roles.map((role) => (
+                  <span
+                    key={role.id}
+                    className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800"
+                  >
+                    {role.name}
+                  </span>
+                ))}
+                {inspectedUser.roles.length === 0 && (
+                  <span className="text-sm text-gray-500">No roles assigned</span>
+                )}
+              </div>
+            </div>
+
+            {/* Permission matrix */}
+            <div className="bg-white shadow rounded-lg overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Resource</th>
+                    {ACTION_OPTIONS.map((option) => (
+                      <th key={option.value} className="px-3 py-3 text-center text-xs font-medium text-gray-500 uppercase">
+                        {option.label}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {resources.map((resource) => (
+                    <tr key={resource}>
+                      <td className="px-4 py-2 font-medium text-gray-900">{resource}</td>
+                      {ACTION_OPTIONS.map(({ value: action }) => {
+                        const cell = explain(action, resource);
+                        const grantedBy = [...new Set(cell.grants.map((grant) => grant.role || 'direct'))];
+                        const isQueried = query.resource === resource && query.action === action;
+                        return (
+                          <td key={action} className="px-1 py-1 text-center">
+                            <button
+                              type="button"
+                              onClick={() => setQuery({ resource, action })}
+                              title={cell.reason}
+                              aria-pressed={isQueried}
+                              className={`w-full px-2 py-1.5 rounded text-xs ${
+                                cell.allowed ? 'bg-green-50 text-green-800 hover:bg-green-100' : 'text-gray-400 hover:bg-gray-100'
+                              } ${isQueried ? 'ring-2 ring-primary-500' : ''}`}
+                            >
+                              <span className="block text-base leading-none">{cell.allowed ? '✓' : '✕'}</span>
+                              {grantedBy.length > 0 && (
+                                <span className="block mt-0.5 truncate max-w-[7rem] mx-auto">
+                                  {grantedBy[0]}{grantedBy.length > 1 && ` +${grantedBy.length - 1}`}
+                                </span>
+                              )}
+                            </button>
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {/* Why / why not */}
+            <div className="bg-white shadow rounded-lg p-4 sm:p-6 space-y-4">
+              <h2 className="text-lg font-medium text-gray-900">Why or why not?</h2>
+              <div className="flex flex-wrap items-end gap-4">
+                <div>
+                  <label htmlFor="inspector_action" className="block text-sm font-medium text-gray-700">Action</label>
+                  <select
+                    id="inspector_action"
+                    value={query.action}
+                    onChange={(e) => setQuery((current) => ({ ...current, action: e.target.value }))}
+                    className="mt-1 block px-3 py-2 border border-gray-300 rounded-md text-sm"
+                  >
+                    {ACTION_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label htmlFor="inspector_resource" className="block text-sm font-medium text-gray-700">Resource</label>
+                  <select
+                    id="inspector_resource"
+                    value={query.resource}
+                    onChange={(e) => setQuery((current) => ({ ...current, resource: e.target.value }))}
+                    className="mt-1 block px-3 py-2 border border-gray-300 rounded-md text-sm"
+                  >
+                    {!resources.includes(query.resource) && <option value={query.resource}>{query.resource}</option>}
+                    {resources.map((resource) => (
+                      <option key={resource} value={resource}>{resource}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div className={`p-4 rounded-md border-l-4 ${answer.allowed ? 'bg-green-50 border-green-400' : 'bg-red-50 border-red-400'}`}>
+                <p className={`text-sm font-medium ${answer.allowed ? 'text-green-800' : 'text-red-800'}`}>
+                  {answer.allowed ? 'Allowed' : 'Denied'}: {query.action} on {query.resource}
+                </p>
+                <p className="mt-1 text-sm text-gray-700">{answer.reason}</p>
+                {answer.candidates?.length > 0 && (
+                  <p className="mt-2 text-sm text-gray-700">
+                    Assigning any of these roles would grant it: {answer.candidates.join(', ')}
+                  </p>
+                )}
+                {answer.candidates?.length === 0 && (
+                  <p className="mt-2 text-sm text-gray-700">No existing role grants it.</p>
+                )}
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </Layout>
+  );
+};
+
+export default AccessInspector;
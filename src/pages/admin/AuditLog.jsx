@@ -0,0 +1,392 @@
+import React, { useState, useEffect } from 'react';
+import Layout from '../../components/Layout';
+import { Modal, Table, LoadingSpinner, Alert } from '../../components/ui';
+import { usePaginatedList, useApi } from '../../hooks/useApi';
+import * as authService from '../../services/authService';
+import { diffObjects, formatValue } from '../../utils/diff';
+import { MESSAGES, SORT_DIRECTIONS } from '../../constants';
+
+const EMPTY_FILTERS = { actor: '', action: '', dateFrom: '', dateTo: '' };
+
+const CHANGE_STYLES = {
+  added: 'bg-green-100 text-green-800',
+  removed: 'bg-red-100 text-red-800',
+  changed: 'bg-yellow-100 text-yellow-800',
+};
+
+/**
+ * Query parameters for the filters; dates are sent as the start and end of
+ * the chosen local days so the range includes both
+ */
+const toQuery = ({ actor, action, dateFrom, dateTo }) => ({
+  actor: actor.trim(),
+  action,
+  date_from: dateFrom ? new Date(`${dateFrom}T00:00:00`).toISOString() : '',
+  date_to: dateTo ? new Date(`${dateTo}T23:59:59.999`).toISOString() : '',
+});
+
+/**
+ * Name of whoever performed the action
+ */
+const getActorLabel = (entry) => (
+  entry.actor?.username ||
+  entry.actor_username ||
+  entry.actor?.email ||
+  entry.actor_email ||
+  (entry.actor_id ? `User ${entry.actor_id}` : 'System')
+);
+
+/**
+ * Type and name (or ID) of the object acted upon
+ */
+const getTargetLabel = (entry) => {
+  const name = entry.target_name || (entry.target_id != null ? `#${entry.target_id}` : '');
+  return [entry.target_type, name].filter(Boolean).join(' ') || '—';
+};
+
+/**
+ * Badge colour by the verb at the end of the action, e.g. "user.delete"
+ */
+const getActionStyle = (action = '') => {
+  if (/(delete|revoke|remove)$/.test(action)) return 'bg-red-100 text-red-800';
+  if (/(create|add|assign)$/.test(action)) return 'bg-green-100 text-green-800';
+  if (/(update|regenerate|change)$/.test(action)) return 'bg-blue-100 text-blue-800';
+  return 'bg-gray-100 text-gray-800';
+};
+
+/**
+ * Before/after comparison of an audit entry
+ */
+const AuditDiff = ({ entry }) => {
+  const changes = diffObjects(entry.before, entry.after);
+
+  if (changes.length === 0) {
+    return <p className="text-sm text-gray-500">No field changes were recorded for this action.</p>;
+  }
+
+  return (
+    <table className="min-w-full divide-y divide-gray-200 text-sm">
+      <thead className="bg-gray-50">
+        <tr>
+          <th className="px-3 py-2 text-left font-medium text-gray-500">Field</th>
+          <th className="px-3 py-2 text-left font-medium text-gray-500">Before</th>
+          <th className="px-3 py-2 text-left font-medium text-gray-500">After</th>
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-gray-100">
+        {changes.map((change) => (
+          <tr key={change.key}>
+            <td className="px-3 py-2 align-top">
+              <div className="font-mono text-gray-900">{change.key}</div>
+              <span className={`inline-flex mt-1 px-2 py-0.5 rounded-full text-xs font-medium ${CHANGE_STYLES[change.change]}`}>
+                {change.change}
+              </span>
+            </td>
+            <td className="px-3 py-2 align-top font-mono text-red-700 break-all">{formatValue(change.before)}</td>
+            <td className="px-3 py-2 align-top font-mono text-green-700 break-all">{formatValue(change.after)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+/**
+ * Audit log page
+ * Lists who did what to which object, and from where, with the before/after
+ * snapshots the backend recorded. Filtered and paged on the server
+ */
+const AuditLog = () => {
+  const [draftFilters, setDraftFilters] = useState(EMPTY_FILTERS);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [actions, setActions] = useState([]);
+  const [viewingEntry, setViewingEntry] = useState(null);
+  const { loading: loadingEntry, execute } = useApi();
+
+  const {
+    total,
+    error,
+    refresh,
+    clearError,
+    tableProps
+  } = usePaginatedList(authService.getAuditLogsPage, {
+    initialSort: { key: 'created_at', direction: SORT_DIRECTIONS.DESC },
+    filters: toQuery(filters),
+    errorMessage: MESSAGES.ERROR.FETCH
+  });
+
+  // Known actions only feed the filter's suggestions
+  useEffect(() => {
+    authService.getAuditActions()
+      .then(setActions)
+      .catch((err) => console.error('Failed to fetch audit actions:', err));
+  }, []);
+
+  const updateDraft = (field) => (event) => {
+    setDraftFilters((prev) => ({ ...prev, [field]: event.target.value }));
+  };
+
+  const handleApplyFilters = (event) => {
+    event.preventDefault();
+    setFilters(draftFilters);
+  };
+
+  const handleClearFilters = () => {
+    setDraftFilters(EMPTY_FILTERS);
+    setFilters(EMPTY_FILTERS);
+  };
+
+  /**
+   * Opens the diff of an entry, loading its snapshots if the list left them out
+   */
+  const handleViewChanges = async (entry) => {
+    setViewingEntry(entry);
+    if ('before' in entry || 'after' in entry) return;
+
+    try {
+      const detail = await execute(() => authService.getAuditLogById(entry.id), {
+        errorMessage: 'Failed to load the changes of this entry'
+      });
+      // The modal may have been closed or moved on meanwhile
+      setViewingEntry((current) => (current?.id === entry.id ? detail : current));
+    } catch {
+      // Error is handled by useApi hook
+    }
+  };
+
+  const hasFilters = Object.values(filters).some(Boolean);
+  const dateRangeInvalid = Boolean(draftFilters.dateFrom && draftFilters.dateTo && draftFilters.dateFrom > draftFilters.dateTo);
+
+  /**
+   * Column configuration for the audit table
+   */
+  const columns = [
+    {
+      header: 'Timestamp',
+      accessor: 'created_at',
+      sortable: true,
+      render: (entry) => (
+        <div className="text-sm text-gray-900 whitespace-nowrap">
+          {new Date(entry.created_at).toLocaleString()}
+        </div>
+      ),
+    },
+    {
+      header: 'Actor',
+      id: 'actor',
+      exportValue: getActorLabel,
+      render: (entry) => (
+        <div className="text-sm font-medium text-gray-900">{getActorLabel(entry)}</div>
+      ),
+    },
+    {
+      header: 'Action',
+      accessor: 'action',
+      sortable: true,
+      render: (entry) => (
+        <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium font-mono ${getActionStyle(entry.action)}`}>
+          {entry.action}
+        </span>
+      ),
+    },
+    {
+      header: 'Target',
+      id: 'target',
+      exportValue: getTargetLabel,
+      render: (entry) => (
+        <div className="text-sm text-gray-900">{getTargetLabel(entry)}</div>
+      ),
+    },
+    {
+      header: 'IP Address',
+      accessor: 'ip_address',
+      render: (entry) => (
+        <div className="text-sm text-gray-500 font-mono">{entry.ip_address || 'Unknown IP'}</div>
+      ),
+    },
+    {
+      header: 'Changes',
+      hideable: false,
+      exportable: false,
+      className: 'text-right',
+      cellClassName: 'text-right',
+      render: (entry) => (
+        <button
+          onClick={() => handleViewChanges(entry)}
+          className="text-primary-600 hover:text-primary-900 text-sm font-medium transition-colors"
+          title="Compare before and after"
+        >
+          View diff
+        </button>
+      ),
+    },
+    { header: 'Before', id: 'before', exportOnly: true, exportValue: (entry) => JSON.stringify(entry.before ?? null) },
+    { header: 'After', id: 'after', exportOnly: true, exportValue: (entry) => JSON.stringify(entry.after ?? null) },
+    { header: 'User Agent', accessor: 'user_agent', exportOnly: true },
+  ];
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header section */}
+        <div className="bg-white overflow-hidden shadow rounded-lg">
+          <div className="px-4 py-5 sm:p-6">
+            <div className="flex items-center justify-between">
+              <div>
+                <h1 className="text-2xl font-bold text-gray-900">Audit Log</h1>
+                <p className="mt-1 text-sm text-gray-500">
+                  Who changed what in the system, from where, and when
+                </p>
+              </div>
+              <button
+                onClick={refresh}
+                className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+              >
+                🔄 Refresh
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {/* Filters */}
+        <form onSubmit={handleApplyFilters} className="bg-white shadow rounded-lg px-4 py-5 sm:p-6">
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-4">
+            <div>
+              <label htmlFor="audit-actor" className="block text-sm font-medium text-gray-700">Actor</label>
+              <input
+                type="text"
+                id="audit-actor"
+                value={draftFilters.actor}
+                onChange={updateDraft('actor')}
+                placeholder="Username or email"
+                className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500"
+              />
+            </div>
+            <div>
+              <label htmlFor="audit-action" className="block text-sm font-medium text-gray-700">Action</label>
+              <input
+                type="text"
+                id="audit-action"
+                list="audit-actions"
+                value={draftFilters.action}
+                onChange={updateDraft('action')}
+                placeholder="e.g., user.delete"
+                className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500"
+              />
+              <datalist id="audit-actions">
+                {actions.map((action) => <option key={action} value={action} />)}
+              </datalist>
+            </div>
+            <div>
+              <label htmlFor="audit-date-from" className="block text-sm font-medium text-gray-700">From</label>
+              <input
+                type="date"
+                id="audit-date-from"
+                value={draftFilters.dateFrom}
+                onChange={updateDraft('dateFrom')}
+                className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500"
+              />
+            </div>
+            <div>
+              <label htmlFor="audit-date-to" className="block text-sm font-medium text-gray-700">To</label>
+              <input
+                type="date"
+                id="audit-date-to"
+                value={draftFilters.dateTo}
+                onChange={updateDraft('dateTo')}
+                className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500"
+              />
+            </div>
+          </div>
+          {dateRangeInvalid && (
+            <p className="mt-2 text-sm text-red-600">The start date must be on or before the end date.</p>
+          )}
+          <div className="flex justify-end space-x-3 pt-4">
+            <button
+              type="button"
+              onClick={handleClearFilters}
+              className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+            >
+              Clear
+            </button>
+            <button
+              type="submit"
+              disabled={dateRangeInvalid}
+              className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50"
+            >
+              Apply Filters
+            </button>
+          </div>
+        </form>
+
+        {/* Content section */}
+        <div className="bg-white shadow rounded-lg overflow-hidden">
+          <div className="px-4 py-5 sm:px-6 border-b border-gray-200">
+            <h3 className="text-lg leading-6 font-medium text-gray-900">
+              Audit Entries{total !== null && ` (${total})`}
+            </h3>
+          </div>
+          <Table
+            {...tableProps}
+            tableId="audit-log"
+            exportable
+            exportFileName="audit-log"
+            columns={columns}
+            error={error}
+            onRetry={() => {
+              clearError();
+              refresh();
+            }}
+            emptyMessage={hasFilters ? 'No audit entries match these filters' : 'No audit entries recorded yet'}
+          />
+        </div>
+
+        {/* Diff Modal */}
+        <Modal
+          isOpen={Boolean(viewingEntry)}
+          onClose={() => setViewingEntry(null)}
+          title="Audit Entry Changes"
+          size="lg"
+        >
+          {viewingEntry && (
+            <div className="space-y-4">
+              <dl className="grid grid-cols-2 gap-3 text-sm">
+                <div>
+                  <dt className="text-gray-500">Action</dt>
+                  <dd className="font-mono text-gray-900">{viewingEntry.action}</dd>
+                </div>
+                <div>
+                  <dt className="text-gray-500">Target</dt>
+                  <dd className="text-gray-900">{getTargetLabel(viewingEntry)}</dd>
+                </div>
+                <div>
+                  <dt className="text-gray-500">Actor</dt>
+                  <dd className="text-gray-900">{getActorLabel(viewingEntry)}</dd>
+                </div>
+                <div>
+                  <dt className="text-gray-500">When</dt>
+                  <dd className="text-gray-900">
+                    {new Date(viewingEntry.created_at).toLocaleString()} from {viewingEntry.ip_address || 'unknown IP'}
+                  </dd>
+                </div>
+              </dl>
+              {loadingEntry ? (
+                <div className="flex justify-center py-6">
+                  <LoadingSpinner text="Loading changes..." />
+                </div>
+              ) : 'before' in viewingEntry || 'after' in viewingEntry ? (
+                <div className="overflow-x-auto border border-gray-200 rounded-md">
+                  <AuditDiff entry={viewingEntry} />
+                </div>
+              ) : (
+                <Alert type="warning" message="The changes of this entry could not be loaded." />
+              )}
+            </div>
+          )}
+        </Modal>
+      </div>
+    </Layout>
+  );
+};
+
+export default AuditLog;
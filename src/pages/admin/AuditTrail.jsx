@@ -0,0 +1,336 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import Layout from '../../components/Layout';
+import { Modal, Table, Alert, ConfirmDialog, LoadingSpinner } from '../../components/ui';
+import { useApi } from '../../hooks/useApi';
+import { useConfirm } from '../../hooks/useConfirm';
+import { useAbility } from '../../hooks/useAbility';
+import { useToast } from '../../contexts/ToastContext';
+import Can from '../../components/Can';
+import {
+  getAuditEntries,
+  clearAuditEntries,
+  shipPendingEntries,
+  getShippingEndpoint,
+} from '../../services/auditTrail';
+import { ACTIONS, RESOURCES, MESSAGES } from '../../constants';
+
+/**
+ * Name of the signed-in user who made the change
+ */
+const getActorLabel = (entry) => entry.actor?.username || entry.actor?.email || 'Unknown';
+
+/**
+ * Type and name (or ID) of the object changed
+ */
+const getTargetLabel = (entry) => {
+  const { type, id, name } = entry.target || {};
+  return [type, name || (id != null ? `#${id}` : '')].filter(Boolean).join(' ') || '—';
+};
+
+/**
+ * Requests sent for the change, one "METHOD url" per line
+ */
+const getEndpoints = (entry) => entry.requests.map((request) => `${request.method} ${request.url}`);
+
+/**
+ * Local audit trail page
+ * Shows the admin changes made from this browser, as recorded by useAuditTrail,
+ * and ships them to the collector endpoint when one is configured
+ */
+const AuditTrail = () => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [viewingEntry, setViewingEntry] = useState(null);
+  const { loading: shipping, execute } = useApi();
+  const { confirmState, confirm, closeConfirm, handleConfirm } = useConfirm();
+  const ability = useAbility();
+  const toast = useToast();
+  const endpoint = getShippingEndpoint();
+
+  const fetchEntries = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setEntries(await getAuditEntries());
+    } catch (err) {
+      console.error('Failed to read the audit trail:', err);
+      setError(`The audit trail could not be read: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  const pendingCount = entries.filter((entry) => !entry.shipped).length;
+
+  /**
+   * Sends the entries not shipped yet to the configured endpoint
+   */
+  const handleShip = async () => {
+    try {
+      await execute(shipPendingEntries, {
+        successMessage: `${pendingCount} entr${pendingCount === 1 ? 'y' : 'ies'} shipped`,
+        errorMessage: 'The audit trail could not be shipped. Entries are kept for the next attempt.'
+      });
+    } catch {
+      // Error is handled by useApi hook
+    }
+    fetchEntries();
+  };
+
+  /**
+   * Deletes every entry kept in this browser, with confirmation
+   * Needs audit delete permission, like the button
+   */
+  const handleClear = async () => {
+    if (!ability.can(ACTIONS.DELETE, RESOURCES.AUDIT)) {
+      toast.error(MESSAGES.ERROR.FORBIDDEN);
+      return;
+    }
+
+    const confirmed = await confirm({
+      title: 'Clear Audit Trail',
+      message: pendingCount > 0
+        ? `${pendingCount} of ${entries.length} entries have not been shipped and will be lost. Export them first if you need them. Clear anyway?`
+        : `Delete all ${entries.length} entries kept in this browser?`,
+      confirmText: 'Clear',
+      cancelText: 'Cancel',
+      type: 'danger',
+      icon: '🗑️'
+    });
+
+    if (confirmed) {
+      try {
+        await execute(clearAuditEntries, { successMessage: 'Audit trail cleared' });
+        setEntries([]);
+      } catch {
+        // Error is handled by useApi hook
+      }
+    }
+  };
+
+  /**
+   * Column configuration for the audit trail table
+   */
+  const columns = [
+    {
+      header: 'Timestamp',
+      accessor: 'timestamp',
+      sortable: true,
+      render: (entry) => (
+        <div className="text-sm text-gray-900 whitespace-nowrap">
+          {new Date(entry.timestamp).toLocaleString()}
+        </div>
+      ),
+    },
+    {
+      header: 'Actor',
+      id: 'actor',
+      sortable: true,
+      sortFn: (a, b) => getActorLabel(a).localeCompare(getActorLabel(b)),
+      exportValue: getActorLabel,
+      render: (entry) => (
+        <div className="text-sm font-medium text-gray-900">{getActorLabel(entry)}</div>
+      ),
+    },
+    {
+      header: 'Action',
+      accessor: 'action',
+      sortable: true,
+      render: (entry) => (
+        <span className="text-sm font-mono text-gray-900">{entry.action}</span>
+      ),
+    },
+    {
+      header: 'Target',
+      id: 'target',
+      exportValue: getTargetLabel,
+      render: (entry) => (
+        <div className="text-sm text-gray-900">{getTargetLabel(entry)}</div>
+      ),
+    },
+    {
+      header: 'Endpoint',
+      id: 'endpoint',
+      exportValue: (entry) => getEndpoints(entry).join('\n'),
+      render: (entry) => (
+        <div className="text-xs font-mono text-gray-500">
+          {entry.requests.length === 0
+            ? 'No request sent'
+            : getEndpoints(entry).map((line, index) => <div key={index}>{line}</div>)}
+        </div>
+      ),
+    },
+    {
+      header: 'Outcome',
+      accessor: 'outcome',
+      sortable: true,
+      render: (entry) => (
+        <span
+          className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+            entry.outcome === 'success' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+          }`}
+          title={entry.error || undefined}
+        >
+          {entry.outcome === 'success' ? 'Success' : `Failed${entry.status ? ` (${entry.status})` : ''}`}
+        </span>
+      ),
+    },
+    {
+      header: 'Shipped',
+      id: 'shipped',
+      exportValue: (entry) => (entry.shipped ? entry.shipped_at : ''),
+      render: (entry) => (
+        <span className="text-sm text-gray-500">
+          {entry.shipped ? new Date(entry.shipped_at).toLocaleString() : 'Pending'}
+        </span>
+      ),
+    },
+    {
+      header: 'Actions',
+      hideable: false,
+      exportable: false,
+      className: 'text-right',
+      cellClassName: 'text-right',
+      render: (entry) => (
+        <button
+          onClick={() => setViewingEntry(entry)}
+          className="text-primary-600 hover:text-primary-900 text-sm font-medium transition-colors"
+          title="Show the recorded payload"
+        >
+          Details
+        </button>
+      ),
+    },
+    {
+      header: 'Payload',
+      id: 'payload',
+      exportOnly: true,
+      exportValue: (entry) => JSON.stringify(entry.requests.map((request) => request.payload)),
+    },
+    { header: 'Error', accessor: 'error', exportOnly: true },
+  ];
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header section */}
+        <div className="bg-white overflow-hidden shadow rounded-lg">
+          <div className="px-4 py-5 sm:p-6">
+            <div className="flex items-center justify-between">
+              <div>
+                <h1 className="text-2xl font-bold text-gray-900">Local Audit Trail</h1>
+                <p className="mt-1 text-sm text-gray-500">
+                  Admin changes made from this browser, with secrets removed from their payloads
+                </p>
+              </div>
+              <div className="flex space-x-3">
+                <button
+                  onClick={fetchEntries}
+                  className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+                >
+                  🔄 Refresh
+                </button>
+                {endpoint && (
+                  <button
+                    onClick={handleShip}
+                    disabled={shipping || pendingCount === 0}
+                    className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+                  >
+                    {shipping ? 'Shipping...' : `Ship ${pendingCount} Pending`}
+                  </button>
+                )}
+                <Can action={ACTIONS.DELETE} resource={RESOURCES.AUDIT}>
+                  <button
+                    onClick={handleClear}
+                    disabled={entries.length === 0}
+                    className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+                  >
+                    Clear
+                  </button>
+                </Can>
+              </div>
+            </div>
+            <p className="mt-3 text-xs text-gray-500">
+              {endpoint
+                ? <>Shipped to <span className="font-mono">{endpoint}</span>.</>
+                : 'No collector endpoint is configured (auditTrailEndpoint), so entries stay in this browser. Use export to hand them over.'}
+            </p>
+          </div>
+        </div>
+
+        {/* Error message */}
+        {error && <Alert type="error" message={error} className="mb-4" />}
+
+        {/* Content section */}
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <LoadingSpinner size="lg" text="Loading audit trail..." />
+          </div>
+        ) : (
+          <div className="bg-white shadow rounded-lg overflow-hidden">
+            <div className="px-4 py-5 sm:px-6 border-b border-gray-200">
+              <h3 className="text-lg leading-6 font-medium text-gray-900">
+                Entries ({entries.length})
+              </h3>
+            </div>
+            {entries.length === 0 ? (
+              <div className="p-6 text-center text-gray-500">
+                <div className="text-4xl mb-4">🗂️</div>
+                <p className="text-lg font-medium mb-2">No changes recorded</p>
+                <p className="text-sm">Creating, editing or deleting users, roles, permissions, companies and integrations, one at a time, in bulk or by import, or revoking sessions, is recorded here.</p>
+              </div>
+            ) : (
+              <Table
+                tableId="audit-trail"
+                exportable
+                exportFileName="audit-trail"
+                columns={columns}
+                data={entries}
+              />
+            )}
+          </div>
+        )}
+
+        {/* Details Modal */}
+        <Modal
+          isOpen={Boolean(viewingEntry)}
+          onClose={() => setViewingEntry(null)}
+          title="Audit Trail Entry"
+          size="lg"
+        >
+          {viewingEntry && (
+            <div className="space-y-4">
+              <p className="text-sm text-gray-700">
+                <span className="font-mono">{viewingEntry.action}</span> on {getTargetLabel(viewingEntry)} by {getActorLabel(viewingEntry)},{' '}
+                {new Date(viewingEntry.timestamp).toLocaleString()}
+              </p>
+              {viewingEntry.error && <Alert type="error" message={viewingEntry.error} />}
+              {viewingEntry.requests.map((request, index) => (
+                <div key={index}>
+                  <div className="text-xs font-mono font-medium text-gray-700">{request.method} {request.url}</div>
+                  <pre className="mt-1 p-3 bg-gray-50 border border-gray-200 rounded-md text-xs text-gray-800 overflow-x-auto">
+                    {request.payload === null ? 'No body' : JSON.stringify(request.payload, null, 2)}
+                  </pre>
+                </div>
+              ))}
+            </div>
+          )}
+        </Modal>
+
+        {/* Confirm Dialog */}
+        <ConfirmDialog
+          {...confirmState}
+          onClose={closeConfirm}
+          onConfirm={handleConfirm}
+        />
+      </div>
+    </Layout>
+  );
+};
+
+export default AuditTrail;
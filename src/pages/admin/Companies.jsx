@@ -4,9 +4,11 @@ import Layout from '../../components/Layout';
 import { Modal, Table, Alert, LoadingSpinner } from '../../components/ui';
 import { useApiList, useApi } from '../../hooks/useApi';
 import { useConfirm } from '../../hooks/useConfirm';
+import { useToast } from '../../contexts/ToastContext';
 import * as authService from '../../services/authService';
-import { useAuth } from '../../contexts/AuthContext';
-import { MESSAGES } from '../../constants';
+import { useAbility } from '../../hooks/useAbility';
+import Can from '../../components/Can';
+import { MESSAGES, RESOURCES, ACTIONS } from '../../constants';
 
 /**
  * Companies administration page
@@ -25,17 +27,17 @@ const Companies = () => {
     clearError
   } = useApiList();
 
-  const { user: currentUser } = useAuth();
+  const ability = useAbility();
   const { execute } = useApi();
+  const toast = useToast();
   const { confirm } = useConfirm();
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [editingCompany, setEditingCompany] = useState(null);
-  const [success, setSuccess] = useState('');
 
   const { register, handleSubmit, formState: { errors }, reset, watch } = useForm();
 
-  // Check if current user is from root company
-  const isRootUser = currentUser?.is_superuser && currentUser?.company_id === 1;
+  // Companies are only visible to root company members
+  const canReadCompanies = ability.can(ACTIONS.READ, RESOURCES.COMPANIES);
 
   const fetchCompanies = useCallback(async () => {
     await fetchData(() => authService.getCompanies(), {
@@ -55,19 +57,23 @@ const Companies = () => {
       if (editingCompany) {
         const updatedCompany = await execute(
           () => authService.updateCompany(editingCompany.id, data),
-          { successMessage: MESSAGES.SUCCESS.UPDATE }
+          {
+            successMessage: MESSAGES.SUCCESS.UPDATE,
+            audit: { action: 'company.update', target: { type: 'company', id: editingCompany.id, name: editingCompany.name } }
+          }
         );
         updateItem(editingCompany.id, updatedCompany);
       } else {
         const newCompany = await execute(
           () => authService.createCompany(data),
-          { successMessage: MESSAGES.SUCCESS.CREATE }
+          {
+            successMessage: MESSAGES.SUCCESS.CREATE,
+            audit: { action: 'company.create', target: { type: 'company', name: data.name } }
+          }
         );
         addItem(newCompany);
       }
       handleCloseModal();
-      setSuccess(editingCompany ? MESSAGES.SUCCESS.UPDATE : MESSAGES.SUCCESS.CREATE);
-      setTimeout(() => setSuccess(''), 3000);
     } catch {
       // Error is handled by useApi hook
     }
@@ -92,10 +98,7 @@ const Companies = () => {
   const handleDelete = async (company) => {
     // Prevent deletion of root company
     if (company.is_root) {
-      setSuccess('');
-      setTimeout(() => {
-        alert('Cannot delete the root company');
-      }, 100);
+      toast.error('Cannot delete the root company');
       return;
     }
 
@@ -112,11 +115,12 @@ const Companies = () => {
       try {
         await execute(
           () => authService.deleteCompany(company.id),
-          { successMessage: MESSAGES.SUCCESS.DELETE }
+          {
+            successMessage: MESSAGES.SUCCESS.DELETE,
+            audit: { action: 'company.delete', target: { type: 'company', id: company.id, name: company.name } }
+          }
         );
         removeItem(company.id);
-        setSuccess(MESSAGES.SUCCESS.DELETE);
-        setTimeout(() => setSuccess(''), 3000);
       } catch {
         // Error is handled by useApi hook
       }
@@ -143,6 +147,8 @@ const Companies = () => {
   const columns = [
     {
       header: 'Company',
+      accessor: 'name',
+      sortable: true,
       render: (company) => (
         <div className="flex items-center">
           <div className="flex-shrink-0">
@@ -166,6 +172,10 @@ const Companies = () => {
     },
     {
       header: 'Status',
+      id: 'status',
+      sortable: true,
+      sortFn: (a, b) => Number(b.is_active) - Number(a.is_active),
+      exportValue: (company) => (company.is_active ? 'Active' : 'Inactive'),
       render: (company) => (
         <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
           company.is_active 
@@ -178,6 +188,8 @@ const Companies = () => {
     },
     {
       header: 'Created',
+      accessor: 'created_at',
+      sortable: true,
       render: (company) => (
         <div className="text-sm text-gray-900">
           {new Date(company.created_at).toLocaleDateString()}
@@ -186,33 +198,39 @@ const Companies = () => {
     },
     {
       header: 'Actions',
+      hideable: false,
       className: 'text-right',
       cellClassName: 'text-right',
       render: (company) => (
         <div className="flex justify-end space-x-3">
-          <button
-            onClick={() => handleEdit(company)}
-            className="text-primary-600 hover:text-primary-900 text-sm font-medium transition-colors"
-            title="Edit company"
-          >
-            Edit
-          </button>
-          {!company.is_root && (
+          <Can action={ACTIONS.UPDATE} resource={RESOURCES.COMPANIES}>
             <button
-              onClick={() => handleDelete(company)}
-              className="text-red-600 hover:text-red-900 text-sm font-medium transition-colors"
-              title="Delete company"
+              onClick={() => handleEdit(company)}
+              className="text-primary-600 hover:text-primary-900 text-sm font-medium transition-colors"
+              title="Edit company"
             >
-              Delete
+              Edit
             </button>
+          </Can>
+          {!company.is_root && (
+            <Can action={ACTIONS.DELETE} resource={RESOURCES.COMPANIES}>
+              <button
+                onClick={() => handleDelete(company)}
+                className="text-red-600 hover:text-red-900 text-sm font-medium transition-colors"
+                title="Delete company"
+              >
+                Delete
+              </button>
+            </Can>
           )}
         </div>
       ),
     },
+    { header: 'Description', accessor: 'description', exportOnly: true },
   ];
 
   // Show access denied for non-root users
-  if (!isRootUser) {
+  if (!canReadCompanies) {
     return (
       <Layout>
         <div className="space-y-6">
@@ -249,12 +267,14 @@ const Companies = () => {
                   Create, manage, and configure organizations in your system
                 </p>
               </div>
-              <button
-                onClick={() => setShowCreateModal(true)}
-                className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
-              >
-                Create Company
-              </button>
+              <Can action={ACTIONS.CREATE} resource={RESOURCES.COMPANIES}>
+                <button
+                  onClick={() => setShowCreateModal(true)}
+                  className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+                >
+                  Create Company
+                </button>
+              </Can>
             </div>
           </div>
         </div>
@@ -274,11 +294,6 @@ const Companies = () => {
           </div>
         </div>
 
-        {/* Success message */}
-        {success && (
-          <Alert type="success" message={success} className="mb-4" />
-        )}
-
         {/* Error message */}
         {error && <Alert type="error" message={error} className="mb-4" />}
 
@@ -302,6 +317,8 @@ const Companies = () => {
               </div>
             ) : (
               <Table
+                tableId="companies"
+                exportable
                 columns={columns}
                 data={companies}
                 pagination={{
@@ -1,10 +1,11 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import Layout from '../../components/Layout';
-import { Table, LoadingSpinner, Alert, Modal } from '../../components/ui';
+import { Table, LoadingSpinner, Modal } from '../../components/ui';
 import { useApi } from '../../hooks/useApi';
 import { useConfirm } from '../../hooks/useConfirm';
 import { getIntegrations, createIntegration, updateIntegration, deleteIntegration, regenerateApiSecret } from '../../services/authService';
-import { MESSAGES, INTEGRATION_TYPES } from '../../constants';
+import Can from '../../components/Can';
+import { MESSAGES, INTEGRATION_TYPES, RESOURCES, ACTIONS } from '../../constants';
 
 /**
  * Página de administración de integraciones con sistemas externos
@@ -14,7 +15,6 @@ const Integrations = () => {
   const [selectedIntegration, setSelectedIntegration] = useState(null);
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [isSecretVisible, setIsSecretVisible] = useState(false);
-  const [success, setSuccess] = useState('');
   const [formData, setFormData] = useState({
     name: '',
     description: '',
@@ -23,7 +23,7 @@ const Integrations = () => {
     configuration: {},
   });
 
-  const { loading, error, execute } = useApi();
+  const { loading, execute } = useApi();
   const { confirm } = useConfirm();
 
   /**
@@ -100,8 +100,12 @@ const Integrations = () => {
     try {
       if (selectedIntegration) {
         // Actualizar integración existente
-        const updatedIntegration = await execute(() => 
-          updateIntegration(selectedIntegration.id, formData)
+        const updatedIntegration = await execute(
+          () => updateIntegration(selectedIntegration.id, formData),
+          {
+            successMessage: MESSAGES.SUCCESS.UPDATE,
+            audit: { action: 'integration.update', target: { type: 'integration', id: selectedIntegration.id, name: selectedIntegration.name } }
+          }
         );
         
         if (updatedIntegration) {
@@ -111,18 +115,20 @@ const Integrations = () => {
             )
           );
           handleCloseModal();
-          setSuccess(MESSAGES.SUCCESS.UPDATE);
-          setTimeout(() => setSuccess(''), 3000);
         }
       } else {
         // Crear nueva integración
-        const newIntegration = await execute(() => createIntegration(formData));
+        const newIntegration = await execute(
+          () => createIntegration(formData),
+          {
+            successMessage: MESSAGES.SUCCESS.CREATE,
+            audit: { action: 'integration.create', target: { type: 'integration', name: formData.name } }
+          }
+        );
         
         if (newIntegration) {
           setIntegrations((prev) => [...prev, newIntegration]);
           handleCloseModal();
-          setSuccess(MESSAGES.SUCCESS.CREATE);
-          setTimeout(() => setSuccess(''), 3000);
         }
       }
     } catch (error) {
@@ -145,10 +151,14 @@ const Integrations = () => {
 
     if (confirmed) {
       try {
-        await execute(() => deleteIntegration(integration.id));
+        await execute(
+          () => deleteIntegration(integration.id),
+          {
+            successMessage: MESSAGES.SUCCESS.DELETE,
+            audit: { action: 'integration.delete', target: { type: 'integration', id: integration.id, name: integration.name } }
+          }
+        );
         setIntegrations((prev) => prev.filter((item) => item.id !== integration.id));
-        setSuccess(MESSAGES.SUCCESS.DELETE);
-        setTimeout(() => setSuccess(''), 3000);
       } catch (error) {
         console.error('Error deleting integration:', error);
       }
@@ -170,8 +180,12 @@ const Integrations = () => {
 
     if (confirmed) {
       try {
-        const updatedIntegration = await execute(() => 
-          regenerateApiSecret(integration.id)
+        const updatedIntegration = await execute(
+          () => regenerateApiSecret(integration.id),
+          {
+            successMessage: MESSAGES.SUCCESS.REGENERATE_SECRET,
+            audit: { action: 'integration.secret.regenerate', target: { type: 'integration', id: integration.id, name: integration.name } }
+          }
         );
         
         if (updatedIntegration) {
@@ -197,6 +211,8 @@ const Integrations = () => {
   const columns = [
     {
       header: 'Name',
+      accessor: 'name',
+      sortable: true,
       render: (integration) => (
         <div className="flex items-center">
           <div className="flex-shrink-0">
@@ -219,6 +235,8 @@ const Integrations = () => {
     },
     {
       header: 'Type',
+      accessor: 'integration_type',
+      sortable: true,
       render: (integration) => (
         <div className="text-sm text-gray-900 capitalize">
           {integration.integration_type.replace('_', ' ')}
@@ -227,6 +245,8 @@ const Integrations = () => {
     },
     {
       header: 'API Key',
+      // Credentials stay out of exports
+      exportable: false,
       render: (integration) => (
         <div className="text-sm">
           <code className="px-2 py-1 bg-gray-100 rounded font-mono text-xs">
@@ -237,6 +257,10 @@ const Integrations = () => {
     },
     {
       header: 'Status',
+      id: 'status',
+      sortable: true,
+      sortFn: (a, b) => Number(b.is_active) - Number(a.is_active),
+      exportValue: (integration) => (integration.is_active ? 'Active' : 'Inactive'),
       render: (integration) => (
         <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
           integration.is_active
@@ -249,34 +273,42 @@ const Integrations = () => {
     },
     {
       header: 'Actions',
+      hideable: false,
       className: 'text-right',
       cellClassName: 'text-right',
       render: (integration) => (
         <div className="flex justify-end space-x-3">
-          <button
-            onClick={() => handleOpenEditModal(integration)}
-            className="text-blue-600 hover:text-blue-900 text-sm font-medium transition-colors"
-            title="Edit integration"
-          >
-            Edit
-          </button>
-          <button
-            onClick={() => handleRegenerateSecret(integration)}
-            className="text-yellow-600 hover:text-yellow-900 text-sm font-medium transition-colors"
-            title="Regenerate API secret"
-          >
-            Regenerate
-          </button>
-          <button
-            onClick={() => handleDelete(integration)}
-            className="text-red-600 hover:text-red-900 text-sm font-medium transition-colors"
-            title="Delete integration"
-          >
-            Delete
-          </button>
+          <Can action={ACTIONS.UPDATE} resource={RESOURCES.INTEGRATIONS}>
+            <button
+              onClick={() => handleOpenEditModal(integration)}
+              className="text-blue-600 hover:text-blue-900 text-sm font-medium transition-colors"
+              title="Edit integration"
+            >
+              Edit
+            </button>
+          </Can>
+          <Can action={ACTIONS.UPDATE} resource={RESOURCES.INTEGRATIONS}>
+            <button
+              onClick={() => handleRegenerateSecret(integration)}
+              className="text-yellow-600 hover:text-yellow-900 text-sm font-medium transition-colors"
+              title="Regenerate API secret"
+            >
+              Regenerate
+            </button>
+          </Can>
+          <Can action={ACTIONS.DELETE} resource={RESOURCES.INTEGRATIONS}>
+            <button
+              onClick={() => handleDelete(integration)}
+              className="text-red-600 hover:text-red-900 text-sm font-medium transition-colors"
+              title="Delete integration"
+            >
+              Delete
+            </button>
+          </Can>
         </div>
       ),
     },
+    { header: 'Description', accessor: 'description', exportOnly: true },
   ];
 
   return (
@@ -292,12 +324,14 @@ const Integrations = () => {
                   Manage integrations with external systems and services
                 </p>
               </div>
-              <button
-                onClick={handleOpenCreateModal}
-                className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
-              >
-                Add Integration
-              </button>
+              <Can action={ACTIONS.CREATE} resource={RESOURCES.INTEGRATIONS}>
+                <button
+                  onClick={handleOpenCreateModal}
+                  className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+                >
+                  Add Integration
+                </button>
+              </Can>
             </div>
           </div>
         </div>
@@ -317,14 +351,6 @@ const Integrations = () => {
           </div>
         </div>
 
-        {/* Success message */}
-        {success && (
-          <Alert type="success" message={success} className="mb-4" />
-        )}
-
-        {/* Error message */}
-        {error && <Alert type="error" message={error} className="mb-4" />}
-
         {/* Content section */}
         {loading ? (
           <div className="flex items-center justify-center py-12">
@@ -345,6 +371,8 @@ const Integrations = () => {
               </div>
             ) : (
               <Table
+                tableId="integrations"
+                exportable
                 columns={columns}
                 data={integrations}
                 pagination={{
@@ -1,38 +1,46 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useForm } from 'react-hook-form';
 import Layout from '../../components/Layout';
-import { Modal, Table, Alert, LoadingSpinner } from '../../components/ui';
-import { useApiList, useApi } from '../../hooks/useApi';
+import { Modal, Table, Alert, ConfirmDialog, BulkActionBar, BulkProgressModal } from '../../components/ui';
+import { usePaginatedList, useApi } from '../../hooks/useApi';
 import { useConfirm } from '../../hooks/useConfirm';
+import { useRowSelection } from '../../hooks/useRowSelection';
+import { useBulkAction, describeItems } from '../../hooks/useBulkAction';
+import { useAbility } from '../../hooks/useAbility';
 import * as authService from '../../services/authService';
-import { MESSAGES } from '../../constants';
+import Can from '../../components/Can';
+import PermissionGenerator from '../../components/PermissionGenerator';
+import { MESSAGES, RESOURCES, ACTIONS, ACTION_OPTIONS, SORT_DIRECTIONS } from '../../constants';
 
 const Permissions = () => {
   const {
     data: permissions,
-    loading,
+    total,
+    loading: listLoading,
     error,
-    fetchData,
-    addItem,
+    search,
+    fetchAll,
+    refresh,
     updateItem,
-    removeItem,
-    clearError
-  } = useApiList();
+    clearError,
+    tableProps
+  } = usePaginatedList(authService.getPermissionsPage, {
+    initialSort: { key: 'name', direction: SORT_DIRECTIONS.ASC },
+    errorMessage: MESSAGES.ERROR.FETCH
+  });
 
-  const { execute } = useApi();
+  const { loading, execute } = useApi();
   const [showCreateModal, setShowCreateModal] = useState(false);
+  const [showGenerator, setShowGenerator] = useState(false);
   const [editingPermission, setEditingPermission] = useState(null);
-  const [success, setSuccess] = useState('');
   const [resourceTypes, setResourceTypes] = useState([]);
 
   const { register, handleSubmit, formState: { errors }, reset } = useForm();
-  const { confirm } = useConfirm();
-
-  const fetchPermissions = useCallback(async () => {
-    await fetchData(() => authService.getPermissions(), {
-      errorMessage: MESSAGES.ERROR.FETCH
-    });
-  }, [fetchData]);
+  const { confirmState, confirm, closeConfirm, handleConfirm } = useConfirm();
+  const ability = useAbility();
+  const selection = useRowSelection(search);
+  const bulk = useBulkAction();
+  const canDelete = ability.can(ACTIONS.DELETE, RESOURCES.PERMISSIONS);
 
   const fetchResourceTypes = useCallback(async () => {
     try {
@@ -44,28 +52,31 @@ const Permissions = () => {
   }, []);
 
   useEffect(() => {
-    fetchPermissions();
     fetchResourceTypes();
-  }, [fetchPermissions, fetchResourceTypes]);
+  }, [fetchResourceTypes]);
 
   const onSubmit = async (data) => {
     try {
       if (editingPermission) {
         const updatedPermission = await execute(
           () => authService.updatePermission(editingPermission.id, data),
-          { successMessage: MESSAGES.SUCCESS.UPDATE }
+          {
+            successMessage: MESSAGES.SUCCESS.UPDATE,
+            audit: { action: 'permission.update', target: { type: 'permission', id: editingPermission.id, name: editingPermission.name } }
+          }
         );
         updateItem(editingPermission.id, updatedPermission);
       } else {
-        const newPermission = await execute(
+        await execute(
           () => authService.createPermission(data),
-          { successMessage: MESSAGES.SUCCESS.CREATE }
+          {
+            successMessage: MESSAGES.SUCCESS.CREATE,
+            audit: { action: 'permission.create', target: { type: 'permission', name: data.name } }
+          }
         );
-        addItem(newPermission);
+        refresh();
       }
       handleCloseModal();
-      setSuccess(editingPermission ? MESSAGES.SUCCESS.UPDATE : MESSAGES.SUCCESS.CREATE);
-      setTimeout(() => setSuccess(''), 3000);
     } catch {
       // Error is handled by useApi hook
     }
@@ -96,17 +107,51 @@ const Permissions = () => {
       try {
         await execute(
           () => authService.deletePermission(permission.id),
-          { successMessage: MESSAGES.SUCCESS.DELETE }
+          {
+            successMessage: MESSAGES.SUCCESS.DELETE,
+            audit: { action: 'permission.delete', target: { type: 'permission', id: permission.id, name: permission.name } }
+          }
         );
-        removeItem(permission.id);
-        setSuccess(MESSAGES.SUCCESS.DELETE);
-        setTimeout(() => setSuccess(''), 3000);
+        refresh();
       } catch {
         // Error is handled by useApi hook
       }
     }
   };
 
+  /**
+   * Deletes every selected permission after a single confirmation
+   */
+  const handleBulkDelete = async () => {
+    let selected;
+    try {
+      selected = await execute(() => selection.getSelectedItems(fetchAll), { showLoading: false });
+    } catch {
+      return;
+    }
+
+    const confirmed = await confirm({
+      title: 'Delete Permissions',
+      message: `Delete ${selected.length} permission${selected.length === 1 ? '' : 's'}: ${describeItems(selected, (permission) => permission.name)}? Roles granting them will lose them. This action cannot be undone.`,
+      confirmText: 'Delete',
+      cancelText: 'Cancel',
+      type: 'danger',
+      icon: '🗑️'
+    });
+    if (!confirmed) return;
+
+    await bulk.run({
+      title: 'Delete Permissions',
+      items: selected,
+      action: (permission) => authService.deletePermission(permission.id),
+      getLabel: (permission) => permission.name,
+      audit: (permission) => ({ action: 'permission.delete', target: { type: 'permission', id: permission.id, name: permission.name } }),
+      successMessage: `${selected.length} permission${selected.length === 1 ? '' : 's'} deleted successfully`,
+    });
+    selection.clear();
+    refresh();
+  };
+
   const handleCloseModal = () => {
     setShowCreateModal(false);
     setEditingPermission(null);
@@ -122,6 +167,8 @@ const Permissions = () => {
   const columns = [
     {
       header: 'Permission',
+      accessor: 'name',
+      sortable: true,
       render: (permission) => (
         <div className="flex items-center">
           <div className="flex-shrink-0">
@@ -136,6 +183,7 @@ const Permissions = () => {
     },
     {
       header: 'Resource',
+      exportValue: (permission) => permission.resource,
       render: (permission) => (
         <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
           {permission.resource || 'N/A'}
@@ -144,6 +192,8 @@ const Permissions = () => {
     },
     {
       header: 'Action',
+      accessor: 'action',
+      sortable: true,
       render: (permission) => (
         <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
           {permission.action || 'N/A'}
@@ -152,6 +202,8 @@ const Permissions = () => {
     },
     {
       header: 'Created',
+      accessor: 'created_at',
+      sortable: true,
       render: (permission) => (
         <div className="text-sm text-gray-900">
           {new Date(permission.created_at).toLocaleDateString()}
@@ -160,35 +212,31 @@ const Permissions = () => {
     },
     {
       header: 'Actions',
+      hideable: false,
       className: 'text-right',
       cellClassName: 'text-right',
       render: (permission) => (
         <div className="flex justify-end space-x-3">
-          <button
-            onClick={() => handleEdit(permission)}
-            className="text-primary-600 hover:text-primary-900 text-sm font-medium transition-colors"
-          >
-            Edit
-          </button>
-          <button
-            onClick={() => handleDelete(permission)}
-            className="text-red-600 hover:text-red-900 text-sm font-medium transition-colors"
-          >
-            Delete
-          </button>
+          <Can action={ACTIONS.UPDATE} resource={RESOURCES.PERMISSIONS}>
+            <button
+              onClick={() => handleEdit(permission)}
+              className="text-primary-600 hover:text-primary-900 text-sm font-medium transition-colors"
+            >
+              Edit
+            </button>
+          </Can>
+          <Can action={ACTIONS.DELETE} resource={RESOURCES.PERMISSIONS}>
+            <button
+              onClick={() => handleDelete(permission)}
+              className="text-red-600 hover:text-red-900 text-sm font-medium transition-colors"
+            >
+              Delete
+            </button>
+          </Can>
         </div>
       ),
     },
-  ];
-
-  const actionOptions = [
-    { value: 'create', label: 'Create' },
-    { value: 'read', label: 'Read' },
-    { value: 'update', label: 'Update' },
-    { value: 'delete', label: 'Delete' },
-    { value: 'manage', label: 'Manage' },
-    { value: 'view', label: 'View' },
-    { value: 'edit', label: 'Edit' },
+    { header: 'Description', accessor: 'description', exportOnly: true },
   ];
 
   return (
@@ -204,12 +252,22 @@ const Permissions = () => {
                   Define and manage granular access controls for your system
                 </p>
               </div>
-              <button
-                onClick={() => setShowCreateModal(true)}
-                className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
-              >
-                Create Permission
-              </button>
+              <Can action={ACTIONS.CREATE} resource={RESOURCES.PERMISSIONS}>
+                <div className="flex space-x-3">
+                  <button
+                    onClick={() => setShowGenerator(true)}
+                    className="inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md shadow-sm text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+                  >
+                    Generate Permissions
+                  </button>
+                  <button
+                    onClick={() => setShowCreateModal(true)}
+                    className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+                  >
+                    Create Permission
+                  </button>
+                </div>
+              </Can>
             </div>
           </div>
         </div>
@@ -229,44 +287,44 @@ const Permissions = () => {
           </div>
         </div>
 
-        {/* Success message */}
-        {success && (
-          <Alert type="success" message={success} className="mb-4" />
-        )}
-
         {/* Error message */}
         {error && <Alert type="error" message={error} className="mb-4" />}
 
+        {canDelete && (
+          <BulkActionBar
+            count={selection.allMatching ? total : selection.size}
+            allMatching={selection.allMatching}
+            actions={[{ key: 'delete', label: 'Delete', danger: true, onClick: handleBulkDelete }]}
+            onClear={selection.clear}
+            disabled={Boolean(bulk.progress)}
+          />
+        )}
+
         {/* Content section */}
-        {loading ? (
-          <div className="flex items-center justify-center py-12">
-            <LoadingSpinner size="lg" text="Loading permissions..." />
+        <div className="bg-white shadow rounded-lg overflow-hidden">
+          <div className="px-4 py-5 sm:px-6 border-b border-gray-200">
+            <h3 className="text-lg leading-6 font-medium text-gray-900">
+              Active Permissions{total !== null && ` (${total})`}
+            </h3>
           </div>
-        ) : (
-          <div className="bg-white shadow rounded-lg overflow-hidden">
-            <div className="px-4 py-5 sm:px-6 border-b border-gray-200">
-              <h3 className="text-lg leading-6 font-medium text-gray-900">
-                Active Permissions ({permissions.length})
-              </h3>
+          {/* Keep the table (and its search box) once the user has searched */}
+          {!listLoading && permissions.length === 0 && !search && total === 0 ? (
+            <div className="p-6 text-center text-gray-500">
+              <div className="text-4xl mb-4">🔐</div>
+              <p className="text-lg font-medium mb-2">No permissions found</p>
+              <p className="text-sm">Create your first permission to define access controls.</p>
             </div>
-            {permissions.length === 0 ? (
-              <div className="p-6 text-center text-gray-500">
-                <div className="text-4xl mb-4">🔐</div>
-                <p className="text-lg font-medium mb-2">No permissions found</p>
-                <p className="text-sm">Create your first permission to define access controls.</p>
-              </div>
-            ) : (
-              <Table
-                columns={columns}
-                data={permissions}
-                pagination={{
-                  pageSize: 10,
-                  showSizeChanger: true,
-                }}
-              />
-            )}
-          </div>
-        )}
+          ) : (
+            <Table
+              {...tableProps}
+              tableId="permissions"
+              exportable
+              selection={canDelete ? selection : undefined}
+              columns={columns}
+              emptyMessage="No permissions match your search"
+            />
+          )}
+        </div>
 
         {/* Create/Edit Modal */}
         <Modal
@@ -336,7 +394,7 @@ const Permissions = () => {
                   className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500"
                 >
                   <option value="">Select Action</option>
-                  {actionOptions.map((option) => (
+                  {ACTION_OPTIONS.map((option) => (
                     <option key={option.value} value={option.value}>
                       {option.label}
                     </option>
@@ -366,6 +424,29 @@ const Permissions = () => {
             </div>
           </form>
         </Modal>
+
+        <BulkProgressModal
+          progress={bulk.progress}
+          onClose={bulk.close}
+          onRetry={async () => {
+            await bulk.retryFailed();
+            refresh();
+          }}
+        />
+
+        <PermissionGenerator
+          isOpen={showGenerator}
+          onClose={() => setShowGenerator(false)}
+          resourceTypes={resourceTypes}
+          onGenerated={refresh}
+        />
+
+        {/* Confirm Dialog */}
+        <ConfirmDialog
+          {...confirmState}
+          onClose={closeConfirm}
+          onConfirm={handleConfirm}
+        />
       </div>
     </Layout>
   );
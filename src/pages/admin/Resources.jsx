@@ -0,0 +1,418 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useForm } from 'react-hook-form';
+import Layout from '../../components/Layout';
+import { Modal, Table, Alert, ConfirmDialog, LoadingSpinner } from '../../components/ui';
+import { useApiList, useApi } from '../../hooks/useApi';
+import { useConfirm } from '../../hooks/useConfirm';
+import { useToast } from '../../contexts/ToastContext';
+import * as authService from '../../services/authService';
+import Can from '../../components/Can';
+import { getErrorMessage } from '../../utils/errors';
+import { MESSAGES, RESOURCES, ACTIONS, VALIDATION } from '../../constants';
+
+/**
+ * Resource types administration page
+ * Allows creating, editing, deleting, and listing the resource types
+ * permissions are defined on
+ */
+const Resources = () => {
+  const {
+    data: resourceTypes,
+    loading,
+    error,
+    fetchData,
+    addItem,
+    updateItem,
+    removeItem,
+    clearError
+  } = useApiList();
+
+  const { loading: saving, execute } = useApi();
+  const toast = useToast();
+  const { confirmState, confirm, closeConfirm, handleConfirm } = useConfirm();
+  const [showCreateModal, setShowCreateModal] = useState(false);
+  const [editingResourceType, setEditingResourceType] = useState(null);
+  // null until every permission has been loaded; usage is unknown meanwhile
+  const [permissions, setPermissions] = useState(null);
+  const [usageError, setUsageError] = useState(null);
+
+  const { register, handleSubmit, formState: { errors }, reset } = useForm();
+
+  const fetchResourceTypes = useCallback(async () => {
+    await fetchData(() => authService.getResourceTypes(), {
+      errorMessage: MESSAGES.ERROR.FETCH
+    });
+  }, [fetchData]);
+
+  // Permissions are only needed to tell which resource types are in use
+  const fetchPermissions = useCallback(async () => {
+    try {
+      setUsageError(null);
+      const data = await authService.getAllPages(authService.getPermissionsPage);
+      setPermissions(data);
+    } catch (err) {
+      console.error('Failed to fetch permissions:', err);
+      setUsageError(getErrorMessage(err, MESSAGES.ERROR.FETCH));
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchResourceTypes();
+    fetchPermissions();
+  }, [fetchResourceTypes, fetchPermissions]);
+
+  /**
+   * Number of permissions defined on a resource type
+   * @returns {number|null} Count, null while permissions haven't loaded
+   */
+  const getUsage = (resourceType) => (permissions === null ? null : permissions.filter(
+    (permission) => permission.resource_type_id === resourceType.id
+  ).length);
+
+  /**
+   * Handles form submission (create/edit resource type)
+   */
+  const onSubmit = async (data) => {
+    try {
+      if (editingResourceType) {
+        const updatedResourceType = await execute(
+          () => authService.updateResourceType(editingResourceType.id, data),
+          {
+            successMessage: MESSAGES.SUCCESS.UPDATE,
+            audit: { action: 'resource_type.update', target: { type: 'resource_type', id: editingResourceType.id, name: editingResourceType.name } }
+          }
+        );
+        updateItem(editingResourceType.id, updatedResourceType);
+      } else {
+        const newResourceType = await execute(
+          () => authService.createResourceType(data),
+          {
+            successMessage: MESSAGES.SUCCESS.CREATE,
+            audit: { action: 'resource_type.create', target: { type: 'resource_type', name: data.name } }
+          }
+        );
+        addItem(newResourceType);
+      }
+      handleCloseModal();
+    } catch {
+      // Error is handled by useApi hook
+    }
+  };
+
+  /**
+   * Prepares the form to edit a resource type
+   */
+  const handleEdit = (resourceType) => {
+    setEditingResourceType(resourceType);
+    reset({
+      name: resourceType.name,
+      description: resourceType.description || '',
+    });
+    setShowCreateModal(true);
+  };
+
+  /**
+   * Handles resource type deletion with confirmation
+   * Types that permissions still use can't be deleted
+   */
+  const handleDelete = async (resourceType) => {
+    const usage = getUsage(resourceType);
+    if (usage === null) {
+      toast.error('Cannot tell whether permissions still use this resource type. Reload the usage and try again.');
+      return;
+    }
+    if (usage > 0) {
+      toast.error(`"${resourceType.name}" is in use by ${usage} permission${usage === 1 ? '' : 's'}. Delete them first.`);
+      return;
+    }
+
+    const confirmed = await confirm({
+      title: 'Delete Resource Type',
+      message: `Are you sure you want to delete the resource type "${resourceType.name}"? This action cannot be undone.`,
+      confirmText: 'Delete',
+      cancelText: 'Cancel',
+      type: 'danger',
+      icon: '🗑️'
+    });
+
+    if (confirmed) {
+      try {
+        await execute(
+          () => authService.deleteResourceType(resourceType.id),
+          {
+            successMessage: MESSAGES.SUCCESS.DELETE,
+            audit: { action: 'resource_type.delete', target: { type: 'resource_type', id: resourceType.id, name: resourceType.name } }
+          }
+        );
+        removeItem(resourceType.id);
+      } catch {
+        // Error is handled by useApi hook
+      }
+    }
+  };
+
+  /**
+   * Closes the modal and resets the form
+   */
+  const handleCloseModal = () => {
+    setShowCreateModal(false);
+    setEditingResourceType(null);
+    clearError();
+    reset({
+      name: '',
+      description: '',
+    });
+  };
+
+  const editingUsage = editingResourceType ? getUsage(editingResourceType) : 0;
+
+  /**
+   * Column configuration for the resource types table
+   */
+  const columns = [
+    {
+      header: 'Resource Type',
+      accessor: 'name',
+      sortable: true,
+      render: (resourceType) => (
+        <div className="flex items-center">
+          <div className="flex-shrink-0">
+            <span className="text-2xl">📦</span>
+          </div>
+          <div className="ml-4">
+            <div className="text-sm font-medium text-gray-900 font-mono">{resourceType.name}</div>
+            <div className="text-sm text-gray-500">{resourceType.description || 'No description'}</div>
+          </div>
+        </div>
+      ),
+    },
+    {
+      header: 'Permissions',
+      id: 'usage',
+      sortable: true,
+      sortFn: (a, b) => (getUsage(a) ?? -1) - (getUsage(b) ?? -1),
+      exportValue: (resourceType) => getUsage(resourceType) ?? '',
+      render: (resourceType) => {
+        const usage = getUsage(resourceType);
+        if (usage === null) {
+          return <span className="text-xs text-gray-500">{usageError ? 'Unknown' : 'Loading...'}</span>;
+        }
+        return (
+          <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+            usage > 0 ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-600'
+          }`}>
+            {usage > 0 ? `In use by ${usage} permission${usage === 1 ? '' : 's'}` : 'Unused'}
+          </span>
+        );
+      },
+    },
+    {
+      header: 'Created',
+      accessor: 'created_at',
+      sortable: true,
+      render: (resourceType) => (
+        <div className="text-sm text-gray-900">
+          {resourceType.created_at ? new Date(resourceType.created_at).toLocaleDateString() : '—'}
+        </div>
+      ),
+    },
+    {
+      header: 'Actions',
+      hideable: false,
+      className: 'text-right',
+      cellClassName: 'text-right',
+      render: (resourceType) => {
+        const usage = getUsage(resourceType);
+        return (
+          <div className="flex justify-end space-x-3">
+            <Can action={ACTIONS.UPDATE} resource={RESOURCES.RESOURCES}>
+              <button
+                onClick={() => handleEdit(resourceType)}
+                className="text-primary-600 hover:text-primary-900 text-sm font-medium transition-colors"
+                title="Edit resource type"
+              >
+                Edit
+              </button>
+            </Can>
+            <Can action={ACTIONS.DELETE} resource={RESOURCES.RESOURCES}>
+              <button
+                onClick={() => handleDelete(resourceType)}
+                disabled={usage !== 0}
+                className="text-red-600 hover:text-red-900 text-sm font-medium transition-colors disabled:text-gray-400 disabled:cursor-not-allowed"
+                title={
+                  usage === null
+                    ? 'Usage unknown; permissions could not be checked'
+                    : usage > 0 ? `In use by ${usage} permission${usage === 1 ? '' : 's'}` : 'Delete resource type'
+                }
+              >
+                Delete
+              </button>
+            </Can>
+          </div>
+        );
+      },
+    },
+    { header: 'Description', accessor: 'description', exportOnly: true },
+  ];
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header section */}
+        <div className="bg-white overflow-hidden shadow rounded-lg">
+          <div className="px-4 py-5 sm:p-6">
+            <div className="flex items-center justify-between">
+              <div>
+                <h1 className="text-2xl font-bold text-gray-900">Resource Types</h1>
+                <p className="mt-1 text-sm text-gray-500">
+                  Define the resources that permissions can be granted on
+                </p>
+              </div>
+              <Can action={ACTIONS.CREATE} resource={RESOURCES.RESOURCES}>
+                <button
+                  onClick={() => setShowCreateModal(true)}
+                  className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+                >
+                  Create Resource Type
+                </button>
+              </Can>
+            </div>
+          </div>
+        </div>
+
+        {/* Error message */}
+        {error && <Alert type="error" message={error} className="mb-4" />}
+        {usageError && (
+          <div className="flex items-center justify-between rounded-md bg-yellow-50 border border-yellow-200 px-4 py-3">
+            <p className="text-sm text-yellow-800">
+              Permissions could not be loaded ({usageError}), so resource types can't be deleted until their usage is known.
+            </p>
+            <button
+              onClick={fetchPermissions}
+              className="ml-4 text-sm font-medium text-yellow-800 hover:text-yellow-900 underline"
+            >
+              Retry
+            </button>
+          </div>
+        )}
+
+        {/* Content section */}
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <LoadingSpinner size="lg" text="Loading resource types..." />
+          </div>
+        ) : (
+          <div className="bg-white shadow rounded-lg overflow-hidden">
+            <div className="px-4 py-5 sm:px-6 border-b border-gray-200">
+              <h3 className="text-lg leading-6 font-medium text-gray-900">
+                Resource Types ({resourceTypes.length})
+              </h3>
+            </div>
+            {resourceTypes.length === 0 ? (
+              <div className="p-6 text-center text-gray-500">
+                <div className="text-4xl mb-4">📦</div>
+                <p className="text-lg font-medium mb-2">No resource types found</p>
+                <p className="text-sm">Create a resource type before defining permissions on it.</p>
+              </div>
+            ) : (
+              <Table
+                tableId="resources"
+                exportable
+                exportFileName="resource-types"
+                columns={columns}
+                data={resourceTypes}
+              />
+            )}
+          </div>
+        )}
+
+        {/* Create/Edit Modal */}
+        <Modal
+          isOpen={showCreateModal}
+          onClose={handleCloseModal}
+          title={editingResourceType ? 'Edit Resource Type' : 'Create Resource Type'}
+        >
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+            <div>
+              <label htmlFor="name" className="block text-sm font-medium text-gray-700">
+                Name *
+              </label>
+              <input
+                type="text"
+                id="name"
+                {...register('name', {
+                  required: 'Name is required',
+                  pattern: {
+                    value: VALIDATION.RESOURCE_NAME_REGEX,
+                    message: VALIDATION.MESSAGES.RESOURCE_NAME_INVALID
+                  },
+                  maxLength: {
+                    value: 50,
+                    message: 'Name must be less than 50 characters'
+                  }
+                })}
+                placeholder="e.g., invoices"
+                className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500"
+              />
+              {errors.name && (
+                <p className="mt-2 text-sm text-red-600">{errors.name.message}</p>
+              )}
+              {editingUsage > 0 && (
+                <p className="mt-2 text-sm text-yellow-700">
+                  In use by {editingUsage} permission{editingUsage === 1 ? '' : 's'}. Renaming does not rename them.
+                </p>
+              )}
+            </div>
+
+            <div>
+              <label htmlFor="description" className="block text-sm font-medium text-gray-700">
+                Description
+              </label>
+              <textarea
+                id="description"
+                {...register('description', {
+                  maxLength: {
+                    value: 500,
+                    message: 'Description must be less than 500 characters'
+                  }
+                })}
+                rows="3"
+                placeholder="Optional description of the resource"
+                className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500"
+              />
+              {errors.description && (
+                <p className="mt-2 text-sm text-red-600">{errors.description.message}</p>
+              )}
+            </div>
+
+            <div className="flex justify-end space-x-3 pt-4">
+              <button
+                type="button"
+                onClick={handleCloseModal}
+                className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700"
+                disabled={saving}
+              >
+                {saving ? 'Saving...' : editingResourceType ? 'Update Resource Type' : 'Create Resource Type'}
+              </button>
+            </div>
+          </form>
+        </Modal>
+
+        {/* Confirm Dialog */}
+        <ConfirmDialog
+          {...confirmState}
+          onClose={closeConfirm}
+          onConfirm={handleConfirm}
+        />
+      </div>
+    </Layout>
+  );
+};
+
+export default Resources;
@@ -4,8 +4,20 @@ import Layout from '../../components/Layout';
 import { Modal, Table, Alert, LoadingSpinner } from '../../components/ui';
 import { useApiList, useApi } from '../../hooks/useApi';
 import { useConfirm } from '../../hooks/useConfirm';
+import { useToast } from '../../contexts/ToastContext';
 import * as authService from '../../services/authService';
-import { MESSAGES } from '../../constants';
+import Can from '../../components/Can';
+import RolePermissionMatrix from '../../components/RolePermissionMatrix';
+import RoleTree from '../../components/RoleTree';
+import { useAbility } from '../../hooks/useAbility';
+import { indexRoles, wouldCreateCycle, withInheritedPermissions } from '../../utils/roleHierarchy';
+import { MESSAGES, RESOURCES, ACTIONS } from '../../constants';
+
+const VIEWS = {
+  LIST: 'list',
+  MATRIX: 'matrix',
+  HIERARCHY: 'hierarchy',
+};
 
 const Roles = () => {
   const {
@@ -20,25 +32,28 @@ const Roles = () => {
   } = useApiList();
 
   const { execute } = useApi();
+  const toast = useToast();
   const { confirm } = useConfirm();
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [editingRole, setEditingRole] = useState(null);
-  const [success, setSuccess] = useState('');
+  const [cloningRole, setCloningRole] = useState(null);
   const [permissions, setPermissions] = useState([]);
   const [showPermissionsModal, setShowPermissionsModal] = useState(false);
   const [selectedRole, setSelectedRole] = useState(null);
+  const [view, setView] = useState(VIEWS.LIST);
+  const ability = useAbility();
 
   const { register, handleSubmit, formState: { errors }, reset } = useForm();
 
   const fetchRoles = useCallback(async () => {
-    await fetchData(() => authService.getRoles(), {
+    await fetchData(() => authService.getAllPages(authService.getRolesPage), {
       errorMessage: MESSAGES.ERROR.FETCH
     });
   }, [fetchData]);
 
   const fetchPermissions = useCallback(async () => {
     try {
-      const data = await authService.getPermissions();
+      const data = await authService.getAllPages(authService.getPermissionsPage);
       setPermissions(data);
     } catch (err) {
       console.error('Failed to fetch permissions:', err);
@@ -50,24 +65,54 @@ const Roles = () => {
     fetchPermissions();
   }, [fetchRoles, fetchPermissions]);
 
+  const rolesById = indexRoles(roles);
+
   const onSubmit = async (data) => {
+    const roleData = { ...data, parent_role_id: data.parent_role_id ? Number(data.parent_role_id) : null };
     try {
-      if (editingRole) {
+      if (cloningRole) {
+        const sourcePermissions = cloningRole.permissions || [];
+        const { role: newRole, failedPermissionIds } = await execute(
+          () => authService.createRoleWithPermissions(
+            roleData,
+            sourcePermissions.map((permission) => permission.id)
+          ),
+          {
+            audit: { action: 'role.clone', target: { type: 'role', id: cloningRole.id, name: cloningRole.name } }
+          }
+        );
+        addItem(newRole);
+        if (failedPermissionIds.length === 0) {
+          toast.success(`Role "${newRole.name}" created from "${cloningRole.name}"`);
+        } else {
+          // The role exists now; submitting the clone again would only make another partial copy
+          const missing = sourcePermissions
+            .filter((permission) => failedPermissionIds.includes(permission.id))
+            .map((permission) => permission.name);
+          toast.error(
+            `Role "${newRole.name}" was created, but ${missing.length} of ${sourcePermissions.length} permissions could not be copied: ${missing.join(', ')}. Add them with Manage Permissions.`
+          );
+        }
+      } else if (editingRole) {
         const updatedRole = await execute(
-          () => authService.updateRole(editingRole.id, data),
-          { successMessage: MESSAGES.SUCCESS.UPDATE }
+          () => authService.updateRole(editingRole.id, roleData),
+          {
+            successMessage: MESSAGES.SUCCESS.UPDATE,
+            audit: { action: 'role.update', target: { type: 'role', id: editingRole.id, name: editingRole.name } }
+          }
         );
         updateItem(editingRole.id, updatedRole);
       } else {
         const newRole = await execute(
-          () => authService.createRole(data),
-          { successMessage: MESSAGES.SUCCESS.CREATE }
+          () => authService.createRole(roleData),
+          {
+            successMessage: MESSAGES.SUCCESS.CREATE,
+            audit: { action: 'role.create', target: { type: 'role', name: roleData.name } }
+          }
         );
         addItem(newRole);
       }
       handleCloseModal();
-      setSuccess(editingRole ? MESSAGES.SUCCESS.UPDATE : MESSAGES.SUCCESS.CREATE);
-      setTimeout(() => setSuccess(''), 3000);
     } catch {
       // Error is handled by useApi hook
     }
@@ -78,6 +123,20 @@ const Roles = () => {
     reset({
       name: role.name,
       description: role.description,
+      parent_role_id: role.parent_role_id ?? '',
+    });
+    setShowCreateModal(true);
+  };
+
+  /**
+   * Prepares the form to create a copy of a role, permissions included
+   */
+  const handleClone = (role) => {
+    setCloningRole(role);
+    reset({
+      name: `${role.name} (copy)`,
+      description: role.description,
+      parent_role_id: role.parent_role_id ?? '',
     });
     setShowCreateModal(true);
   };
@@ -96,11 +155,12 @@ const Roles = () => {
       try {
         await execute(
           () => authService.deleteRole(role.id),
-          { successMessage: MESSAGES.SUCCESS.DELETE }
+          {
+            successMessage: MESSAGES.SUCCESS.DELETE,
+            audit: { action: 'role.delete', target: { type: 'role', id: role.id, name: role.name } }
+          }
         );
         removeItem(role.id);
-        setSuccess(MESSAGES.SUCCESS.DELETE);
-        setTimeout(() => setSuccess(''), 3000);
       } catch {
         // Error is handled by useApi hook
       }
@@ -116,7 +176,10 @@ const Roles = () => {
     try {
       const updatedRole = await execute(
         () => authService.assignPermissionToRole(selectedRole.id, permissionId),
-        { successMessage: 'Permission assigned successfully' }
+        {
+          successMessage: 'Permission assigned successfully',
+          audit: { action: 'role.permission.assign', target: { type: 'role', id: selectedRole.id, name: selectedRole.name } }
+        }
       );
       updateItem(selectedRole.id, updatedRole);
       setSelectedRole(updatedRole);
@@ -129,7 +192,10 @@ const Roles = () => {
     try {
       const updatedRole = await execute(
         () => authService.removePermissionFromRole(selectedRole.id, permissionId),
-        { successMessage: 'Permission removed successfully' }
+        {
+          successMessage: 'Permission removed successfully',
+          audit: { action: 'role.permission.remove', target: { type: 'role', id: selectedRole.id, name: selectedRole.name } }
+        }
       );
       updateItem(selectedRole.id, updatedRole);
       setSelectedRole(updatedRole);
@@ -141,10 +207,12 @@ const Roles = () => {
   const handleCloseModal = () => {
     setShowCreateModal(false);
     setEditingRole(null);
+    setCloningRole(null);
     clearError();
     reset({
       name: '',
       description: '',
+      parent_role_id: '',
     });
   };
 
@@ -153,9 +221,23 @@ const Roles = () => {
     setSelectedRole(null);
   };
 
+  /**
+   * Name of the role a role inherits from, empty if none
+   */
+  const getParentName = (role) => rolesById.get(role.parent_role_id)?.name || '';
+
+  /**
+   * Number of permissions a role only has through its ancestors
+   */
+  const getInheritedCount = (role) => (
+    withInheritedPermissions(role, rolesById).permissions.length - (role.permissions?.length ?? 0)
+  );
+
   const columns = [
     {
       header: 'Role',
+      accessor: 'name',
+      sortable: true,
       render: (role) => (
         <div className="flex items-center">
           <div className="flex-shrink-0">
@@ -170,6 +252,10 @@ const Roles = () => {
     },
     {
       header: 'Permissions',
+      id: 'permissions',
+      sortable: true,
+      sortFn: (a, b) => (a.permissions?.length ?? 0) - (b.permissions?.length ?? 0),
+      exportValue: (role) => role.permissions?.map((permission) => permission.name).join('; '),
       render: (role) => (
         <div className="flex flex-wrap gap-1">
           {role.permissions?.slice(0, 3).map((permission) => (
@@ -185,11 +271,28 @@ const Roles = () => {
               +{role.permissions.length - 3} more
             </span>
           )}
+          {getInheritedCount(role) > 0 && (
+            <span className="text-xs text-gray-500">
+              +{getInheritedCount(role)} inherited
+            </span>
+          )}
         </div>
       ),
     },
+    {
+      header: 'Inherits From',
+      id: 'parent',
+      sortable: true,
+      sortFn: (a, b) => getParentName(a).localeCompare(getParentName(b)),
+      exportValue: (role) => getParentName(role),
+      render: (role) => (
+        <span className="text-sm text-gray-600">{getParentName(role) || '—'}</span>
+      ),
+    },
     {
       header: 'Created',
+      accessor: 'created_at',
+      sortable: true,
       render: (role) => (
         <div className="text-sm text-gray-900">
           {new Date(role.created_at).toLocaleDateString()}
@@ -198,31 +301,48 @@ const Roles = () => {
     },
     {
       header: 'Actions',
+      hideable: false,
       className: 'text-right',
       cellClassName: 'text-right',
       render: (role) => (
         <div className="flex justify-end space-x-3">
-          <button
-            onClick={() => handleManagePermissions(role)}
-            className="text-blue-600 hover:text-blue-900 text-sm font-medium transition-colors"
-          >
-            Permissions
-          </button>
-          <button
-            onClick={() => handleEdit(role)}
-            className="text-primary-600 hover:text-primary-900 text-sm font-medium transition-colors"
-          >
-            Edit
-          </button>
-          <button
-            onClick={() => handleDelete(role)}
-            className="text-red-600 hover:text-red-900 text-sm font-medium transition-colors"
-          >
-            Delete
-          </button>
+          <Can action={ACTIONS.UPDATE} resource={RESOURCES.ROLES}>
+            <button
+              onClick={() => handleManagePermissions(role)}
+              className="text-blue-600 hover:text-blue-900 text-sm font-medium transition-colors"
+            >
+              Permissions
+            </button>
+          </Can>
+          <Can action={ACTIONS.CREATE} resource={RESOURCES.ROLES}>
+            <button
+              onClick={() => handleClone(role)}
+              className="text-gray-600 hover:text-gray-900 text-sm font-medium transition-colors"
+              title="Create a copy of this role"
+            >
+              Clone
+            </button>
+          </Can>
+          <Can action={ACTIONS.UPDATE} resource={RESOURCES.ROLES}>
+            <button
+              onClick={() => handleEdit(role)}
+              className="text-primary-600 hover:text-primary-900 text-sm font-medium transition-colors"
+            >
+              Edit
+            </button>
+          </Can>
+          <Can action={ACTIONS.DELETE} resource={RESOURCES.ROLES}>
+            <button
+              onClick={() => handleDelete(role)}
+              className="text-red-600 hover:text-red-900 text-sm font-medium transition-colors"
+            >
+              Delete
+            </button>
+          </Can>
         </div>
       ),
     },
+    { header: 'Description', accessor: 'description', exportOnly: true },
   ];
 
   return (
@@ -238,12 +358,14 @@ const Roles = () => {
                   Create, manage, and assign roles for your organization
                 </p>
               </div>
-              <button
-                onClick={() => setShowCreateModal(true)}
-                className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
-              >
-                Create Role
-              </button>
+              <Can action={ACTIONS.CREATE} resource={RESOURCES.ROLES}>
+                <button
+                  onClick={() => setShowCreateModal(true)}
+                  className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+                >
+                  Create Role
+                </button>
+              </Can>
             </div>
           </div>
         </div>
@@ -263,11 +385,6 @@ const Roles = () => {
           </div>
         </div>
 
-        {/* Success message */}
-        {success && (
-          <Alert type="success" message={success} className="mb-4" />
-        )}
-
         {/* Error message */}
         {error && <Alert type="error" message={error} className="mb-4" />}
 
@@ -278,12 +395,39 @@ const Roles = () => {
           </div>
         ) : (
           <div className="bg-white shadow rounded-lg overflow-hidden">
-            <div className="px-4 py-5 sm:px-6 border-b border-gray-200">
+            <div className="flex items-center justify-between px-4 py-5 sm:px-6 border-b border-gray-200">
               <h3 className="text-lg leading-6 font-medium text-gray-900">
                 Active Roles ({roles.length})
               </h3>
+              <div className="inline-flex rounded-md shadow-sm" role="group" aria-label="View">
+                {[[VIEWS.LIST, 'List'], [VIEWS.HIERARCHY, 'Hierarchy'], [VIEWS.MATRIX, 'Permission matrix']].map(([value, label], index, views) => (
+                  <button
+                    key={value}
+                    type="button"
+                    onClick={() => setView(value)}
+                    aria-pressed={view === value}
+                    className={`px-3 py-1.5 text-sm font-medium border border-gray-300 ${
+                      index === 0 ? 'rounded-l-md' : `-ml-px ${index === views.length - 1 ? 'rounded-r-md' : ''}`
+                    } ${view === value ? 'bg-primary-600 text-white border-primary-600' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
             </div>
-            {roles.length === 0 ? (
+            {/* Kept mounted while hidden so staged matrix changes survive switching views */}
+            {roles.length > 0 && (
+              <div className={view === VIEWS.MATRIX ? '' : 'hidden'}>
+                <RolePermissionMatrix
+                  roles={roles}
+                  permissions={permissions}
+                  canEdit={ability.can(ACTIONS.UPDATE, RESOURCES.ROLES)}
+                  onRoleUpdated={(roleId, rolePermissions) => updateItem(roleId, { permissions: rolePermissions })}
+                />
+              </div>
+            )}
+            {view === VIEWS.HIERARCHY && roles.length > 0 && <RoleTree roles={roles} />}
+            {view !== VIEWS.LIST && roles.length > 0 ? null : roles.length === 0 ? (
               <div className="p-6 text-center text-gray-500">
                 <div className="text-4xl mb-4">🛡️</div>
                 <p className="text-lg font-medium mb-2">No roles found</p>
@@ -291,12 +435,10 @@ const Roles = () => {
               </div>
             ) : (
               <Table
+                tableId="roles"
+                exportable
                 columns={columns}
                 data={roles}
-                pagination={{
-                  pageSize: 10,
-                  showSizeChanger: true,
-                }}
               />
             )}
           </div>
@@ -306,7 +448,7 @@ const Roles = () => {
         <Modal
           isOpen={showCreateModal}
           onClose={handleCloseModal}
-          title={editingRole ? 'Edit Role' : 'Create Role'}
+          title={cloningRole ? `Clone Role "${cloningRole.name}"` : editingRole ? 'Edit Role' : 'Create Role'}
         >
           <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
             <div>
@@ -338,6 +480,42 @@ const Roles = () => {
               />
             </div>
 
+            <div>
+              <label htmlFor="parent_role_id" className="block text-sm font-medium text-gray-700">
+                Inherits From
+              </label>
+              <select
+                id="parent_role_id"
+                {...register('parent_role_id', {
+                  validate: (value) => !wouldCreateCycle(editingRole?.id ?? null, value ? Number(value) : null, rolesById)
+                    || 'A role cannot inherit from itself or from a role that inherits from it'
+                })}
+                className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500"
+              >
+                <option value="">No parent role</option>
+                {roles.map((role) => {
+                  const createsCycle = wouldCreateCycle(editingRole?.id ?? null, role.id, rolesById);
+                  return (
+                    <option key={role.id} value={role.id} disabled={createsCycle}>
+                      {role.name}{createsCycle ? ' (would create a cycle)' : ''}
+                    </option>
+                  );
+                })}
+              </select>
+              <p className="mt-1 text-xs text-gray-500">
+                The role also gets every permission of the role it inherits from, and of that role's parents.
+              </p>
+              {errors.parent_role_id && (
+                <p className="mt-2 text-sm text-red-600">{errors.parent_role_id.message}</p>
+              )}
+            </div>
+
+            {cloningRole && (
+              <p className="text-sm text-gray-600">
+                {cloningRole.permissions?.length ?? 0} permission{cloningRole.permissions?.length === 1 ? '' : 's'} will be copied from "{cloningRole.name}".
+              </p>
+            )}
+
             <div className="flex justify-end space-x-3 pt-4">
               <button
                 type="button"
@@ -351,7 +529,7 @@ const Roles = () => {
                 className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700"
                 disabled={loading}
               >
-                {loading ? 'Saving...' : editingRole ? 'Update Role' : 'Create Role'}
+                {loading ? 'Saving...' : editingRole ? 'Update Role' : cloningRole ? 'Clone Role' : 'Create Role'}
               </button>
             </div>
           </form>
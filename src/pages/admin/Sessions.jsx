@@ -1,10 +1,14 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import Layout from '../../components/Layout';
-import { Table, Alert, ConfirmDialog } from '../../components/ui';
-import { useApiList, useApi } from '../../hooks/useApi';
+import { Table, ConfirmDialog, BulkActionBar, BulkProgressModal } from '../../components/ui';
+import { usePaginatedList, useApi } from '../../hooks/useApi';
 import { useConfirm } from '../../hooks/useConfirm';
+import { useRowSelection } from '../../hooks/useRowSelection';
+import { useBulkAction, describeItems } from '../../hooks/useBulkAction';
+import { useAbility } from '../../hooks/useAbility';
 import * as authService from '../../services/authService';
-import { MESSAGES } from '../../constants';
+import Can from '../../components/Can';
+import { MESSAGES, RESOURCES, ACTIONS, SORT_DIRECTIONS } from '../../constants';
 
 /**
  * Active sessions administration page
@@ -12,25 +16,26 @@ import { MESSAGES } from '../../constants';
  */
 const Sessions = () => {
   const {
-    data: sessions,
-    loading,
+    total,
     error,
-    fetchData,
-    removeItem,
-    clearError
-  } = useApiList();
+    search,
+    fetchAll,
+    refresh,
+    clearError,
+    tableProps
+  } = usePaginatedList(authService.getActiveSessionsPage, {
+    initialSort: { key: 'created_at', direction: SORT_DIRECTIONS.DESC },
+    errorMessage: MESSAGES.ERROR.FETCH
+  });
 
   const { execute } = useApi();
   const { confirmState, confirm, closeConfirm, handleConfirm } = useConfirm();
+  const ability = useAbility();
+  const selection = useRowSelection(search);
+  const bulk = useBulkAction();
+  const canRevoke = ability.can(ACTIONS.DELETE, RESOURCES.SESSIONS);
   const [stats, setStats] = useState(null);
   const [statsLoading, setStatsLoading] = useState(true);
-  const [success, setSuccess] = useState('');
-
-  const fetchSessions = useCallback(async () => {
-    await fetchData(() => authService.getActiveSessions(), {
-      errorMessage: MESSAGES.ERROR.FETCH
-    });
-  }, [fetchData]);
 
   const fetchStats = useCallback(async () => {
     try {
@@ -45,9 +50,8 @@ const Sessions = () => {
   }, []);
 
   useEffect(() => {
-    fetchSessions();
     fetchStats();
-  }, [fetchSessions, fetchStats]);
+  }, [fetchStats]);
 
   /**
    * Handles session revocation with confirmation
@@ -66,11 +70,12 @@ const Sessions = () => {
       try {
         await execute(
           () => authService.adminRevokeSession(session.id),
-          { successMessage: 'Session revoked successfully' }
+          {
+            successMessage: 'Session revoked successfully',
+            audit: { action: 'session.revoke', target: { type: 'session', id: session.id, name: getSessionLabel(session) } }
+          }
         );
-        removeItem(session.id);
-        setSuccess('Session revoked successfully');
-        setTimeout(() => setSuccess(''), 3000);
+        refresh();
         // Refresh stats after revoking
         fetchStats();
       } catch {
@@ -79,6 +84,45 @@ const Sessions = () => {
     }
   };
 
+  /**
+   * Revokes every selected session after a single confirmation
+   */
+  const handleBulkRevoke = async () => {
+    let selected;
+    try {
+      selected = await execute(() => selection.getSelectedItems(fetchAll), { showLoading: false });
+    } catch {
+      return;
+    }
+
+    const confirmed = await confirm({
+      title: 'Revoke Sessions',
+      message: `Revoke ${selected.length} session${selected.length === 1 ? '' : 's'} (${describeItems(selected, getSessionLabel)})? Their users will be logged out immediately.`,
+      confirmText: 'Revoke',
+      cancelText: 'Cancel',
+      type: 'danger',
+      icon: '🚫'
+    });
+    if (!confirmed) return;
+
+    await bulk.run({
+      title: 'Revoke Sessions',
+      items: selected,
+      action: (session) => authService.adminRevokeSession(session.id),
+      getLabel: getSessionLabel,
+      audit: (session) => ({ action: 'session.revoke', target: { type: 'session', id: session.id, name: getSessionLabel(session) } }),
+      successMessage: `${selected.length} session${selected.length === 1 ? '' : 's'} revoked successfully`,
+    });
+    selection.clear();
+    refresh();
+    fetchStats();
+  };
+
+  /**
+   * Display name of a session in bulk confirmations and reports
+   */
+  const getSessionLabel = (session) => `User ${session.user_id} (${session.ip_address || 'unknown IP'})`;
+
   /**
    * Formats the date in a readable way
    */
@@ -108,6 +152,7 @@ const Sessions = () => {
   const columns = [
     {
       header: 'User',
+      exportValue: (session) => session.user_id,
       render: (session) => (
         <div className="flex items-center">
           <div className="w-8 h-8 bg-primary-600 rounded-full flex items-center justify-center">
@@ -128,6 +173,7 @@ const Sessions = () => {
     },
     {
       header: 'Device',
+      exportValue: (session) => session.device_info,
       render: (session) => (
         <div className="text-sm text-gray-900">
           {getDeviceInfo(session.device_info)}
@@ -136,6 +182,8 @@ const Sessions = () => {
     },
     {
       header: 'Created',
+      accessor: 'created_at',
+      sortable: true,
       render: (session) => (
         <div className="text-sm text-gray-900">
           {formatDate(session.created_at)}
@@ -144,6 +192,8 @@ const Sessions = () => {
     },
     {
       header: 'Expires',
+      accessor: 'expires_at',
+      sortable: true,
       render: (session) => (
         <div className="text-sm text-gray-900">
           {formatDate(session.expires_at)}
@@ -152,6 +202,9 @@ const Sessions = () => {
     },
     {
       header: 'Status',
+      exportValue: (session) => (
+        session.is_active && new Date(session.expires_at) >= new Date() ? 'Active' : 'Expired'
+      ),
       render: (session) => {
         const isExpired = new Date(session.expires_at) < new Date();
         return (
@@ -167,18 +220,22 @@ const Sessions = () => {
     },
     {
       header: 'Actions',
+      hideable: false,
       className: 'text-right',
       cellClassName: 'text-right',
       render: (session) => (
-        <button
-          onClick={() => handleRevokeSession(session)}
-          className="text-red-600 hover:text-red-900 text-sm font-medium transition-colors"
-          title="Revoke session"
-        >
-          Revoke
-        </button>
+        <Can action={ACTIONS.DELETE} resource={RESOURCES.SESSIONS}>
+          <button
+            onClick={() => handleRevokeSession(session)}
+            className="text-red-600 hover:text-red-900 text-sm font-medium transition-colors"
+            title="Revoke session"
+          >
+            Revoke
+          </button>
+        </Can>
       ),
     },
+    { header: 'IP Address', accessor: 'ip_address', exportOnly: true },
   ];
 
   return (
@@ -197,7 +254,7 @@ const Sessions = () => {
           <div className="mt-4 flex md:mt-0 md:ml-4">
             <button
               onClick={() => {
-                fetchSessions();
+                refresh();
                 fetchStats();
               }}
               className="ml-3 inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
@@ -207,13 +264,6 @@ const Sessions = () => {
           </div>
         </div>
 
-        {/* Success Alert */}
-        {success && (
-          <Alert type="success" onClose={() => setSuccess('')}>
-            {success}
-          </Alert>
-        )}
-
         {/* Statistics Cards */}
         {statsLoading ? (
           <div className="bg-white shadow rounded-lg p-6">
@@ -333,20 +383,44 @@ const Sessions = () => {
               Active Sessions
             </h3>
             
+            {canRevoke && (
+              <BulkActionBar
+                count={selection.allMatching ? total : selection.size}
+                allMatching={selection.allMatching}
+                actions={[{ key: 'revoke', label: 'Revoke', danger: true, onClick: handleBulkRevoke }]}
+                onClear={selection.clear}
+                disabled={Boolean(bulk.progress)}
+                className="mb-4"
+              />
+            )}
+
             <Table
+              {...tableProps}
+              tableId="admin-sessions"
+              exportable
+              exportFileName="active-sessions"
+              selection={canRevoke ? selection : undefined}
               columns={columns}
-              data={sessions}
-              loading={loading}
               error={error}
               onRetry={() => {
                 clearError();
-                fetchSessions();
+                refresh();
               }}
               emptyMessage="No active sessions found"
             />
           </div>
         </div>
 
+        <BulkProgressModal
+          progress={bulk.progress}
+          onClose={bulk.close}
+          onRetry={async () => {
+            await bulk.retryFailed();
+            refresh();
+            fetchStats();
+          }}
+        />
+
         {/* Confirm Dialog */}
         <ConfirmDialog
           isOpen={confirmState.isOpen}
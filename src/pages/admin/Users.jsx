@@ -1,12 +1,30 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useForm } from 'react-hook-form';
 import Layout from '../../components/Layout';
-import { Modal, Table, Alert, ConfirmDialog, LoadingSpinner } from '../../components/ui';
-import { useApiList, useApi } from '../../hooks/useApi';
+import { Modal, Table, Alert, ConfirmDialog, LoadingSpinner, BulkActionBar, BulkProgressModal } from '../../components/ui';
+import { usePaginatedList, useApi } from '../../hooks/useApi';
 import { useConfirm } from '../../hooks/useConfirm';
+import { useRowSelection } from '../../hooks/useRowSelection';
+import { useBulkAction, describeItems } from '../../hooks/useBulkAction';
 import * as authService from '../../services/authService';
 import { useAuth } from '../../contexts/AuthContext';
-import { MESSAGES } from '../../constants';
+import { useConfig } from '../../contexts/ConfigContext';
+import { useToast } from '../../contexts/ToastContext';
+import { useAbility } from '../../hooks/useAbility';
+import Can from '../../components/Can';
+import UserImportWizard from '../../components/UserImportWizard';
+import UserDetails from '../../components/UserDetails';
+import RoleSelect from '../../components/RoleSelect';
+import EffectivePermissions from '../../components/EffectivePermissions';
+import { expandInheritance } from '../../utils/roleHierarchy';
+import { MESSAGES, RESOURCES, ACTIONS, SORT_DIRECTIONS } from '../../constants';
+
+/**
+ * IDs of the roles in a user payload
+ * @param {Array} roles - Roles as sent with the user
+ * @returns {number[]} Role IDs
+ */
+const getRoleIds = (roles) => (roles || []).filter((role) => role?.id != null).map((role) => role.id);
 
 /**
  * User administration page
@@ -14,39 +32,47 @@ import { MESSAGES } from '../../constants';
  */
 const Users = () => {
   const {
-    data: users,
-    loading,
+    total,
     error,
-    fetchData,
-    addItem,
+    search,
+    fetchAll,
+    refresh,
     updateItem,
-    removeItem,
-    clearError
-  } = useApiList();
+    clearError,
+    tableProps
+  } = usePaginatedList(authService.getUsersPage, {
+    initialSort: { key: 'created_at', direction: SORT_DIRECTIONS.DESC },
+    errorMessage: MESSAGES.ERROR.FETCH
+  });
 
   const { user: currentUser } = useAuth();
-  const { execute } = useApi();
+  const { rootCompanyId } = useConfig();
+  const ability = useAbility();
+  const { loading, execute } = useApi();
   const { confirmState, confirm, closeConfirm, handleConfirm } = useConfirm();
+  const toast = useToast();
+  const selection = useRowSelection(search);
+  const bulk = useBulkAction();
   const [showCreateModal, setShowCreateModal] = useState(false);
+  const [showImportWizard, setShowImportWizard] = useState(false);
   const [editingUser, setEditingUser] = useState(null);
-  const [success, setSuccess] = useState('');
   const [companies, setCompanies] = useState([]);
   const [loadingCompanies, setLoadingCompanies] = useState(false);
+  const [roles, setRoles] = useState([]);
+  const [roleIds, setRoleIds] = useState([]);
+  const [initialRoleIds, setInitialRoleIds] = useState([]);
+  const [viewingUser, setViewingUser] = useState(null);
+  // User whose roles the edit form expects, to drop late responses for anyone else
+  const editingUserIdRef = useRef(null);
 
-  const { register, handleSubmit, formState: { errors }, reset } = useForm();
+  const { register, handleSubmit, formState: { errors }, reset, watch } = useForm();
 
-  // Check if current user is from root company
-  const isRootUser = currentUser?.is_superuser && currentUser?.company_id === 1;
-
-  const fetchUsers = useCallback(async () => {
-    await fetchData(() => authService.getUsers(), {
-      errorMessage: MESSAGES.ERROR.FETCH
-    });
-  }, [fetchData]);
+  // Only users who can see companies may pick or see a user's company
+  const canReadCompanies = ability.can(ACTIONS.READ, RESOURCES.COMPANIES);
 
-  // Fetch companies if root user
+  // Fetch companies if the user can see them
   const fetchCompanies = useCallback(async () => {
-    if (isRootUser) {
+    if (canReadCompanies) {
       try {
         setLoadingCompanies(true);
         const data = await authService.getCompanies();
@@ -57,12 +83,32 @@ const Users = () => {
         setLoadingCompanies(false);
       }
     }
-  }, [isRootUser]);
+  }, [canReadCompanies]);
 
   useEffect(() => {
-    fetchUsers();
     fetchCompanies();
-  }, [fetchUsers, fetchCompanies]);
+  }, [fetchCompanies]);
+
+  // Roles can only be assigned by admins who can both list roles and edit users
+  const canReadRoles = ability.can(ACTIONS.READ, RESOURCES.ROLES);
+  const canAssignRoles = canReadRoles && ability.can(ACTIONS.UPDATE, RESOURCES.USERS);
+
+  // Fetch roles if the user can see them
+  const fetchRoles = useCallback(async () => {
+    if (canReadRoles) {
+      try {
+        const data = await authService.getAllPages(authService.getRolesPage);
+        // Previews must count the permissions roles inherit from their parents
+        setRoles(expandInheritance(data));
+      } catch (error) {
+        console.error("Error fetching roles:", error);
+      }
+    }
+  }, [canReadRoles]);
+
+  useEffect(() => {
+    fetchRoles();
+  }, [fetchRoles]);
 
   /**
    * Handles form submission (create/edit user)
@@ -74,34 +120,92 @@ const Users = () => {
         data.company_id = parseInt(data.company_id, 10);
       } else if (!editingUser) {
         // Set company_id to current user's company if not set and creating new user
-        data.company_id = currentUser?.company_id || 1;
+        data.company_id = currentUser?.company_id || rootCompanyId;
       }
       
       if (editingUser) {
         const updatedUser = await execute(
           () => authService.updateUser(editingUser.id, data),
-          { successMessage: MESSAGES.SUCCESS.UPDATE }
+          {
+            successMessage: MESSAGES.SUCCESS.UPDATE,
+            audit: { action: 'user.update', target: { type: 'user', id: editingUser.id, name: editingUser.username } }
+          }
         );
         updateItem(editingUser.id, updatedUser);
+        // The profile is saved from here on; roles are saved and reported on their own
+        handleCloseModal();
+        const rolesChanged = roleIds.length !== initialRoleIds.length
+          || roleIds.some((roleId) => !initialRoleIds.includes(roleId));
+        if (canAssignRoles && rolesChanged) {
+          const assigned = await assignUserRoles(
+            editingUser,
+            initialRoleIds,
+            roleIds,
+            `User "${editingUser.username}" was saved, but not all of its roles could be updated. Edit the user to try again.`
+          );
+          if (assigned) {
+            updateItem(editingUser.id, { roles: roles.filter((role) => roleIds.includes(role.id)) });
+          } else {
+            // Some role changes may have gone through
+            refresh();
+          }
+        }
       } else {
-        const newUser = await execute(
+        const createdUser = await execute(
           () => authService.createUser(data),
-          { successMessage: MESSAGES.SUCCESS.CREATE }
+          {
+            successMessage: MESSAGES.SUCCESS.CREATE,
+            audit: { action: 'user.create', target: { type: 'user', name: data.username } }
+          }
         );
-        addItem(newUser);
+        // The user exists from here on; resubmitting the form would only create a duplicate
+        handleCloseModal();
+        if (canAssignRoles && roleIds.length > 0) {
+          await assignUserRoles(
+            createdUser,
+            [],
+            roleIds,
+            `User "${createdUser.username}" was created, but not all of its roles could be assigned. Edit the user to assign them.`
+          );
+        }
+        // The new user's position depends on the server-side sort
+        refresh();
       }
-      handleCloseModal();
-      setSuccess(editingUser ? MESSAGES.SUCCESS.UPDATE : MESSAGES.SUCCESS.CREATE);
-      setTimeout(() => setSuccess(''), 3000);
     } catch {
       // Error is handled by useApi hook
     }
   };
 
+  /**
+   * Saves the roles picked for a user whose profile has just been saved
+   * A failure is reported on its own, since the user itself was saved
+   * @param {Object} user - Saved user
+   * @param {Array<number>} currentRoleIds - Role IDs the user had
+   * @param {Array<number>} selectedRoleIds - Role IDs picked in the form
+   * @param {string} errorMessage - Message shown when the roles could not be saved
+   * @returns {Promise<boolean>} Whether every role change was saved
+   */
+  const assignUserRoles = async (user, currentRoleIds, selectedRoleIds, errorMessage) => {
+    try {
+      await execute(
+        () => authService.setUserRoles(user.id, currentRoleIds, selectedRoleIds),
+        {
+          errorMessage,
+          audit: { action: 'user.roles.update', target: { type: 'user', id: user.id, name: user.username } }
+        }
+      );
+      return true;
+    } catch {
+      // Error is handled by useApi hook
+      return false;
+    }
+  };
+
   /**
    * Prepares the form to edit a user
    */
-  const handleEdit = (user) => {
+  const handleEdit = async (user) => {
+    editingUserIdRef.current = user.id;
     setEditingUser(user);
     reset({
       email: user.email,
@@ -111,7 +215,22 @@ const Users = () => {
       is_superuser: user.is_superuser,
       company_id: user.company_id,
     });
+    setRoleIds(getRoleIds(user.roles));
+    setInitialRoleIds(getRoleIds(user.roles));
     setShowCreateModal(true);
+
+    // The list payload may not carry roles; the dedicated endpoint is authoritative
+    if (canAssignRoles) {
+      try {
+        const userRoles = await authService.getUserRoles(user.id);
+        // The modal may have been closed, or opened for another user, meanwhile
+        if (editingUserIdRef.current !== user.id) return;
+        setRoleIds(getRoleIds(userRoles));
+        setInitialRoleIds(getRoleIds(userRoles));
+      } catch (error) {
+        console.error("Error fetching user roles:", error);
+      }
+    }
   };
 
   /**
@@ -131,23 +250,120 @@ const Users = () => {
       try {
         await execute(
           () => authService.deleteUser(user.id),
-          { successMessage: MESSAGES.SUCCESS.DELETE }
+          {
+            successMessage: MESSAGES.SUCCESS.DELETE,
+            audit: { action: 'user.delete', target: { type: 'user', id: user.id, name: user.username } }
+          }
         );
-        removeItem(user.id);
-        setSuccess(MESSAGES.SUCCESS.DELETE);
-        setTimeout(() => setSuccess(''), 3000);
+        refresh();
       } catch {
         // Error is handled by useApi hook
       }
     }
   };
 
+  /**
+   * Runs an action on every selected user after a single confirmation
+   * The signed-in admin is always left out so they can't lock themselves out
+   * @param {Object} options - Bulk action options
+   * @param {string} options.title - Operation name
+   * @param {string} options.verb - Verb for the confirmation message
+   * @param {Function} options.action - Called with each user
+   * @param {string} options.auditAction - Audit trail action recorded for each user
+   * @param {string} options.type - Confirmation type ('danger', 'warning', 'info')
+   * @param {string} options.icon - Confirmation icon
+   * @param {string} options.note - Extra sentence for the confirmation message
+   */
+  const handleBulkAction = async ({ title, verb, action, auditAction, type = 'warning', icon, note = '' }) => {
+    let selected;
+    try {
+      selected = await execute(() => selection.getSelectedItems(fetchAll), { showLoading: false });
+    } catch {
+      return;
+    }
+
+    const targets = selected.filter((user) => user.id !== currentUser?.id);
+    const skippedSelf = targets.length < selected.length ? ' Your own account is excluded.' : '';
+    if (targets.length === 0) {
+      toast.warning('You cannot apply bulk actions to your own account.');
+      return;
+    }
+
+    const confirmed = await confirm({
+      title,
+      message: `${verb} ${targets.length} user${targets.length === 1 ? '' : 's'}: ${describeItems(targets, getUserLabel)}?${skippedSelf}${note}`,
+      confirmText: verb,
+      cancelText: 'Cancel',
+      type,
+      icon
+    });
+    if (!confirmed) return;
+
+    await bulk.run({
+      title,
+      items: targets,
+      action,
+      getLabel: getUserLabel,
+      audit: (user) => ({ action: auditAction, target: { type: 'user', id: user.id, name: user.username } }),
+    });
+    selection.clear();
+    refresh();
+  };
+
+  const bulkActions = [
+    ...(ability.can(ACTIONS.UPDATE, RESOURCES.USERS) ? [
+      {
+        key: 'activate',
+        label: 'Activate',
+        onClick: () => handleBulkAction({
+          title: 'Activate Users',
+          verb: 'Activate',
+          type: 'info',
+          icon: '✅',
+          action: (user) => authService.updateUser(user.id, { is_active: true }),
+          auditAction: 'user.activate',
+        }),
+      },
+      {
+        key: 'deactivate',
+        label: 'Deactivate',
+        onClick: () => handleBulkAction({
+          title: 'Deactivate Users',
+          verb: 'Deactivate',
+          icon: '⏸️',
+          note: ' They will no longer be able to sign in.',
+          action: (user) => authService.updateUser(user.id, { is_active: false }),
+          auditAction: 'user.deactivate',
+        }),
+      },
+    ] : []),
+    ...(ability.can(ACTIONS.DELETE, RESOURCES.USERS) ? [
+      {
+        key: 'delete',
+        label: 'Delete',
+        danger: true,
+        onClick: () => handleBulkAction({
+          title: 'Delete Users',
+          verb: 'Delete',
+          type: 'danger',
+          icon: '🗑️',
+          note: ' This action cannot be undone.',
+          action: (user) => authService.deleteUser(user.id),
+          auditAction: 'user.delete',
+        }),
+      },
+    ] : []),
+  ];
+
   /**
    * Cierra el modal y resetea el formulario
    */
   const handleCloseModal = () => {
+    editingUserIdRef.current = null;
     setShowCreateModal(false);
     setEditingUser(null);
+    setRoleIds([]);
+    setInitialRoleIds([]);
     clearError();
     reset({
       email: '',
@@ -156,10 +372,15 @@ const Users = () => {
       password: '',
       is_active: true,
       is_superuser: false,
-      company_id: currentUser?.company_id || 1,
+      company_id: currentUser?.company_id || rootCompanyId,
     });
   };
 
+  /**
+   * Display name of a user in bulk confirmations and reports
+   */
+  const getUserLabel = (user) => user.full_name || user.username;
+
   /**
    * Get company name by ID
    */
@@ -174,6 +395,9 @@ const Users = () => {
   const columns = [
     {
       header: 'User',
+      accessor: 'username',
+      sortable: true,
+      exportValue: (user) => user.username,
       render: (user) => (
         <div className="flex items-center">
           <div className="w-10 h-10 bg-primary-600 rounded-full flex items-center justify-center">
@@ -190,9 +414,10 @@ const Users = () => {
         </div>
       ),
     },
-    ...(isRootUser ? [
+    ...(canReadCompanies ? [
       {
         header: 'Company',
+        exportValue: (user) => getCompanyName(user.company_id),
         render: (user) => (
           <span className="text-sm text-gray-600">
             {getCompanyName(user.company_id)}
@@ -202,6 +427,7 @@ const Users = () => {
     ] : []),
     {
       header: 'Status',
+      exportValue: (user) => (user.is_active ? 'Active' : 'Inactive'),
       render: (user) => (
         <div className="flex space-x-2">
           <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
@@ -219,6 +445,7 @@ const Users = () => {
     },
     {
       header: 'Role',
+      exportValue: (user) => (user.is_superuser ? 'Administrator' : 'User'),
       render: (user) => (
         <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
           user.is_superuser ? 'bg-purple-100 text-purple-800' : 'bg-gray-100 text-gray-800'
@@ -227,34 +454,57 @@ const Users = () => {
         </span>
       ),
     },
+    {
+      header: 'Last Login',
+      accessor: 'last_login',
+      sortable: true,
+      render: (user) => (user.last_login ? new Date(user.last_login).toLocaleString() : 'Never'),
+    },
     {
       header: 'Created',
       accessor: 'created_at',
+      sortable: true,
       render: (user) => new Date(user.created_at).toLocaleDateString(),
     },
     {
       header: 'Actions',
+      hideable: false,
       className: 'text-right',
       cellClassName: 'text-right',
       render: (user) => (
         <div className="flex justify-end space-x-2">
           <button
-            onClick={() => handleEdit(user)}
-            className="text-primary-600 hover:text-primary-900 text-sm font-medium transition-colors"
-            title="Edit user"
-          >
-            Edit
-          </button>
-          <button
-            onClick={() => handleDelete(user)}
-            className="text-red-600 hover:text-red-900 text-sm font-medium transition-colors"
-            title="Delete user"
+            onClick={() => setViewingUser(user)}
+            className="text-gray-600 hover:text-gray-900 text-sm font-medium transition-colors"
+            title="View user details"
           >
-            Delete
+            View
           </button>
+          <Can action={ACTIONS.UPDATE} resource={RESOURCES.USERS}>
+            <button
+              onClick={() => handleEdit(user)}
+              className="text-primary-600 hover:text-primary-900 text-sm font-medium transition-colors"
+              title="Edit user"
+            >
+              Edit
+            </button>
+          </Can>
+          <Can action={ACTIONS.DELETE} resource={RESOURCES.USERS}>
+            <button
+              onClick={() => handleDelete(user)}
+              className="text-red-600 hover:text-red-900 text-sm font-medium transition-colors"
+              title="Delete user"
+            >
+              Delete
+            </button>
+          </Can>
         </div>
       ),
     },
+    // Exported alongside the visible columns, never shown
+    { header: 'Full Name', accessor: 'full_name', exportOnly: true },
+    { header: 'Email', accessor: 'email', exportOnly: true },
+    { header: 'Verified', accessor: 'is_verified', exportOnly: true },
   ];
 
   return (
@@ -262,29 +512,54 @@ const Users = () => {
       <div className="container px-4 py-6 mx-auto">
         <div className="flex justify-between items-center mb-6">
           <h1 className="text-2xl font-bold">User Management</h1>
-          <button
-            className="px-4 py-2 text-white bg-primary-600 rounded-md hover:bg-primary-700 transition-colors"
-            onClick={() => setShowCreateModal(true)}
-          >
-            Create User
-          </button>
+          <Can action={ACTIONS.CREATE} resource={RESOURCES.USERS}>
+            <div className="flex space-x-3">
+              <button
+                className="px-4 py-2 text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+                onClick={() => setShowImportWizard(true)}
+              >
+                Import CSV
+              </button>
+              <button
+                className="px-4 py-2 text-white bg-primary-600 rounded-md hover:bg-primary-700 transition-colors"
+                onClick={() => setShowCreateModal(true)}
+              >
+                Create User
+              </button>
+            </div>
+          </Can>
         </div>
 
         {error && <Alert type="error" message={error} className="mb-4" />}
-        {success && <Alert type="success" message={success} className="mb-4" />}
 
-        {loading ? (
-          <div className="flex justify-center my-8">
-            <LoadingSpinner />
-          </div>
-        ) : (
-          <Table
-            data={users}
-            columns={columns}
-            emptyMessage="No users found"
+        {bulkActions.length > 0 && (
+          <BulkActionBar
+            count={selection.allMatching ? total : selection.size}
+            allMatching={selection.allMatching}
+            actions={bulkActions}
+            onClear={selection.clear}
+            disabled={Boolean(bulk.progress)}
+            className="mb-4"
           />
         )}
 
+        <Table
+          {...tableProps}
+          tableId="users"
+          exportable
+          selection={bulkActions.length > 0 ? selection : undefined}
+          columns={columns}
+          emptyMessage="No users found"
+        />
+
+        <UserImportWizard
+          isOpen={showImportWizard}
+          onClose={() => setShowImportWizard(false)}
+          onImported={refresh}
+          companies={canReadCompanies ? companies : null}
+          defaultCompanyId={currentUser?.company_id || rootCompanyId}
+        />
+
         {/* Create/Edit User Modal */}
         <Modal 
           isOpen={showCreateModal}
@@ -339,8 +614,8 @@ const Users = () => {
               </div>
             )}
 
-            {/* Company selection (only for root users) */}
-            {isRootUser && (
+            {/* Company selection (only for users who can see companies) */}
+            {canReadCompanies && (
               <div>
                 <label className="block mb-1">Company</label>
                 {loadingCompanies ? (
@@ -378,6 +653,23 @@ const Users = () => {
               <label htmlFor="is_superuser">Administrator</label>
             </div>
 
+            {/* Role assignment (only for admins who can list roles) */}
+            {canAssignRoles && (
+              <div>
+                <label htmlFor="user_roles" className="block mb-1">Roles</label>
+                <RoleSelect id="user_roles" roles={roles} value={roleIds} onChange={setRoleIds} disabled={loading} />
+                <details className="mt-2">
+                  <summary className="text-sm text-primary-600 cursor-pointer">Preview effective permissions</summary>
+                  <div className="mt-2 p-3 bg-gray-50 rounded">
+                    <EffectivePermissions
+                      user={{ ...editingUser, is_superuser: watch('is_superuser') }}
+                      roles={roles.filter((role) => roleIds.includes(role.id))}
+                    />
+                  </div>
+                </details>
+              </div>
+            )}
+
             <div className="flex justify-end space-x-2 pt-4">
               <button
                 type="button"
@@ -397,6 +689,24 @@ const Users = () => {
           </form>
         </Modal>
 
+        <UserDetails
+          user={viewingUser}
+          onClose={() => setViewingUser(null)}
+          roles={canReadRoles ? roles : null}
+          canAssignRoles={canAssignRoles}
+          companyName={canReadCompanies && viewingUser ? getCompanyName(viewingUser.company_id) : null}
+          onRolesChanged={(user, userRoles) => updateItem(user.id, { roles: userRoles })}
+        />
+
+        <BulkProgressModal
+          progress={bulk.progress}
+          onClose={bulk.close}
+          onRetry={async () => {
+            await bulk.retryFailed();
+            refresh();
+          }}
+        />
+
         {/* Confirm Dialog */}
         <ConfirmDialog
           {...confirmState}
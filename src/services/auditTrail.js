@@ -0,0 +1,223 @@
+import { AUDIT_TRAIL } from '../constants';
+import { shipAuditTrail, onMutationRequest } from './authService';
+import { getRuntimeConfig } from './runtimeConfig';
+import { getErrorMessage } from '../utils/errors';
+
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+/**
+ * Opens (and on first use creates) the audit trail database
+ * @returns {Promise<IDBDatabase>} Database
+ */
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+      const request = indexedDB.open(AUDIT_TRAIL.DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(AUDIT_TRAIL.STORE, { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((err) => {
+      // Let a later call try again
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Runs a function against the entries store inside a transaction
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} fn - Receives the object store; may return a request or value
+ * @returns {Promise} What fn's request resolved to, once the transaction commits
+ */
+const withStore = async (mode, fn) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(AUDIT_TRAIL.STORE, mode);
+    const outcome = fn(transaction.objectStore(AUDIT_TRAIL.STORE));
+    let result = outcome;
+    if (outcome instanceof IDBRequest) {
+      outcome.onsuccess = () => {
+        result = outcome.result;
+      };
+    }
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Summarises a request body for storage
+ * Secrets are replaced, long strings and lists are cut and deep nesting is collapsed
+ * @param {*} value - Request body
+ * @param {number} depth - Current nesting level
+ * @returns {*} JSON-safe summary
+ */
+export const summarizePayload = (value, depth = 0) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'string') {
+    // Bodies arrive unserialized, but accept JSON strings too
+    if (depth === 0 && /^[[{]/.test(value)) {
+      try {
+        return summarizePayload(JSON.parse(value), depth);
+      } catch {
+        // Not JSON, keep it as text
+      }
+    }
+    return value.length > AUDIT_TRAIL.MAX_VALUE_LENGTH
+      ? `${value.slice(0, AUDIT_TRAIL.MAX_VALUE_LENGTH)}…`
+      : value;
+  }
+  if (typeof value !== 'object') return value;
+  if (depth >= 3) return '[…]';
+  if (typeof FormData !== 'undefined' && value instanceof FormData) {
+    return summarizePayload(Object.fromEntries(value.entries()), depth);
+  }
+  if (Array.isArray(value)) {
+    const items = value.slice(0, AUDIT_TRAIL.MAX_LIST_ITEMS).map((item) => summarizePayload(item, depth + 1));
+    if (value.length > AUDIT_TRAIL.MAX_LIST_ITEMS) {
+      items.push(`… ${value.length - AUDIT_TRAIL.MAX_LIST_ITEMS} more`);
+    }
+    return items;
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, fieldValue]) => [
+    key,
+    AUDIT_TRAIL.REDACTED_FIELDS.test(key) ? '[REDACTED]' : summarizePayload(fieldValue, depth + 1),
+  ]));
+};
+
+/**
+ * Stores an audit trail entry, dropping the oldest ones beyond MAX_ENTRIES
+ * @param {Object} entry - Entry
+ * @param {Object|null} entry.actor - Signed-in user ({ id, username, email })
+ * @param {string} entry.action - What was done, e.g. "user.delete"
+ * @param {Object} entry.target - What it was done to ({ type, id, name })
+ * @param {Array} entry.requests - Mutating requests sent ({ method, url, data })
+ * @param {string} entry.outcome - 'success' or 'failure'
+ * @param {string} entry.error - Error message, on failure
+ * @param {number} entry.status - HTTP status of the failure, if any
+ * @returns {Promise<number>} ID of the stored entry
+ */
+export const recordAuditEntry = async ({ actor, action, target, requests, outcome, error, status }) => {
+  const record = {
+    timestamp: new Date().toISOString(),
+    actor: actor ? { id: actor.id, username: actor.username, email: actor.email } : null,
+    action,
+    target: target || null,
+    requests: requests.map(({ method, url, data }) => ({ method, url, payload: summarizePayload(data) })),
+    outcome,
+    error: error || null,
+    status: status ?? null,
+    shipped: false,
+  };
+
+  const id = await withStore('readwrite', (store) => store.add(record));
+
+  // Keys grow with every entry, so the lowest ones are the oldest
+  await withStore('readwrite', (store) => {
+    const countRequest = store.count();
+    countRequest.onsuccess = () => {
+      const excess = countRequest.result - AUDIT_TRAIL.MAX_ENTRIES;
+      if (excess <= 0) return;
+      let removed = 0;
+      store.openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor || removed >= excess) return;
+        cursor.delete();
+        removed += 1;
+        cursor.continue();
+      };
+    };
+  });
+
+  return id;
+};
+
+/**
+ * Runs an API call and records it in the audit trail with the mutating
+ * requests it sent; recording never holds up or fails the call
+ * Calls running at the same time see each other's requests, so batches
+ * sent in parallel are recorded as one operation
+ * @param {Function} apiCall - Function that performs the API call
+ * @param {Object} audit - What is being done ({ actor, action, target })
+ * @param {Function} audit.describeFailure - Optional; receives the result and returns an error
+ *   message when only part of the operation succeeded, so it is recorded as a failure
+ * @returns {Promise} Result of the API call
+ */
+export const withAuditEntry = async (apiCall, { describeFailure, ...audit }) => {
+  const requests = [];
+  const stopCapture = onMutationRequest((request) => requests.push(request));
+
+  const record = (outcome, error, status) => {
+    stopCapture();
+    recordAuditEntry({ ...audit, requests, outcome, error, status })
+      .catch((recordError) => console.error('Failed to record audit entry:', recordError));
+  };
+
+  let result;
+  try {
+    result = await apiCall();
+  } catch (err) {
+    record('failure', getErrorMessage(err), err.response?.status);
+    throw err;
+  }
+
+  const partialFailure = describeFailure?.(result);
+  record(partialFailure ? 'failure' : 'success', partialFailure);
+  return result;
+};
+
+/**
+ * Gets every stored entry
+ * @returns {Promise<Array>} Entries, newest first
+ */
+export const getAuditEntries = async () => {
+  const entries = await withStore('readonly', (store) => store.getAll());
+  return entries.reverse();
+};
+
+/**
+ * Deletes every stored entry
+ * @returns {Promise<void>}
+ */
+export const clearAuditEntries = () => withStore('readwrite', (store) => store.clear());
+
+/**
+ * Collector endpoint from the runtime configuration
+ * @returns {string|null} Endpoint, null when shipping is not configured
+ */
+export const getShippingEndpoint = () => getRuntimeConfig()?.auditTrailEndpoint || null;
+
+/**
+ * Sends the entries not shipped yet to the configured endpoint and marks them shipped
+ * @returns {Promise<number>} Number of entries shipped
+ * @throws {Error} When no endpoint is configured or the collector rejects them
+ */
+export const shipPendingEntries = async () => {
+  const endpoint = getShippingEndpoint();
+  if (!endpoint) {
+    throw new Error('No audit trail endpoint is configured');
+  }
+
+  const pending = (await getAuditEntries()).filter((entry) => !entry.shipped).reverse();
+  if (pending.length === 0) return 0;
+
+  await shipAuditTrail(endpoint, pending);
+
+  const shippedAt = new Date().toISOString();
+  await withStore('readwrite', (store) => {
+    pending.forEach((entry) => store.put({ ...entry, shipped: true, shipped_at: shippedAt }));
+  });
+  return pending.length;
+};
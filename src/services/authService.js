@@ -1,28 +1,64 @@
 import axios from 'axios';
-import { API_CONFIG, STORAGE_KEYS } from '../constants';
-
-const API_BASE_URL = API_CONFIG.BASE_URL;
+import { API_CONFIG, PAGINATION } from '../constants';
+import * as tokenStore from './tokenStore';
 
 /**
  * Axios instance configured for the API
+ * Base URL and timeout are replaced by the runtime configuration at boot
  */
 const api = axios.create({
-  baseURL: API_BASE_URL,
+  baseURL: API_CONFIG.BASE_URL,
   timeout: API_CONFIG.TIMEOUT,
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
+/**
+ * Points the API client at the configured backend
+ * @param {Object} options - API options
+ * @param {string} options.baseUrl - API base URL
+ * @param {number} options.timeout - Request timeout in milliseconds
+ */
+export const configureApi = ({ baseUrl, timeout }) => {
+  api.defaults.baseURL = baseUrl;
+  api.defaults.timeout = timeout;
+};
+
+// HTTP methods that change data on the server
+const MUTATING_METHODS = new Set(['post', 'put', 'patch', 'delete']);
+
+// Callbacks notified of every mutating request
+const mutationListeners = new Set();
+
+/**
+ * Subscribes to the mutating requests the API client sends
+ * Replays after a token refresh are not reported again
+ * @param {Function} listener - Called with { method, url, data }; data is the unserialized body
+ * @returns {Function} Unsubscribe function
+ */
+export const onMutationRequest = (listener) => {
+  mutationListeners.add(listener);
+  return () => mutationListeners.delete(listener);
+};
+
 /**
  * Request interceptor to add authentication token
  */
 api.interceptors.request.use(
   (config) => {
-    const token = localStorage.getItem(STORAGE_KEYS.ACCESS_TOKEN);
+    const token = tokenStore.getAccessToken();
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
+    // The refresh cookie must accompany auth requests in cookie mode
+    if (tokenStore.usesRefreshCookie()) {
+      config.withCredentials = true;
+    }
+    if (MUTATING_METHODS.has(config.method) && !config._retry) {
+      const request = { method: config.method.toUpperCase(), url: config.url, data: config.data };
+      mutationListeners.forEach((listener) => listener(request));
+    }
     return config;
   },
   (error) => {
@@ -30,50 +66,107 @@ api.interceptors.request.use(
   }
 );
 
-// Define the token expiration time in milliseconds (1 hour)
-const TOKEN_EXPIRATION_TIME = 3600000;
+// In-flight refresh shared by every caller until it settles
+let refreshPromise = null;
+
+// Set once a failed refresh has scheduled the redirect to login
+let loginRedirectScheduled = false;
+
+// Callbacks notified after every successful token rotation
+const tokenRefreshListeners = new Set();
+
+/**
+ * Subscribes to token rotations, whoever triggered them
+ * @param {Function} listener - Called with { accessToken, refreshToken }
+ * @returns {Function} Unsubscribe function
+ */
+export const onTokensRefreshed = (listener) => {
+  tokenRefreshListeners.add(listener);
+  return () => tokenRefreshListeners.delete(listener);
+};
+
+/**
+ * Renews the access token using the stored refresh token (or the refresh cookie)
+ * Concurrent callers share a single request, so a rotating refresh token is only spent once
+ * @returns {Promise<string>} New access token
+ */
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      // In cookie mode the browser sends the httpOnly refresh cookie instead of a body token
+      const response = tokenStore.usesRefreshCookie()
+        ? await axios.post(`${api.defaults.baseURL}/auth/refresh`, {}, { withCredentials: true })
+        : await axios.post(`${api.defaults.baseURL}/auth/refresh`, {
+          refresh_token: tokenStore.getRefreshToken(),
+        });
+
+      const { access_token, refresh_token: newRefreshToken } = response.data;
+      tokenStore.setTokens({ accessToken: access_token, refreshToken: newRefreshToken });
+
+      tokenRefreshListeners.forEach((listener) => listener({
+        accessToken: access_token,
+        refreshToken: tokenStore.getRefreshToken(),
+      }));
+      return access_token;
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
 
 /**
  * Response interceptor to handle token renewal
+ * Requests that fail with 401 while a refresh is running wait for it and are
+ * replayed with the new token; if the refresh fails they are all rejected
  */
 api.interceptors.response.use(
   (response) => response,
   async (error) => {
     const originalRequest = error.config;
-
-    if (error.response?.status === 401 && !originalRequest._retry) {
+    const isRefreshRequest = originalRequest?.url?.includes('/auth/refresh');
+    // A rejected password or second-factor code is not an expired session,
+    // including a wrong current password when changing it
+    const isCredentialCheck = ['/auth/login', '/auth/mfa/verify', '/users/me/password'].some(path => originalRequest?.url?.includes(path));
+
+    if (
+      error.response?.status === 401 &&
+      originalRequest &&
+      !originalRequest._retry &&
+      !isRefreshRequest &&
+      !isCredentialCheck &&
+      tokenStore.canRefresh()
+    ) {
       originalRequest._retry = true;
 
       try {
-        const refreshToken = localStorage.getItem(STORAGE_KEYS.REFRESH_TOKEN);
-        if (refreshToken) {
-          const response = await axios.post(`${API_BASE_URL}/auth/refresh`, {
-            refresh_token: refreshToken,
-          });
-
-          const { access_token, refresh_token: newRefreshToken } = response.data;
-          localStorage.setItem(STORAGE_KEYS.ACCESS_TOKEN, access_token);
-          localStorage.setItem(STORAGE_KEYS.REFRESH_TOKEN, newRefreshToken);
-
-          originalRequest.headers.Authorization = `Bearer ${access_token}`;
-          return api(originalRequest);
-        }
+        // If another request already rotated the token since this one was sent, just replay it
+        const currentToken = tokenStore.getAccessToken();
+        const sentAuthorization = originalRequest.headers?.Authorization;
+        const accessToken = currentToken && sentAuthorization && sentAuthorization !== `Bearer ${currentToken}`
+          ? currentToken
+          : await refreshAccessToken();
+
+        originalRequest.headers.Authorization = `Bearer ${accessToken}`;
+        return api(originalRequest);
       } catch {
         // Clear tokens if renewal fails
-        localStorage.removeItem(STORAGE_KEYS.ACCESS_TOKEN);
-        localStorage.removeItem(STORAGE_KEYS.REFRESH_TOKEN);
+        tokenStore.clearTokens();
         
         // Only redirect if we're not on public pages or specific requests
-        const isPublicPage = ['/login', '/forgot-password'].some(path => 
+        const isPublicPage = ['/login', '/forgot-password', '/reset-password'].some(path => 
           window.location.pathname.includes(path)
         );
         const isAuthContextRequest = originalRequest.url.includes('/users/me');
-        const isRefreshRequest = originalRequest.url.includes('/auth/refresh');
         
-        if (!isPublicPage && !isAuthContextRequest && !isRefreshRequest) {
+        if (!isPublicPage && !isAuthContextRequest && !loginRedirectScheduled) {
+          // Every queued request lands here; redirect only once
+          loginRedirectScheduled = true;
           // Small delay to prevent race conditions
+          // Keep the current page so login can bring the user back to it
+          const { pathname, search, hash } = window.location;
           setTimeout(() => {
-            window.location.href = '/login';
+            window.location.href = `/login?redirect=${encodeURIComponent(pathname + search + hash)}`;
           }, 100);
         }
       }
@@ -83,6 +176,71 @@ api.interceptors.response.use(
   }
 );
 
+/**
+ * Fetch one page of a list endpoint
+ * Accepts a plain array (total read from X-Total-Count when present) or an
+ * { items, total } envelope
+ * @param {string} url - List endpoint
+ * @param {Object} query - Query parameters (skip, limit, sort_by, sort_order, search, filters)
+ * @returns {Promise<{items: Array, total: number|null}>} Items of the page and total count, null if unknown
+ */
+const getPage = async (url, query = {}) => {
+  // Drop empty values so the backend applies its own defaults
+  const params = Object.fromEntries(
+    Object.entries(query).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  );
+  const response = await api.get(url, { params });
+
+  if (Array.isArray(response.data)) {
+    const totalHeader = response.headers['x-total-count'];
+    return {
+      items: response.data,
+      total: totalHeader !== undefined ? Number(totalHeader) : null,
+    };
+  }
+  return {
+    items: response.data.items ?? [],
+    total: response.data.total ?? null,
+  };
+};
+
+/**
+ * Walks a paged list one page at a time, until the reported total is reached
+ * Without a total, a short page ends it; with one, short pages are expected when
+ * the server caps the page size below the limit asked for
+ * @param {Function} fetchPage - One of the get*Page functions
+ * @param {Object} query - Filters, sort and search
+ * @param {number} limit - Items per request
+ * @yields {Array} Items of each non-empty page
+ */
+export async function* iteratePages(fetchPage, query = {}, limit = PAGINATION.MAX_PAGE_SIZE) {
+  let skip = 0;
+
+  for (;;) {
+    const { items, total } = await fetchPage({ ...query, skip, limit });
+    if (items.length > 0) yield items;
+    skip += items.length;
+
+    // An empty page also ends it, in case the total overstates what is left
+    const done = total !== null ? skip >= total : items.length < limit;
+    if (done || items.length === 0) return;
+  }
+}
+
+/**
+ * Get every item of a paged list, see iteratePages
+ * @param {Function} fetchPage - One of the get*Page functions
+ * @param {Object} query - Filters, sort and search
+ * @returns {Promise<Array>} All items
+ */
+export const getAllPages = async (fetchPage, query = {}) => {
+  const all = [];
+  for await (const items of iteratePages(fetchPage, query)) {
+    all.push(...items);
+  }
+  return all;
+};
+
 // ==================== AUTHENTICATION ENDPOINTS ====================
 
 /**
@@ -105,6 +263,30 @@ export const login = async (credentials) => {
   return response.data;
 };
 
+/**
+ * Whether a login response is a second-factor challenge rather than tokens
+ * @param {Object} response - Body returned by login
+ * @returns {boolean} True if a TOTP or backup code must be submitted
+ */
+export const isMfaChallenge = (response) => Boolean(response?.mfa_required && response?.mfa_token);
+
+/**
+ * Complete a login that requires a second factor
+ * @param {Object} params - Verification data
+ * @param {string} params.mfaToken - Challenge token returned by login
+ * @param {string} params.code - TOTP or backup code
+ * @param {string} params.method - One of MFA_METHODS
+ * @returns {Promise<Object>} Response with access tokens
+ */
+export const verifyMfaLogin = async ({ mfaToken, code, method }) => {
+  const response = await api.post('/auth/mfa/verify', {
+    mfa_token: mfaToken,
+    code,
+    method,
+  });
+  return response.data;
+};
+
 /**
  * Register new user (DEPRECATED - Only used by admin endpoints now)
  * @param {Object} userData - User data
@@ -160,6 +342,55 @@ export const resetPassword = async (token, newPassword) => {
   return response.data;
 };
 
+// ==================== MFA ENDPOINTS ====================
+
+/**
+ * Get the current user's two-factor authentication status
+ * @returns {Promise<Object>} Status with enabled flag and remaining backup codes
+ */
+export const getMfaStatus = async () => {
+  const response = await api.get('/auth/mfa/status');
+  return response.data;
+};
+
+/**
+ * Start TOTP enrollment for the current user
+ * @returns {Promise<Object>} Secret, provisioning URI and QR code image
+ */
+export const startMfaEnrollment = async () => {
+  const response = await api.post('/auth/mfa/enroll');
+  return response.data;
+};
+
+/**
+ * Finish TOTP enrollment by verifying the first code
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<Object>} Response with the initial backup codes
+ */
+export const confirmMfaEnrollment = async (code) => {
+  const response = await api.post('/auth/mfa/enroll/verify', { code });
+  return response.data;
+};
+
+/**
+ * Turn off two-factor authentication
+ * @param {string} code - Current TOTP or backup code
+ * @returns {Promise<Object>} Disable response
+ */
+export const disableMfa = async (code) => {
+  const response = await api.post('/auth/mfa/disable', { code });
+  return response.data;
+};
+
+/**
+ * Replace the backup codes, invalidating the previous ones
+ * @returns {Promise<Object>} Response with the new backup codes
+ */
+export const regenerateBackupCodes = async () => {
+  const response = await api.post('/auth/mfa/backup-codes');
+  return response.data;
+};
+
 // ==================== USER ENDPOINTS ====================
 
 /**
@@ -181,6 +412,20 @@ export const updateCurrentUser = async (userData) => {
   return response.data;
 };
 
+/**
+ * Change the current user's password
+ * @param {string} currentPassword - Current password
+ * @param {string} newPassword - New password
+ * @returns {Promise<Object>} Change response
+ */
+export const changePassword = async (currentPassword, newPassword) => {
+  const response = await api.post('/users/me/password', {
+    current_password: currentPassword,
+    new_password: newPassword,
+  });
+  return response.data;
+};
+
 /**
  * Get list of users (admin)
  * @param {number} skip - Number of records to skip
@@ -192,6 +437,13 @@ export const getUsers = async (skip = 0, limit = 100) => {
   return response.data;
 };
 
+/**
+ * Get one page of users (admin)
+ * @param {Object} query - skip, limit, sort_by, sort_order, search and filters
+ * @returns {Promise<{items: Array, total: number|null}>} Page of users
+ */
+export const getUsersPage = (query) => getPage('/users/', query);
+
 /**
  * Get user by ID (admin)
  * @param {number} userId - User ID
@@ -233,6 +485,59 @@ export const deleteUser = async (userId) => {
   return response.data;
 };
 
+/**
+ * Get the roles assigned to a user (admin)
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} Roles, with their permissions
+ */
+export const getUserRoles = async (userId) => {
+  const response = await api.get(`/users/${userId}/roles`);
+  return response.data;
+};
+
+/**
+ * Assign role to user (admin)
+ * @param {number} userId - User ID
+ * @param {number} roleId - Role ID
+ * @returns {Promise<Object>} Assignment response
+ */
+export const assignRoleToUser = async (userId, roleId) => {
+  const response = await api.post(`/users/${userId}/roles`, {
+    role_id: roleId,
+  });
+  return response.data;
+};
+
+/**
+ * Remove role from user (admin)
+ * @param {number} userId - User ID
+ * @param {number} roleId - Role ID
+ * @returns {Promise<Object>} Removal response
+ */
+export const removeRoleFromUser = async (userId, roleId) => {
+  const response = await api.delete(`/users/${userId}/roles/${roleId}`);
+  return response.data;
+};
+
+/**
+ * Assigns and removes roles so a user ends up with exactly the given ones (admin)
+ * @param {number} userId - User ID
+ * @param {number[]} currentRoleIds - Roles the user has now
+ * @param {number[]} roleIds - Roles the user should have
+ * @returns {Promise<void>}
+ */
+export const setUserRoles = async (userId, currentRoleIds, roleIds) => {
+  const added = roleIds.filter((roleId) => !currentRoleIds.includes(roleId));
+  const removed = currentRoleIds.filter((roleId) => !roleIds.includes(roleId));
+
+  for (const roleId of added) {
+    await assignRoleToUser(userId, roleId);
+  }
+  for (const roleId of removed) {
+    await removeRoleFromUser(userId, roleId);
+  }
+};
+
 // ==================== ROLE ENDPOINTS ====================
 
 /**
@@ -246,6 +551,13 @@ export const getRoles = async (skip = 0, limit = 100) => {
   return response.data;
 };
 
+/**
+ * Get one page of roles
+ * @param {Object} query - skip, limit, sort_by, sort_order and search
+ * @returns {Promise<{items: Array, total: number|null}>} Page of roles
+ */
+export const getRolesPage = (query) => getPage('/roles/', query);
+
 /**
  * Get role by ID
  * @param {number} roleId - Role ID
@@ -287,6 +599,28 @@ export const deleteRole = async (roleId) => {
   return response.data;
 };
 
+/**
+ * Create a role and assign it the given permissions, e.g. to clone a role
+ * Once the role exists, a failed assignment doesn't stop the others
+ * @param {Object} roleData - Role data
+ * @param {number[]} permissionIds - Permissions to assign
+ * @returns {Promise<{role: Object, failedPermissionIds: number[]}>} Created role, with the permissions
+ *   it got, and those that could not be assigned
+ * @throws When the role itself cannot be created
+ */
+export const createRoleWithPermissions = async (roleData, permissionIds) => {
+  let role = await createRole(roleData);
+  const failedPermissionIds = [];
+  for (const permissionId of permissionIds) {
+    try {
+      role = await assignPermissionToRole(role.id, permissionId);
+    } catch {
+      failedPermissionIds.push(permissionId);
+    }
+  }
+  return { role, failedPermissionIds };
+};
+
 /**
  * Assign permission to role
  * @param {number} roleId - Role ID
@@ -324,6 +658,13 @@ export const getPermissions = async (skip = 0, limit = 100) => {
   return response.data;
 };
 
+/**
+ * Get one page of permissions
+ * @param {Object} query - skip, limit, sort_by, sort_order, search and filters
+ * @returns {Promise<{items: Array, total: number|null}>} Page of permissions
+ */
+export const getPermissionsPage = (query) => getPage('/permissions/', query);
+
 /**
  * Get permission by ID
  * @param {number} permissionId - Permission ID
@@ -378,6 +719,47 @@ export const getResourceTypes = async (skip = 0, limit = 100) => {
   return response.data;
 };
 
+/**
+ * Get resource type by ID
+ * @param {number} resourceTypeId - Resource type ID
+ * @returns {Promise<Object>} Resource type data
+ */
+export const getResourceTypeById = async (resourceTypeId) => {
+  const response = await api.get(`/resources/${resourceTypeId}`);
+  return response.data;
+};
+
+/**
+ * Create new resource type
+ * @param {Object} resourceTypeData - Resource type data
+ * @returns {Promise<Object>} Created resource type
+ */
+export const createResourceType = async (resourceTypeData) => {
+  const response = await api.post('/resources/', resourceTypeData);
+  return response.data;
+};
+
+/**
+ * Update resource type by ID
+ * @param {number} resourceTypeId - Resource type ID
+ * @param {Object} resourceTypeData - Data to update
+ * @returns {Promise<Object>} Updated resource type
+ */
+export const updateResourceType = async (resourceTypeId, resourceTypeData) => {
+  const response = await api.put(`/resources/${resourceTypeId}`, resourceTypeData);
+  return response.data;
+};
+
+/**
+ * Delete resource type by ID
+ * @param {number} resourceTypeId - Resource type ID
+ * @returns {Promise<Object>} Deletion response
+ */
+export const deleteResourceType = async (resourceTypeId) => {
+  const response = await api.delete(`/resources/${resourceTypeId}`);
+  return response.data;
+};
+
 // ==================== SESSION ENDPOINTS ====================
 
 /**
@@ -430,6 +812,13 @@ export const getActiveSessions = async (skip = 0, limit = 100) => {
   return response.data;
 };
 
+/**
+ * Get one page of active sessions (admin)
+ * @param {Object} query - skip, limit, sort_by, sort_order, search and filters
+ * @returns {Promise<{items: Array, total: number|null}>} Page of sessions
+ */
+export const getActiveSessionsPage = (query) => getPage('/users/active-sessions', query);
+
 /**
  * Admin revoke session
  * @param {number} sessionId - Session ID
@@ -440,6 +829,50 @@ export const adminRevokeSession = async (sessionId) => {
   return response.data;
 };
 
+// ==================== AUDIT ENDPOINTS ====================
+
+/**
+ * Get one page of the audit log (admin)
+ * @param {Object} query - skip, limit, sort_by, sort_order, search and filters (actor, action, date_from, date_to)
+ * @returns {Promise<{items: Array, total: number|null}>} Page of audit entries
+ */
+export const getAuditLogsPage = (query) => getPage('/audit/', query);
+
+/**
+ * Get an audit entry by ID, with its before/after snapshots (admin)
+ * @param {number} auditLogId - Audit entry ID
+ * @returns {Promise<Object>} Audit entry
+ */
+export const getAuditLogById = async (auditLogId) => {
+  const response = await api.get(`/audit/${auditLogId}`);
+  return response.data;
+};
+
+/**
+ * Get the action names recorded in the audit log (admin)
+ * @returns {Promise<Array<string>>} Action names, e.g. "user.delete"
+ */
+export const getAuditActions = async () => {
+  const response = await api.get('/audit/actions');
+  return response.data;
+};
+
+/**
+ * Send client-side audit trail entries to a collector
+ * Paths go to the API with the session's credentials; absolute URLs may be
+ * another host, so they get a plain request that carries no token and whose
+ * 401s can't end the session
+ * @param {string} endpoint - Absolute URL, or a path relative to the API base URL
+ * @param {Array} entries - Audit trail entries
+ * @returns {Promise<Object>} Collector response
+ */
+export const shipAuditTrail = async (endpoint, entries) => {
+  const response = /^https?:\/\//.test(endpoint)
+    ? await axios.post(endpoint, { entries }, { timeout: api.defaults.timeout })
+    : await api.post(endpoint, { entries });
+  return response.data;
+};
+
 // ==================== COMPANY ENDPOINTS ====================
 
 /**
@@ -0,0 +1,53 @@
+import { STORAGE_KEYS } from '../constants';
+
+// Preferences of signed-out visitors, e.g. before the profile has loaded
+const ANONYMOUS_USER = 'anonymous';
+
+/**
+ * Reads every stored preference, keyed by user ID
+ * @returns {Object} Preferences by user
+ */
+const readAll = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEYS.USER_PREFERENCES)) || {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Gets the saved layout of a table for a user
+ * @param {number|string} userId - User ID
+ * @param {string} tableId - Table identifier
+ * @returns {Object} Layout ({ order, hidden, widths }), empty when nothing is saved
+ */
+export const getTablePreferences = (userId, tableId) => (
+  readAll()[userId ?? ANONYMOUS_USER]?.tables?.[tableId] || {}
+);
+
+/**
+ * Saves the layout of a table for a user; null clears it
+ * @param {number|string} userId - User ID
+ * @param {string} tableId - Table identifier
+ * @param {Object|null} layout - Layout ({ order, hidden, widths })
+ */
+export const saveTablePreferences = (userId, tableId, layout) => {
+  const all = readAll();
+  const key = userId ?? ANONYMOUS_USER;
+  const tables = { ...all[key]?.tables };
+
+  if (layout) {
+    tables[tableId] = layout;
+  } else {
+    delete tables[tableId];
+  }
+
+  try {
+    localStorage.setItem(
+      STORAGE_KEYS.USER_PREFERENCES,
+      JSON.stringify({ ...all, [key]: { ...all[key], tables } })
+    );
+  } catch {
+    // Storage full or unavailable; the layout simply won't persist
+  }
+};
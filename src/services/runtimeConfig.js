@@ -0,0 +1,173 @@
+import { API_CONFIG, AUTH_CONFIG } from '../constants';
+import { configureApi } from './authService';
+import { setTokenStorageStrategy, TOKEN_STORAGE_STRATEGIES } from './tokenStore';
+
+const CONFIG_URL = '/config.json';
+
+// Prefix of build-time feature flag overrides, e.g. VITE_FEATURE_AUDIT_LOG=true
+const FEATURE_ENV_PREFIX = 'VITE_FEATURE_';
+
+/**
+ * Values used for any key config.json leaves out
+ */
+const DEFAULT_CONFIG = {
+  apiBaseUrl: API_CONFIG.BASE_URL,
+  apiTimeout: API_CONFIG.TIMEOUT,
+  rootCompanyId: 1,
+  tokenStorage: AUTH_CONFIG.TOKEN_STORAGE,
+  auditTrailEndpoint: null,
+  features: {},
+  passwordPolicy: {
+    requireUppercase: true,
+    requireLowercase: true,
+    requireDigit: true,
+    requireSymbol: false,
+  },
+  branding: {
+    appName: 'Jcano Auth',
+    tagline: 'SECURE PLATFORM',
+    logoUrl: '/vite.svg',
+  },
+};
+
+let runtimeConfig = null;
+
+/**
+ * Builds an error describing why the configuration cannot be used
+ * @param {string} message - Summary of the problem
+ * @param {Array<string>} details - Individual problems found
+ * @returns {Error} Error with a `details` list
+ */
+const configError = (message, details = []) => {
+  const error = new Error(message);
+  error.name = 'ConfigError';
+  error.details = details;
+  return error;
+};
+
+/**
+ * Reads overrides from import.meta.env
+ * @returns {Object} Partial configuration
+ */
+const getEnvOverrides = () => {
+  const env = import.meta.env;
+  const overrides = {};
+
+  if (env.VITE_API_BASE_URL) overrides.apiBaseUrl = env.VITE_API_BASE_URL;
+  if (env.VITE_API_TIMEOUT) overrides.apiTimeout = Number(env.VITE_API_TIMEOUT);
+  if (env.VITE_ROOT_COMPANY_ID) overrides.rootCompanyId = Number(env.VITE_ROOT_COMPANY_ID);
+  if (env.VITE_TOKEN_STORAGE) overrides.tokenStorage = env.VITE_TOKEN_STORAGE;
+  if (env.VITE_AUDIT_TRAIL_ENDPOINT) overrides.auditTrailEndpoint = env.VITE_AUDIT_TRAIL_ENDPOINT;
+  if (env.VITE_APP_NAME) overrides.branding = { appName: env.VITE_APP_NAME };
+
+  const features = Object.keys(env)
+    .filter((key) => key.startsWith(FEATURE_ENV_PREFIX))
+    .reduce((acc, key) => {
+      const name = key.slice(FEATURE_ENV_PREFIX.length).toLowerCase().replace(/_(\w)/g, (_, c) => c.toUpperCase());
+      acc[name] = env[key] === 'true';
+      return acc;
+    }, {});
+  if (Object.keys(features).length > 0) overrides.features = features;
+
+  return overrides;
+};
+
+/**
+ * Merges configuration layers; nested features/passwordPolicy/branding are merged key by key
+ * @param {...Object} layers - Configuration layers, lowest precedence first
+ * @returns {Object} Merged configuration
+ */
+const mergeConfig = (...layers) => layers.reduce((acc, layer) => ({
+  ...acc,
+  ...layer,
+  features: { ...acc.features, ...layer.features },
+  passwordPolicy: { ...acc.passwordPolicy, ...layer.passwordPolicy },
+  branding: { ...acc.branding, ...layer.branding },
+}), {});
+
+/**
+ * Checks a merged configuration
+ * @param {Object} config - Configuration to validate
+ * @returns {Array<string>} Problems found, empty when valid
+ */
+const validateConfig = (config) => {
+  const problems = [];
+
+  if (typeof config.apiBaseUrl !== 'string' || !/^(https?:\/\/|\/)/.test(config.apiBaseUrl)) {
+    problems.push('apiBaseUrl must be an absolute URL or a path starting with "/"');
+  }
+  if (!Number.isFinite(config.apiTimeout) || config.apiTimeout <= 0) {
+    problems.push('apiTimeout must be a positive number of milliseconds');
+  }
+  if (config.rootCompanyId !== null && !Number.isInteger(config.rootCompanyId)) {
+    problems.push('rootCompanyId must be an integer or null');
+  }
+  if (!Object.values(TOKEN_STORAGE_STRATEGIES).includes(config.tokenStorage)) {
+    problems.push(`tokenStorage must be one of: ${Object.values(TOKEN_STORAGE_STRATEGIES).join(', ')}`);
+  }
+  if (
+    config.auditTrailEndpoint !== null &&
+    (typeof config.auditTrailEndpoint !== 'string' || !/^(https?:\/\/|\/)/.test(config.auditTrailEndpoint))
+  ) {
+    problems.push('auditTrailEndpoint must be null, an absolute URL or a path starting with "/"');
+  }
+  if (Object.values(config.features).some((value) => typeof value !== 'boolean')) {
+    problems.push('features must map flag names to true/false');
+  }
+  if (Object.values(config.passwordPolicy).some((value) => typeof value !== 'boolean')) {
+    problems.push('passwordPolicy rules must be true/false');
+  }
+  if (typeof config.branding.appName !== 'string' || !config.branding.appName) {
+    problems.push('branding.appName must be a non-empty string');
+  }
+
+  return problems;
+};
+
+/**
+ * Fetches config.json, applies environment overrides and configures the API layer
+ * Must complete before any authenticated request is made
+ * @returns {Promise<Object>} Frozen runtime configuration
+ * @throws {Error} ConfigError with `details` when the file is missing or invalid
+ */
+export const loadRuntimeConfig = async () => {
+  let response;
+  try {
+    response = await fetch(CONFIG_URL, { cache: 'no-store' });
+  } catch {
+    throw configError(`Could not download ${CONFIG_URL}`);
+  }
+
+  if (!response.ok) {
+    throw configError(`${CONFIG_URL} is missing (HTTP ${response.status})`);
+  }
+
+  let fileConfig;
+  try {
+    fileConfig = await response.json();
+  } catch {
+    throw configError(`${CONFIG_URL} is not valid JSON`);
+  }
+
+  if (!fileConfig || typeof fileConfig !== 'object' || Array.isArray(fileConfig)) {
+    throw configError(`${CONFIG_URL} must contain a JSON object`);
+  }
+
+  const config = mergeConfig(DEFAULT_CONFIG, fileConfig, getEnvOverrides());
+  const problems = validateConfig(config);
+  if (problems.length > 0) {
+    throw configError(`${CONFIG_URL} contains invalid values`, problems);
+  }
+
+  configureApi({ baseUrl: config.apiBaseUrl, timeout: config.apiTimeout });
+  setTokenStorageStrategy(config.tokenStorage);
+
+  runtimeConfig = Object.freeze(config);
+  return runtimeConfig;
+};
+
+/**
+ * Gets the loaded runtime configuration
+ * @returns {Object|null} Configuration, or null before loadRuntimeConfig resolves
+ */
+export const getRuntimeConfig = () => runtimeConfig;
@@ -0,0 +1,192 @@
+import { STORAGE_KEYS } from '../constants';
+import { getAccessToken, getRefreshToken } from './tokenStore';
+
+const CHANNEL_NAME = 'auth_sync';
+const LEADER_LOCK_NAME = 'auth_refresh_leader';
+
+// Fallback lease timings when the Web Locks API is unavailable
+const LEASE_DURATION = 10000;
+const LEASE_HEARTBEAT = 4000;
+
+/**
+ * Unique identifier of this browser tab
+ */
+export const TAB_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Message types exchanged between tabs
+ */
+export const SYNC_EVENTS = {
+  LOGIN: 'LOGIN',
+  LOGOUT: 'LOGOUT',
+  TOKENS_REFRESHED: 'TOKENS_REFRESHED',
+  UPDATE_USER: 'UPDATE_USER',
+};
+
+/**
+ * Puts back the tokens the storage fallback leaves out of login and refresh
+ * messages, read from this tab's token store (shared with the sender only with
+ * local storage); they are null when this tab has none
+ * @param {Object} message - Message received ({ type, payload })
+ * @returns {Object} Message with token and refreshToken in its payload
+ */
+const withStoredTokens = (message) => {
+  if (message.type !== SYNC_EVENTS.LOGIN && message.type !== SYNC_EVENTS.TOKENS_REFRESHED) {
+    return message;
+  }
+  return {
+    ...message,
+    payload: { ...message.payload, token: getAccessToken(), refreshToken: getRefreshToken() },
+  };
+};
+
+/**
+ * Opens the cross-tab messaging channel
+ * Uses BroadcastChannel, falling back to `storage` events on older browsers
+ * @param {Function} onMessage - Called with { type, payload } sent by other tabs
+ * @returns {Object} Channel with broadcast(type, payload) and close()
+ */
+export const createTabSync = (onMessage) => {
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => onMessage(event.data);
+
+    return {
+      broadcast: (type, payload) => channel.postMessage({ type, payload, tabId: TAB_ID }),
+      close: () => channel.close(),
+    };
+  }
+
+  const handleStorage = (event) => {
+    if (event.key !== STORAGE_KEYS.AUTH_SYNC || !event.newValue) return;
+    try {
+      const message = JSON.parse(event.newValue);
+      if (message.tabId !== TAB_ID) onMessage(withStoredTokens(message));
+    } catch {
+      // Ignore malformed messages
+    }
+  };
+  window.addEventListener('storage', handleStorage);
+
+  return {
+    broadcast: (type, payload) => {
+      // Never write tokens to localStorage through the fallback channel
+      const { token: _token, refreshToken: _refreshToken, ...safePayload } = payload || {};
+      // The storage event only fires in other tabs, and only when the value changes
+      localStorage.setItem(
+        STORAGE_KEYS.AUTH_SYNC,
+        JSON.stringify({ type, payload: payload && safePayload, tabId: TAB_ID, sentAt: Date.now() })
+      );
+      localStorage.removeItem(STORAGE_KEYS.AUTH_SYNC);
+    },
+    close: () => window.removeEventListener('storage', handleStorage),
+  };
+};
+
+/**
+ * Elects this tab as refresh leader while it is visible
+ * Only one visible tab leads at a time; hidden tabs step down so a visible one takes over
+ * Uses the Web Locks API, falling back to a heartbeat lease in localStorage
+ * @param {Function} onLeadershipChange - Called with true/false when leadership changes
+ * @returns {Function} Stops taking part in the election
+ */
+export const electRefreshLeader = (onLeadershipChange) => {
+  let stopped = false;
+  let isLeader = false;
+
+  const setLeader = (value) => {
+    if (isLeader !== value && !stopped) {
+      isLeader = value;
+      onLeadershipChange(value);
+    }
+  };
+
+  if (navigator.locks?.request) {
+    let abortController = null;
+    let releaseLock = null;
+
+    const acquire = () => {
+      if (abortController || stopped) return;
+      abortController = new AbortController();
+      navigator.locks.request(LEADER_LOCK_NAME, { signal: abortController.signal }, () => {
+        setLeader(true);
+        // Hold the lock until we step down
+        return new Promise((resolve) => {
+          releaseLock = resolve;
+        });
+      }).catch(() => {
+        // Aborted while waiting for the lock
+      });
+    };
+
+    const release = () => {
+      abortController?.abort();
+      abortController = null;
+      releaseLock?.();
+      releaseLock = null;
+      setLeader(false);
+    };
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') release();
+      else acquire();
+    };
+
+    if (document.visibilityState !== 'hidden') acquire();
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      release();
+      stopped = true;
+    };
+  }
+
+  const readLease = () => {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEYS.REFRESH_LEADER));
+    } catch {
+      return null;
+    }
+  };
+
+  const claim = () => {
+    if (document.visibilityState === 'hidden') return;
+
+    const lease = readLease();
+    const now = Date.now();
+    if (!lease || lease.tabId === TAB_ID || lease.expiresAt < now) {
+      localStorage.setItem(
+        STORAGE_KEYS.REFRESH_LEADER,
+        JSON.stringify({ tabId: TAB_ID, expiresAt: now + LEASE_DURATION })
+      );
+    }
+    // Read back to settle races between tabs claiming at the same time
+    setLeader(readLease()?.tabId === TAB_ID);
+  };
+
+  const release = () => {
+    if (readLease()?.tabId === TAB_ID) {
+      localStorage.removeItem(STORAGE_KEYS.REFRESH_LEADER);
+    }
+    setLeader(false);
+  };
+
+  const handleVisibilityChange = () => {
+    if (document.visibilityState === 'hidden') release();
+    else claim();
+  };
+
+  claim();
+  const heartbeat = setInterval(claim, LEASE_HEARTBEAT);
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+  window.addEventListener('pagehide', release);
+
+  return () => {
+    clearInterval(heartbeat);
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+    window.removeEventListener('pagehide', release);
+    release();
+    stopped = true;
+  };
+};
@@ -0,0 +1,112 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { STORAGE_KEYS } from '../constants';
+import { createTabSync, SYNC_EVENTS } from './tabSync';
+import { getAccessToken, getRefreshToken } from './tokenStore';
+
+vi.mock('./tokenStore', () => ({
+  getAccessToken: vi.fn(),
+  getRefreshToken: vi.fn(),
+}));
+
+/**
+ * Minimal localStorage that keeps every value written, even removed ones
+ */
+const createStorage = () => {
+  const values = new Map();
+  const written = [];
+  return {
+    written,
+    getItem: (key) => values.get(key) ?? null,
+    setItem: (key, value) => {
+      values.set(key, value);
+      written.push({ key, value });
+    },
+    removeItem: (key) => values.delete(key),
+  };
+};
+
+/**
+ * Delivers a message as the storage event another tab's broadcast fires
+ */
+const receiveFromOtherTab = (message) => {
+  const event = new Event('storage');
+  event.key = STORAGE_KEYS.AUTH_SYNC;
+  event.newValue = JSON.stringify({ ...message, tabId: 'other-tab', sentAt: Date.now() });
+  window.dispatchEvent(event);
+};
+
+describe('createTabSync storage fallback', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = createStorage();
+    vi.stubGlobal('BroadcastChannel', undefined);
+    vi.stubGlobal('window', new EventTarget());
+    vi.stubGlobal('localStorage', storage);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.clearAllMocks();
+  });
+
+  it('never writes tokens to localStorage', () => {
+    const tabSync = createTabSync(() => {});
+    tabSync.broadcast(SYNC_EVENTS.LOGIN, { user: { id: 1 }, token: 'access', refreshToken: 'refresh' });
+    tabSync.close();
+
+    expect(storage.written).toHaveLength(1);
+    const message = JSON.parse(storage.written[0].value);
+    expect(message.type).toBe(SYNC_EVENTS.LOGIN);
+    expect(message.payload).toEqual({ user: { id: 1 } });
+  });
+
+  it('restores the tokens of login and refresh messages from the token store', () => {
+    getAccessToken.mockReturnValue('shared-access');
+    getRefreshToken.mockReturnValue('shared-refresh');
+    const onMessage = vi.fn();
+    const tabSync = createTabSync(onMessage);
+
+    receiveFromOtherTab({ type: SYNC_EVENTS.LOGIN, payload: { user: { id: 1 } } });
+    receiveFromOtherTab({ type: SYNC_EVENTS.TOKENS_REFRESHED, payload: {} });
+    tabSync.close();
+
+    expect(onMessage).toHaveBeenNthCalledWith(1, expect.objectContaining({
+      type: SYNC_EVENTS.LOGIN,
+      payload: { user: { id: 1 }, token: 'shared-access', refreshToken: 'shared-refresh' },
+    }));
+    expect(onMessage).toHaveBeenNthCalledWith(2, expect.objectContaining({
+      type: SYNC_EVENTS.TOKENS_REFRESHED,
+      payload: { token: 'shared-access', refreshToken: 'shared-refresh' },
+    }));
+  });
+
+  it('passes null tokens when this tab has none, so the receiver can ignore the message', () => {
+    getAccessToken.mockReturnValue(null);
+    getRefreshToken.mockReturnValue(null);
+    const onMessage = vi.fn();
+    const tabSync = createTabSync(onMessage);
+
+    receiveFromOtherTab({ type: SYNC_EVENTS.LOGIN, payload: { user: { id: 1 } } });
+    tabSync.close();
+
+    expect(onMessage.mock.calls[0][0].payload).toEqual({ user: { id: 1 }, token: null, refreshToken: null });
+  });
+
+  it('leaves other messages untouched and ignores its own', () => {
+    const onMessage = vi.fn();
+    const tabSync = createTabSync(onMessage);
+
+    receiveFromOtherTab({ type: SYNC_EVENTS.UPDATE_USER, payload: { id: 1 } });
+    tabSync.broadcast(SYNC_EVENTS.LOGOUT);
+    const ownMessage = new Event('storage');
+    ownMessage.key = STORAGE_KEYS.AUTH_SYNC;
+    ownMessage.newValue = storage.written[0].value;
+    window.dispatchEvent(ownMessage);
+    tabSync.close();
+
+    expect(onMessage).toHaveBeenCalledTimes(1);
+    expect(onMessage.mock.calls[0][0].payload).toEqual({ id: 1 });
+    expect(getAccessToken).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,140 @@
+import { STORAGE_KEYS, AUTH_CONFIG } from '../constants';
+
+/**
+ * Available token storage strategies
+ * - memory: access token kept in memory only, refresh token in an httpOnly cookie set by the backend
+ * - session: both tokens in sessionStorage (cleared when the tab closes)
+ * - local: both tokens in localStorage (survives browser restarts)
+ */
+export const TOKEN_STORAGE_STRATEGIES = {
+  MEMORY: 'memory',
+  SESSION: 'session',
+  LOCAL: 'local',
+};
+
+/**
+ * Creates a store backed by a Web Storage object
+ * @param {Storage} storage - localStorage or sessionStorage
+ * @returns {Object} Token store
+ */
+const createWebStorageStore = (storage) => ({
+  usesRefreshCookie: false,
+  sharedAcrossTabs: storage === localStorage,
+  getAccessToken: () => storage.getItem(STORAGE_KEYS.ACCESS_TOKEN),
+  getRefreshToken: () => storage.getItem(STORAGE_KEYS.REFRESH_TOKEN),
+  setTokens: ({ accessToken, refreshToken }) => {
+    storage.setItem(STORAGE_KEYS.ACCESS_TOKEN, accessToken);
+    if (refreshToken) {
+      storage.setItem(STORAGE_KEYS.REFRESH_TOKEN, refreshToken);
+    }
+  },
+  clear: () => {
+    storage.removeItem(STORAGE_KEYS.ACCESS_TOKEN);
+    storage.removeItem(STORAGE_KEYS.REFRESH_TOKEN);
+  },
+});
+
+/**
+ * Creates a store that keeps the access token in memory only
+ * The refresh token never reaches JavaScript; the backend keeps it in an httpOnly cookie
+ * @returns {Object} Token store
+ */
+const createMemoryStore = () => {
+  let accessToken = null;
+
+  return {
+    usesRefreshCookie: true,
+    sharedAcrossTabs: false,
+    getAccessToken: () => accessToken,
+    getRefreshToken: () => null,
+    setTokens: (tokens) => {
+      accessToken = tokens.accessToken;
+    },
+    clear: () => {
+      accessToken = null;
+    },
+  };
+};
+
+/**
+ * Builds the store for a strategy, defaulting to localStorage
+ * @param {string} strategy - One of TOKEN_STORAGE_STRATEGIES
+ * @returns {Object} Token store
+ */
+const createStore = (strategy) => {
+  switch (strategy) {
+    case TOKEN_STORAGE_STRATEGIES.MEMORY:
+      return createMemoryStore();
+    case TOKEN_STORAGE_STRATEGIES.SESSION:
+      return createWebStorageStore(sessionStorage);
+    case TOKEN_STORAGE_STRATEGIES.LOCAL:
+      return createWebStorageStore(localStorage);
+    default:
+      console.warn(`Unknown token storage strategy "${strategy}", using localStorage`);
+      return createWebStorageStore(localStorage);
+  }
+};
+
+let activeStrategy = AUTH_CONFIG.TOKEN_STORAGE;
+let store = createStore(activeStrategy);
+
+/**
+ * Switches the token storage strategy
+ * Tokens held by the previous store are discarded
+ * @param {string} strategy - One of TOKEN_STORAGE_STRATEGIES
+ */
+export const setTokenStorageStrategy = (strategy) => {
+  if (strategy === activeStrategy) return;
+  store.clear();
+  activeStrategy = strategy;
+  store = createStore(strategy);
+};
+
+/**
+ * Gets the active storage strategy
+ * @returns {string} One of TOKEN_STORAGE_STRATEGIES
+ */
+export const getTokenStorageStrategy = () => activeStrategy;
+
+/**
+ * Gets the current access token
+ * @returns {string|null} Access token
+ */
+export const getAccessToken = () => store.getAccessToken();
+
+/**
+ * Gets the current refresh token (always null in cookie mode)
+ * @returns {string|null} Refresh token
+ */
+export const getRefreshToken = () => store.getRefreshToken();
+
+/**
+ * Stores a new pair of tokens
+ * @param {Object} tokens - Tokens to store
+ * @param {string} tokens.accessToken - Access token
+ * @param {string} tokens.refreshToken - Refresh token (ignored in cookie mode)
+ */
+export const setTokens = (tokens) => store.setTokens(tokens);
+
+/**
+ * Removes every stored token
+ */
+export const clearTokens = () => store.clear();
+
+/**
+ * Whether the refresh token travels in an httpOnly cookie instead of the request body
+ * @returns {boolean} True in memory mode
+ */
+export const usesRefreshCookie = () => store.usesRefreshCookie;
+
+/**
+ * Whether a token refresh can be attempted at all
+ * @returns {boolean} True when a refresh token or refresh cookie may exist
+ */
+export const canRefresh = () => store.usesRefreshCookie || Boolean(store.getRefreshToken());
+
+/**
+ * Whether every tab of the browser reads the same stored tokens
+ * @returns {boolean} True for localStorage
+ */
+export const sharesTokensAcrossTabs = () => store.sharedAcrossTabs;
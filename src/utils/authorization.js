@@ -0,0 +1,278 @@
+import { ACTIONS, RESOURCES, PERMISSION_MATCH } from '../constants';
+
+/**
+ * Actions that are granted together: holding one grants the others
+ * (the permission editor offers both "read"/"view" and "update"/"edit")
+ */
+const ACTION_ALIASES = {
+  [ACTIONS.READ]: [ACTIONS.VIEW],
+  [ACTIONS.VIEW]: [ACTIONS.READ],
+  [ACTIONS.UPDATE]: [ACTIONS.EDIT],
+  [ACTIONS.EDIT]: [ACTIONS.UPDATE],
+};
+
+/**
+ * Resources that only users of the root company may touch
+ */
+const ROOT_ONLY_RESOURCES = [RESOURCES.COMPANIES];
+
+const WILDCARD = '*';
+
+/**
+ * Builds the "resource:action" key used to index granted permissions
+ * @param {string} resource - Resource name
+ * @param {string} action - Action name
+ * @returns {string} Permission key
+ */
+export const permissionKey = (resource, action) => `${resource}:${action}`;
+
+/**
+ * Splits a "resource:action" key into its parts
+ * @param {string} key - Permission key
+ * @returns {{resource: string, action: string}} Resource and action names
+ */
+export const parsePermissionKey = (key) => {
+  const [resource = '', action = ''] = String(key).toLowerCase().split(':');
+  return { resource, action };
+};
+
+/**
+ * Permission keys that satisfy an action on a resource: the action itself,
+ * its aliases, "manage" and the wildcards
+ * @param {string} action - Action name
+ * @param {string} resource - Resource name
+ * @returns {string[]} Permission keys, most specific first
+ */
+export const getSatisfyingKeys = (action, resource) => {
+  const actions = [action, ...(ACTION_ALIASES[action] || []), ACTIONS.MANAGE, WILDCARD];
+  return actions.flatMap((candidate) => [
+    permissionKey(resource, candidate),
+    permissionKey(WILDCARD, candidate),
+  ]);
+};
+
+/**
+ * Normalizes a permission from the API into a "resource:action" key
+ * Accepts plain names ("users:read") or objects with resource/action or name fields
+ * @param {string|Object} permission - Permission as returned by the API
+ * @returns {string|null} Permission key, or null if it cannot be interpreted
+ */
+export const normalizePermission = (permission) => {
+  if (!permission) return null;
+  if (typeof permission === 'string') return permission.toLowerCase();
+
+  const resource = permission.resource?.name || permission.resource || permission.resource_type?.name;
+  if (resource && permission.action) {
+    return permissionKey(String(resource).toLowerCase(), String(permission.action).toLowerCase());
+  }
+  return permission.name ? permission.name.toLowerCase() : null;
+};
+
+/**
+ * Collects every permission granted to a user, directly or through roles
+ * @param {Object} user - Current user payload from /users/me
+ * @returns {Set<string>} Permission keys
+ */
+const collectPermissions = (user) => {
+  const granted = new Set();
+  const add = (permission) => {
+    const key = normalizePermission(permission);
+    if (key) granted.add(key);
+  };
+
+  (user?.permissions || []).forEach(add);
+  (user?.roles || []).forEach((role) => {
+    (role?.permissions || []).forEach(add);
+  });
+
+  return granted;
+};
+
+/**
+ * Lists every permission a user holds together with where it comes from
+ * Used to preview the effect of a role assignment before saving it
+ * @param {Object} user - User payload, with roles and direct permissions
+ * @returns {Map<string, {roles: string[], direct: boolean}>} Grants by permission key, sorted by key
+ */
+export const getPermissionGrants = (user) => {
+  const grants = new Map();
+  const add = (permission, roleName) => {
+    const key = normalizePermission(permission);
+    if (!key) return;
+    const grant = grants.get(key) || { roles: [], direct: false };
+    if (roleName) {
+      if (!grant.roles.includes(roleName)) grant.roles.push(roleName);
+    } else {
+      grant.direct = true;
+    }
+    grants.set(key, grant);
+  };
+
+  (user?.permissions || []).forEach((permission) => add(permission, null));
+  (user?.roles || []).forEach((role) => {
+    (role?.permissions || []).forEach((permission) => add(permission, role.name));
+  });
+
+  return new Map([...grants].sort(([a], [b]) => a.localeCompare(b)));
+};
+
+/**
+ * Collects the names of the roles assigned to a user
+ * @param {Object} user - Current user payload
+ * @returns {Set<string>} Lower-cased role names
+ */
+const collectRoles = (user) => new Set(
+  (user?.roles || [])
+    .map((role) => (typeof role === 'string' ? role : role?.name))
+    .filter(Boolean)
+    .map((name) => name.toLowerCase())
+);
+
+/**
+ * Whether the user belongs to the root company
+ * Prefers flags sent by the backend and falls back to the configured root company id
+ * @param {Object} user - Current user payload
+ * @param {number|null} rootCompanyId - Root company id from the runtime configuration
+ * @returns {boolean} True for root company members
+ */
+const isRootCompanyUser = (user, rootCompanyId) => {
+  if (!user) return false;
+  if (typeof user.company?.is_root === 'boolean') return user.company.is_root;
+  if (typeof user.is_root === 'boolean') return user.is_root;
+  return rootCompanyId != null && user.company_id === rootCompanyId;
+};
+
+/**
+ * Derives what a user can do
+ * @param {Object|null} user - Current user payload from /users/me
+ * @param {Object} options - Options
+ * @param {number|null} options.rootCompanyId - Root company id from the runtime configuration
+ * @returns {Object} Ability with can(action, resource), hasRole(name), satisfies(requirements) and user flags
+ */
+export const buildAbility = (user, { rootCompanyId = null } = {}) => {
+  const permissions = collectPermissions(user);
+  const roles = collectRoles(user);
+  const isSuperuser = Boolean(user?.is_superuser);
+  const isRoot = isRootCompanyUser(user, rootCompanyId);
+
+  /**
+   * Checks a permission key, honouring wildcards, "manage" and action aliases
+   */
+  const hasPermission = (action, resource) => (
+    getSatisfyingKeys(action, resource).some((key) => permissions.has(key))
+  );
+
+  /**
+   * Whether the user may perform an action on a resource
+   * @param {string} action - One of ACTIONS
+   * @param {string} resource - One of RESOURCES
+   * @returns {boolean} True if allowed
+   */
+  const can = (action, resource) => {
+    if (!user || user.is_active === false) return false;
+    if (ROOT_ONLY_RESOURCES.includes(resource) && !isRoot) return false;
+    if (isSuperuser) return true;
+    return hasPermission(action, resource);
+  };
+
+  /**
+   * Whether the user has a role
+   * @param {string} name - Role name (case-insensitive)
+   * @returns {boolean} True if the role is assigned
+   */
+  const hasRole = (name) => roles.has(String(name).toLowerCase());
+
+  /**
+   * Whether the user meets a set of requirements, as used by route guards
+   * @param {Object} requirements - Requirements to check
+   * @param {string[]} requirements.permissions - Required "resource:action" keys
+   * @param {string[]} requirements.roles - Required role names
+   * @param {string} requirements.match - PERMISSION_MATCH.ALL (every requirement) or PERMISSION_MATCH.ANY (at least one)
+   * @returns {boolean} True if the requirements are met; an empty set always passes
+   */
+  const satisfies = ({ permissions: requiredPermissions = [], roles: requiredRoles = [], match = PERMISSION_MATCH.ALL } = {}) => {
+    const checks = [
+      ...requiredPermissions.map((key) => {
+        const { resource, action } = parsePermissionKey(key);
+        return () => can(action, resource);
+      }),
+      ...requiredRoles.map((name) => () => hasRole(name)),
+    ];
+
+    if (checks.length === 0) return true;
+    return match === PERMISSION_MATCH.ANY
+      ? checks.some((check) => check())
+      : checks.every((check) => check());
+  };
+
+  return {
+    can,
+    cannot: (action, resource) => !can(action, resource),
+    hasRole,
+    satisfies,
+    permissions,
+    roles,
+    isSuperuser,
+    isRoot,
+    isRootAdmin: isSuperuser && isRoot,
+  };
+};
+
+/**
+ * Explains why a user can or cannot perform an action on a resource
+ * Follows the same rules as buildAbility().can, in the same order
+ * @param {Object} user - User, with roles (including their permissions) and direct permissions
+ * @param {string} action - Action name
+ * @param {string} resource - Resource name
+ * @param {Object} options - Options
+ * @param {number|null} options.rootCompanyId - Root company id from the runtime configuration
+ * @param {Array} options.roles - Every role, to suggest the ones that would grant a denied permission
+ * @returns {Object} { allowed, reason, grants: [{ role, key, inheritedFrom }], candidates } where candidates lists
+ *   the unassigned roles that would grant a denied permission (null when roles don't matter)
+ */
+export const explainAccess = (user, action, resource, { rootCompanyId = null, roles = [] } = {}) => {
+  const result = (allowed, reason, extra = {}) => ({ allowed, reason, grants: [], candidates: null, ...extra });
+
+  if (!user) return result(false, 'No user selected.');
+  if (user.is_active === false) {
+    return result(false, 'The account is inactive, so every permission is denied.');
+  }
+  if (ROOT_ONLY_RESOURCES.includes(resource) && !isRootCompanyUser(user, rootCompanyId)) {
+    return result(false, `Only members of the root company can access ${resource}, whatever their roles.`);
+  }
+  if (user.is_superuser) {
+    return result(true, 'Administrators are granted every permission.');
+  }
+
+  const keys = getSatisfyingKeys(action, resource);
+  const grants = [];
+  // Roles expanded with withInheritedPermissions tag what they inherit
+  const grantsOf = (permissions) => (permissions || [])
+    .map((permission) => ({ key: normalizePermission(permission), inheritedFrom: permission?.inherited_from || null }))
+    .filter(({ key }) => keys.includes(key));
+
+  grantsOf(user.permissions).forEach(({ key }) => grants.push({ role: null, key, inheritedFrom: null }));
+  (user.roles || []).forEach((role) => {
+    grantsOf(role?.permissions).forEach((grant) => grants.push({ role: role.name, ...grant }));
+  });
+
+  if (grants.length > 0) {
+    const sources = grants.map(({ role, key, inheritedFrom }) => {
+      if (!role) return `a direct permission (${key})`;
+      return inheritedFrom
+        ? `role "${role}" (${key}, inherited from "${inheritedFrom}")`
+        : `role "${role}" (${key})`;
+    });
+    return result(true, `Granted by ${[...new Set(sources)].join(', ')}.`, { grants });
+  }
+
+  const assigned = new Set((user.roles || []).map((role) => role?.id));
+  const candidates = roles
+    .filter((role) => !assigned.has(role.id) && grantsOf(role.permissions).length > 0)
+    .map((role) => role.name);
+  return result(
+    false,
+    `No permission of the user grants ${keys[0]}. Any of these would: ${keys.join(', ')}.`,
+    { candidates }
+  );
+};
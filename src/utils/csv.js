@@ -0,0 +1,61 @@
+/**
+ * Parses CSV text (RFC 4180: quoted fields, escaped quotes, CRLF or LF)
+ * Blank lines are skipped and a leading byte order mark is ignored
+ * @param {string} text - CSV content
+ * @param {string} delimiter - Field separator
+ * @returns {string[][]} Rows of fields
+ */
+export const parseCsv = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  const endRow = () => {
+    row.push(field);
+    if (row.some((value) => value.trim() !== '')) rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+};
+
+/**
+ * Guesses the delimiter of a CSV file from its first line
+ * Spreadsheets in many locales save with semicolons
+ * @param {string} text - CSV content
+ * @returns {string} Comma, semicolon or tab
+ */
+export const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const counts = [',', ';', '\t'].map((delimiter) => [delimiter, firstLine.split(delimiter).length]);
+  return counts.reduce((best, current) => (current[1] > best[1] ? current : best))[0];
+};
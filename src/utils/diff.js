@@ -0,0 +1,46 @@
+/**
+ * Object diff helpers for before/after snapshots
+ */
+
+/**
+ * Formats a snapshot value for display
+ * @param {*} value - Value
+ * @returns {string} Readable value; objects are shown as JSON
+ */
+export const formatValue = (value) => {
+  if (value === undefined) return '—';
+  if (value === null) return 'null';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Field-by-field differences between two snapshots
+ * Either side may be missing (a creation has no before, a deletion no after).
+ * Nested values are compared by their JSON form
+ * @param {Object|null} before - Snapshot before the change
+ * @param {Object|null} after - Snapshot after the change
+ * @returns {Array<{key: string, before: *, after: *, change: string}>} Changed fields
+ *   sorted by key; change is 'added', 'removed' or 'changed'
+ */
+export const diffObjects = (before, after) => {
+  const previous = before || {};
+  const next = after || {};
+  const keys = [...new Set([...Object.keys(previous), ...Object.keys(next)])].sort();
+
+  return keys.reduce((changes, key) => {
+    const had = key in previous;
+    const has = key in next;
+    if (had && has && JSON.stringify(previous[key]) === JSON.stringify(next[key])) {
+      return changes;
+    }
+
+    changes.push({
+      key,
+      before: previous[key],
+      after: next[key],
+      change: !had ? 'added' : !has ? 'removed' : 'changed',
+    });
+    return changes;
+  }, []);
+};
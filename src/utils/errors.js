@@ -0,0 +1,14 @@
+import { MESSAGES } from '../constants';
+
+/**
+ * Readable message of a failed request
+ * FastAPI validation errors (a list in `detail`) are joined into one line
+ * @param {Object} err - Axios error
+ * @param {string} fallback - Message when the error carries none
+ * @returns {string} Error message
+ */
+export const getErrorMessage = (err, fallback = MESSAGES.ERROR.NETWORK) => {
+  const detail = err.response?.data?.detail;
+  if (Array.isArray(detail)) return detail.map((item) => item.msg).join(', ');
+  return detail || err.message || fallback;
+};
@@ -0,0 +1,130 @@
+/**
+ * Export formats supported by Table
+ */
+export const EXPORT_FORMATS = {
+  CSV: 'csv',
+  JSON: 'json',
+};
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+@\t\r-]/;
+
+/**
+ * Value of a column for export
+ * `exportValue` wins over the raw accessor value; render-only columns
+ * without either (e.g. action buttons) are not exported
+ * @param {Object} column - Column definition
+ * @param {Object} item - Row item
+ * @returns {*} Plain value
+ */
+export const getExportValue = (column, item) => (
+  column.exportValue ? column.exportValue(item) : item[column.accessor]
+);
+
+/**
+ * Columns that take part in an export
+ * @param {Array} columns - Column definitions
+ * @returns {Array} Exportable columns
+ */
+export const getExportColumns = (columns) => columns.filter(
+  (column) => column.exportable !== false && (column.exportValue || column.accessor)
+);
+
+/**
+ * Escapes one CSV field (RFC 4180), neutralizing spreadsheet formulas
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+const toCsvField = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV header line for the given columns
+ * @param {Array} columns - Exportable columns
+ * @returns {string} Header line, with line break
+ */
+export const toCsvHeader = (columns) => (
+  `${columns.map((column) => toCsvField(column.header)).join(',')}\r\n`
+);
+
+/**
+ * CSV lines for a batch of rows
+ * @param {Array} items - Row items
+ * @param {Array} columns - Exportable columns
+ * @returns {string} CSV lines, each with a line break
+ */
+export const toCsvRows = (items, columns) => items.map((item) => (
+  `${columns.map((column) => toCsvField(getExportValue(column, item))).join(',')}\r\n`
+)).join('');
+
+/**
+ * Plain objects for a batch of rows, keyed by column header
+ * @param {Array} items - Row items
+ * @param {Array} columns - Exportable columns
+ * @returns {Array<Object>} Records
+ */
+export const toRecords = (items, columns) => items.map((item) => Object.fromEntries(
+  columns.map((column) => [column.header, getExportValue(column, item) ?? null])
+));
+
+/**
+ * Offers content to the user as a file download
+ * @param {Array<BlobPart>|BlobPart} content - File content, possibly in chunks
+ * @param {string} fileName - Suggested file name
+ * @param {string} type - MIME type
+ */
+export const downloadFile = (content, fileName, type = 'text/plain') => {
+  const url = URL.createObjectURL(new Blob(Array.isArray(content) ? content : [content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Serializes rows, arriving in batches, to CSV or JSON and downloads the file
+ * Each batch is converted as soon as it arrives so large server-side
+ * datasets never need to be held as row objects all at once
+ * @param {Object} options - Export options
+ * @param {AsyncIterable<Array>|Iterable<Array>} options.batches - Batches of row items
+ * @param {Array} options.columns - Column definitions
+ * @param {string} options.format - One of EXPORT_FORMATS
+ * @param {string} options.fileName - File name without extension
+ * @param {Function} options.onProgress - Called with the number of rows exported so far
+ * @returns {Promise<number>} Number of exported rows
+ */
+export const exportRows = async ({ batches, columns, format, fileName, onProgress }) => {
+  const exportColumns = getExportColumns(columns);
+  const isCsv = format === EXPORT_FORMATS.CSV;
+  // A byte order mark lets Excel detect UTF-8
+  const chunks = isCsv ? ['\uFEFF', toCsvHeader(exportColumns)] : ['['];
+  let count = 0;
+
+  for await (const items of batches) {
+    if (isCsv) {
+      chunks.push(toCsvRows(items, exportColumns));
+    } else {
+      toRecords(items, exportColumns).forEach((record, index) => {
+        chunks.push(`${count + index > 0 ? ',' : ''}\n  ${JSON.stringify(record)}`);
+      });
+    }
+    count += items.length;
+    onProgress?.(count);
+  }
+
+  if (!isCsv) chunks.push(count > 0 ? '\n]\n' : ']\n');
+
+  const date = new Date().toISOString().slice(0, 10);
+  downloadFile(
+    chunks,
+    `${fileName}-${date}.${format}`,
+    isCsv ? 'text/csv;charset=utf-8' : 'application/json'
+  );
+  return count;
+};
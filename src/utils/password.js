@@ -0,0 +1,110 @@
+import { VALIDATION } from '../constants';
+
+/**
+ * Strength levels, ordered from weakest to strongest
+ */
+const STRENGTH_LEVELS = [
+  { label: 'Very weak', color: 'bg-red-500', textColor: 'text-red-600' },
+  { label: 'Weak', color: 'bg-orange-500', textColor: 'text-orange-600' },
+  { label: 'Fair', color: 'bg-yellow-500', textColor: 'text-yellow-600' },
+  { label: 'Good', color: 'bg-blue-500', textColor: 'text-blue-600' },
+  { label: 'Strong', color: 'bg-green-500', textColor: 'text-green-600' },
+];
+
+/**
+ * Estimates the strength of a password
+ * Scores length and character variety on a 0-4 scale
+ * @param {string} password - Password to evaluate
+ * @returns {Object} Score, max score, label and Tailwind color classes
+ */
+export const getPasswordStrength = (password = '') => {
+  let score = 0;
+
+  if (password.length >= VALIDATION.PASSWORD_MIN_LENGTH) score += 1;
+  if (password.length >= VALIDATION.PASSWORD_MIN_LENGTH + 4) score += 1;
+  if (/[a-z]/.test(password) && /[A-Z]/.test(password)) score += 1;
+  if (/\d/.test(password)) score += 1;
+  if (/[^A-Za-z0-9]/.test(password)) score += 1;
+
+  // Passwords below the minimum length never rate above "Weak"
+  if (password.length < VALIDATION.PASSWORD_MIN_LENGTH) {
+    score = Math.min(score, 1);
+  }
+
+  const level = Math.min(score, STRENGTH_LEVELS.length - 1);
+
+  return {
+    score: level,
+    maxScore: STRENGTH_LEVELS.length - 1,
+    ...STRENGTH_LEVELS[level],
+  };
+};
+
+/**
+ * Complexity rules that can be switched on through the runtime password policy
+ */
+const COMPLEXITY_RULES = [
+  { key: 'requireUppercase', label: 'An uppercase letter', test: (password) => /[A-Z]/.test(password) },
+  { key: 'requireLowercase', label: 'A lowercase letter', test: (password) => /[a-z]/.test(password) },
+  { key: 'requireDigit', label: 'A number', test: (password) => /\d/.test(password) },
+  { key: 'requireSymbol', label: 'A symbol', test: (password) => /[^A-Za-z0-9]/.test(password) },
+];
+
+/**
+ * Checks a password against the length limits and the enabled complexity rules
+ * @param {string} password - Password to check
+ * @param {Object} policy - Password policy from the runtime configuration
+ * @returns {Array<Object>} Rules with label and whether each one is met
+ */
+export const checkPasswordPolicy = (password = '', policy = {}) => [
+  {
+    key: 'length',
+    label: `${VALIDATION.PASSWORD_MIN_LENGTH}-${VALIDATION.PASSWORD_MAX_LENGTH} characters`,
+    met: password.length >= VALIDATION.PASSWORD_MIN_LENGTH && password.length <= VALIDATION.PASSWORD_MAX_LENGTH,
+  },
+  ...COMPLEXITY_RULES
+    .filter((rule) => policy[rule.key])
+    .map((rule) => ({ key: rule.key, label: rule.label, met: rule.test(password) })),
+];
+
+/**
+ * react-hook-form validator for a new password
+ * @param {Object} policy - Password policy from the runtime configuration
+ * @returns {Function} Validator returning true or an error message
+ */
+export const passwordPolicyValidator = (policy) => (password) => {
+  if (password.length < VALIDATION.PASSWORD_MIN_LENGTH) return VALIDATION.MESSAGES.PASSWORD_TOO_SHORT;
+  if (password.length > VALIDATION.PASSWORD_MAX_LENGTH) return VALIDATION.MESSAGES.PASSWORD_TOO_LONG;
+
+  const unmet = checkPasswordPolicy(password, policy).filter((rule) => !rule.met);
+  return unmet.length === 0 || `Password must contain: ${unmet.map((rule) => rule.label.toLowerCase()).join(', ')}`;
+};
+
+const PASSWORD_CHARSETS = [
+  'ABCDEFGHJKLMNPQRSTUVWXYZ',
+  'abcdefghijkmnopqrstuvwxyz',
+  '23456789',
+  '!@#$%^&*-_=+?',
+];
+
+/**
+ * Generates a random password with every character class, so it satisfies
+ * any combination of complexity rules
+ * @param {number} length - Password length
+ * @returns {string} Random password
+ */
+export const generatePassword = (length = 20) => {
+  const all = PASSWORD_CHARSETS.join('');
+  const random = crypto.getRandomValues(new Uint32Array(length * 2));
+  const pick = (charset, index) => charset[random[index] % charset.length];
+
+  // One character of each class, the rest from any class, then shuffle
+  const chars = Array.from({ length }, (_, index) => (
+    index < PASSWORD_CHARSETS.length ? pick(PASSWORD_CHARSETS[index], index) : pick(all, index)
+  ));
+  for (let i = chars.length - 1; i > 0; i -= 1) {
+    const j = random[length + i] % (i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+  return chars.join('');
+};
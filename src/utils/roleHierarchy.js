@@ -0,0 +1,136 @@
+/**
+ * Role inheritance helpers
+ * A role may name a parent through parent_role_id; its effective permissions
+ * are its own plus every ancestor's. The backend should reject cycles, but
+ * every walk here stops at one so bad data can't hang the UI
+ */
+
+/**
+ * Indexes roles by ID
+ * @param {Array} roles - Roles
+ * @returns {Map<number, Object>} Roles by ID
+ */
+export const indexRoles = (roles) => new Map(roles.map((role) => [role.id, role]));
+
+/**
+ * Ancestors of a role, nearest first
+ * @param {Object} role - Role
+ * @param {Map} rolesById - Every role by ID
+ * @returns {Array} Ancestor roles; the walk stops before repeating a role
+ */
+export const getAncestors = (role, rolesById) => {
+  const ancestors = [];
+  const seen = new Set([role.id]);
+  let parent = rolesById.get(role.parent_role_id);
+
+  while (parent && !seen.has(parent.id)) {
+    ancestors.push(parent);
+    seen.add(parent.id);
+    parent = rolesById.get(parent.parent_role_id);
+  }
+  return ancestors;
+};
+
+/**
+ * Whether making parentId the parent of roleId would close a cycle
+ * @param {number|null} roleId - Role being edited, null for a new role
+ * @param {number|null} parentId - Proposed parent
+ * @param {Map} rolesById - Every role by ID
+ * @returns {boolean} True if the role would end up inheriting from itself
+ */
+export const wouldCreateCycle = (roleId, parentId, rolesById) => {
+  if (roleId == null || parentId == null) return false;
+  if (roleId === parentId) return true;
+
+  const parent = rolesById.get(parentId);
+  return Boolean(parent) && getAncestors(parent, rolesById).some((ancestor) => ancestor.id === roleId);
+};
+
+/**
+ * Inheritance cycles already present in the data
+ * @param {Array} roles - Roles
+ * @returns {Array<Array>} Each cycle as the list of its roles
+ */
+export const findCycles = (roles) => {
+  const rolesById = indexRoles(roles);
+  const cycles = [];
+  const inCycle = new Set();
+
+  roles.forEach((role) => {
+    if (inCycle.has(role.id)) return;
+
+    // Walk up until a role repeats; if it's this walk's own, that's a cycle
+    const path = [];
+    const position = new Map();
+    let current = role;
+    while (current && !position.has(current.id) && !inCycle.has(current.id)) {
+      position.set(current.id, path.length);
+      path.push(current);
+      current = rolesById.get(current.parent_role_id);
+    }
+    if (current && position.has(current.id)) {
+      const cycle = path.slice(position.get(current.id));
+      cycle.forEach((member) => inCycle.add(member.id));
+      cycles.push(cycle);
+    }
+  });
+
+  return cycles;
+};
+
+/**
+ * Builds the inheritance forest
+ * Roles whose parent is missing are treated as roots; roles caught in a
+ * cycle (and their descendants) are left out, see findCycles
+ * @param {Array} roles - Roles
+ * @returns {Array} Root nodes ({ role, children })
+ */
+export const buildRoleTree = (roles) => {
+  const rolesById = indexRoles(roles);
+  const children = new Map();
+  roles.forEach((role) => {
+    const parentId = rolesById.has(role.parent_role_id) ? role.parent_role_id : null;
+    if (!children.has(parentId)) children.set(parentId, []);
+    children.get(parentId).push(role);
+  });
+
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  const toNode = (role) => ({
+    role,
+    children: (children.get(role.id) || []).sort(byName).map(toNode),
+  });
+
+  return (children.get(null) || []).sort(byName).map(toNode);
+};
+
+/**
+ * A role with its ancestors' permissions added
+ * Inherited permissions are tagged with inherited_from (the ancestor's name)
+ * @param {Object} role - Role
+ * @param {Map} rolesById - Every role by ID
+ * @returns {Object} Role whose permissions include inherited ones, without duplicates
+ */
+export const withInheritedPermissions = (role, rolesById) => {
+  const permissions = [...(role.permissions || [])];
+  const seen = new Set(permissions.map((permission) => permission.id));
+
+  getAncestors(role, rolesById).forEach((ancestor) => {
+    (ancestor.permissions || []).forEach((permission) => {
+      if (seen.has(permission.id)) return;
+      seen.add(permission.id);
+      permissions.push({ ...permission, inherited_from: ancestor.name });
+    });
+  });
+
+  return { ...role, permissions };
+};
+
+/**
+ * Every role with its inherited permissions added, see withInheritedPermissions
+ * @param {Array} roles - Roles
+ * @returns {Array} Expanded roles, in the same order
+ */
+export const expandInheritance = (roles) => {
+  const rolesById = indexRoles(roles);
+  return roles.map((role) => withInheritedPermissions(role, rolesById));
+};